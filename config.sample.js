@@ -1,4 +1,36 @@
-// Sample configuration file - Copy this to config.js and add your API key
+// Sample configuration file - Copy this to config.js and add your API keys
 export const config = {
-    geminiApiKey: 'YOUR_GEMINI_API_KEY_HERE'
+    // Provider used for analysis: 'gemini', 'openai', 'local' or 'none'
+    provider: 'gemini',
+    geminiApiKey: 'YOUR_GEMINI_API_KEY_HERE',
+
+    // Optional per-provider settings; model, temperature and timeout can also be changed in the app
+    providers: {
+        gemini: {
+            model: 'gemini-1.5-flash',
+            temperature: 0.4,
+            timeout: 30000, // milliseconds
+            concurrency: 2, // parallel requests
+            requestsPerMinute: 15 // 0 for no limit
+        },
+        openai: {
+            // Any OpenAI-compatible chat completions API
+            endpoint: 'https://api.openai.com/v1',
+            apiKey: '',
+            model: 'gpt-4o-mini',
+            temperature: 0.4,
+            timeout: 30000,
+            concurrency: 4,
+            requestsPerMinute: 60
+        },
+        local: {
+            // Ollama; for llama.cpp's server use e.g. 'http://localhost:8080/v1'
+            endpoint: 'http://localhost:11434/v1',
+            model: 'llama3.1',
+            temperature: 0.4,
+            timeout: 120000,
+            concurrency: 1,
+            requestsPerMinute: 0
+        }
+    }
 };
\ No newline at end of file
@@ -0,0 +1,384 @@
+// Accessibility checks of elements in a rendered document
+import { capitalize, describeElement } from './textFormat.js';
+
+// Smallest target size in CSS pixels, WCAG 2.2 success criterion 2.5.8 (Target Size, Minimum)
+const MIN_TARGET_SIZE = 24;
+
+// Contrast ratios of WCAG success criterion 1.4.3 (Contrast, Minimum)
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE_TEXT = 3;
+
+// Elements users operate, including scripted ones; the clicked element may sit inside one
+const CONTROL_SELECTOR = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="tab"]', '[role="menuitem"]',
+    // A negative tabindex only makes an element focusable from scripts, e.g. a dialog or skip-link target
+    '[onclick]', '[tabindex]:not([tabindex^="-"])'
+].join(', ');
+
+// Elements that take keyboard focus without a tabindex
+const NATIVELY_FOCUSABLE_SELECTOR = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, [contenteditable=""], [contenteditable="true"]';
+
+// Roles that take their accessible name from their content
+const NAME_FROM_CONTENT_ROLES = ['button', 'link', 'checkbox', 'radio', 'tab', 'menuitem', 'option', 'heading', 'cell'];
+
+const ICON_SELECTOR = 'svg, img, i, [class*="icon"]';
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+/**
+ * Run accessibility checks on an element while its document is rendered
+ * @param {Element} element - Element inside a rendered document
+ * @returns {{control: string|null, name: string, role: string, issues: Array<Object>}} - Audit of the element or the control it belongs to
+ */
+export function auditAccessibility(element) {
+    const control = element.closest(CONTROL_SELECTOR);
+    const target = control || element;
+    const role = getRole(target);
+    // Scripted controls without a role are still read out by their text
+    const name = control
+        ? computeAccessibleName(control) || (role === 'generic' ? normalize(getContentText(control)) : '')
+        : '';
+    const subject = role === 'generic' ? describeElement(target) : role;
+    const issues = [];
+
+    if (control) {
+        if (!name) {
+            issues.push(isIconOnly(control)
+                ? createIssue('unlabelled-icon', 'Icon-only control without a label', 'high', '1.1.1, 4.1.2',
+                    `The ${subject} only shows an icon and has no aria-label, aria-labelledby, title or text alternative, so screen readers announce it without a name.`)
+                : createIssue('missing-name', 'Control without an accessible name', 'high', '4.1.2',
+                    `The ${subject} has no text, label or aria-label, so screen readers announce it without a name.`));
+        }
+
+        const focusIssue = checkFocusable(control, subject);
+        if (focusIssue) issues.push(focusIssue);
+
+        const sizeIssue = checkTargetSize(control);
+        if (sizeIssue) issues.push(sizeIssue);
+    }
+
+    // The clicked text may be styled differently from the control around it
+    const contrastIssue = checkContrast(hasText(element) ? element : target);
+    if (contrastIssue) issues.push(contrastIssue);
+
+    return {
+        control: control && control !== element ? describeElement(control) : null,
+        name,
+        role,
+        issues
+    };
+}
+
+/**
+ * List the accessibility issues of all results, those affecting the most clicks first
+ * @param {Array} results - Analysis results
+ * @returns {Array<{selector: string, clicks: number, percentage: number, issue: Object}>} - One row per issue
+ */
+export function rankAccessibilityIssues(results) {
+    return results
+        .flatMap(result => (result.accessibility?.issues || []).map(issue => ({
+            selector: result.selector,
+            clicks: result.metrics.clicks,
+            percentage: result.metrics.percentage,
+            issue
+        })))
+        .sort((a, b) => b.clicks - a.clicks ||
+            SEVERITY_ORDER.indexOf(a.issue.severity) - SEVERITY_ORDER.indexOf(b.issue.severity));
+}
+
+/**
+ * Compute the accessible name of an element, following the main steps of the accname algorithm
+ * @param {Element} element - DOM element
+ * @returns {string} - Accessible name, empty if there is none
+ */
+function computeAccessibleName(element) {
+    const doc = element.ownerDocument;
+
+    const labelledBy = (element.getAttribute('aria-labelledby') || '')
+        .split(/\s+/)
+        .map(id => id && doc.getElementById(id))
+        .filter(Boolean)
+        .map(label => getContentText(label))
+        .join(' ');
+    if (normalize(labelledBy)) return normalize(labelledBy);
+
+    const ariaLabel = normalize(element.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
+
+    if (element.labels?.length) {
+        const label = normalize(Array.from(element.labels).map(item => getContentText(item)).join(' '));
+        if (label) return label;
+    }
+
+    if (['IMG', 'AREA'].includes(element.tagName) || (element.tagName === 'INPUT' && element.type === 'image')) {
+        const alt = normalize(element.getAttribute('alt'));
+        if (alt) return alt;
+    }
+
+    if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+        return normalize(element.value) || (element.type === 'button' ? '' : capitalize(element.type));
+    }
+
+    if (NAME_FROM_CONTENT_ROLES.includes(getRole(element))) {
+        const content = normalize(getContentText(element));
+        if (content) return content;
+    }
+
+    return normalize(element.getAttribute('title')) || normalize(element.getAttribute('placeholder'));
+}
+
+/**
+ * Collect the text an element's content contributes to an accessible name
+ * @param {Element} element - DOM element
+ * @returns {string} - Content text
+ */
+function getContentText(element) {
+    return Array.from(element.childNodes).map(node => {
+        if (node.nodeType === 3) return node.textContent;
+        if (node.nodeType !== 1 || isHidden(node)) return '';
+
+        const ariaLabel = normalize(node.getAttribute('aria-label'));
+        if (ariaLabel) return ` ${ariaLabel} `;
+        if (node.tagName === 'IMG') return ` ${node.getAttribute('alt') || ''} `;
+        if (node.tagName.toLowerCase() === 'svg') {
+            return ` ${node.querySelector('title')?.textContent || ''} `;
+        }
+        return ` ${getContentText(node)} `;
+    }).join('');
+}
+
+/**
+ * Check whether an element is hidden from assistive technology
+ * @param {Element} element - DOM element
+ * @returns {boolean} - Whether it is hidden
+ */
+function isHidden(element) {
+    if (element.getAttribute('aria-hidden') === 'true' || element.hidden) return true;
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
+    return style.display === 'none' || style.visibility === 'hidden';
+}
+
+/**
+ * Check whether a control shows only icons and no text
+ * @param {Element} control - Interactive element
+ * @returns {boolean} - Whether it is icon-only
+ */
+function isIconOnly(control) {
+    return !normalize(control.textContent) && Boolean(control.querySelector(ICON_SELECTOR));
+}
+
+/**
+ * Check that a control can be reached with the keyboard
+ * @param {Element} control - Interactive element
+ * @param {string} subject - Role or description of the control
+ * @returns {Object|null} - Issue, or null if it is focusable
+ */
+function checkFocusable(control, subject) {
+    if (control.disabled) return null;
+
+    const tabindex = control.getAttribute('tabindex');
+    if (tabindex !== null && parseInt(tabindex) < 0) {
+        return createIssue('not-focusable', 'Removed from keyboard focus', 'high', '2.1.1',
+            `The ${subject} has tabindex="${tabindex}", so keyboard users cannot reach it.`);
+    }
+
+    if (tabindex === null && !control.matches(NATIVELY_FOCUSABLE_SELECTOR)) {
+        return createIssue('not-focusable', 'Click handler without keyboard focus', 'high', '2.1.1',
+            `The ${subject} reacts to clicks but is not a link, button or form control and has no tabindex, so keyboard users cannot reach or activate it.`);
+    }
+
+    return null;
+}
+
+/**
+ * Check that a control is large enough to hit
+ * @param {Element} control - Interactive element
+ * @returns {Object|null} - Issue, or null if it is large enough or exempt
+ */
+function checkTargetSize(control) {
+    const rect = control.getBoundingClientRect();
+    // Hidden controls have no size to judge
+    if (rect.width === 0 || rect.height === 0) return null;
+    if (rect.width >= MIN_TARGET_SIZE && rect.height >= MIN_TARGET_SIZE) return null;
+
+    // Links inside a sentence are exempt, their size is set by the line of text
+    const style = control.ownerDocument.defaultView.getComputedStyle(control);
+    if (style.display === 'inline' && normalize(control.parentElement?.textContent) !== normalize(control.textContent)) {
+        return null;
+    }
+
+    const size = `${Math.round(rect.width)}×${Math.round(rect.height)}px`;
+    return createIssue('target-size', 'Target smaller than 24×24px', 'medium', '2.5.8',
+        `The target is ${size}, below the minimum of ${MIN_TARGET_SIZE}×${MIN_TARGET_SIZE}px, which makes it hard to hit on touch screens and for users with limited dexterity.`);
+}
+
+/**
+ * Check the contrast of an element's text against its effective background
+ * @param {Element} element - DOM element
+ * @returns {Object|null} - Issue, or null if the contrast is sufficient or cannot be determined
+ */
+function checkContrast(element) {
+    if (!hasText(element)) return null;
+
+    const view = element.ownerDocument.defaultView;
+    const style = view.getComputedStyle(element);
+    const background = getEffectiveBackground(element);
+    const foreground = parseColor(style.color);
+    // Background images and unknown colour formats can't be judged from styles alone
+    if (!background || !foreground) return null;
+
+    const ratio = getContrastRatio(blend(foreground, background), background);
+    const fontSize = parseFloat(style.fontSize);
+    const isLarge = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight) >= 700);
+    const required = isLarge ? MIN_CONTRAST_LARGE_TEXT : MIN_CONTRAST;
+    if (ratio >= required) return null;
+
+    return createIssue('contrast', 'Insufficient colour contrast', ratio < MIN_CONTRAST_LARGE_TEXT ? 'high' : 'medium', '1.4.3',
+        `Text colour ${style.color} on ${formatColor(background)} has a contrast ratio of ${ratio.toFixed(2)}:1, below the required ${required}:1 for ${isLarge ? 'large' : 'normal'} text.`);
+}
+
+/**
+ * Find the opaque colour behind an element by layering the backgrounds of its ancestors
+ * @param {Element} element - DOM element
+ * @returns {number[]|null} - RGBA colour, or null if an image is in the way
+ */
+function getEffectiveBackground(element) {
+    const view = element.ownerDocument.defaultView;
+    const layers = [];
+
+    for (let current = element; current; current = current.parentElement) {
+        const style = view.getComputedStyle(current);
+        if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+
+        const color = parseColor(style.backgroundColor);
+        if (color && color[3] > 0) {
+            layers.push(color);
+            if (color[3] === 1) break;
+        }
+    }
+
+    // The canvas behind the page is white
+    return layers.reduceRight((background, layer) => blend(layer, background), [255, 255, 255, 1]);
+}
+
+/**
+ * Parse a computed colour such as "rgb(0, 0, 0)" or "rgba(0 0 0 / 0.5)"
+ * @param {string} value - CSS colour
+ * @returns {number[]|null} - RGBA colour, or null if the format is not supported
+ */
+function parseColor(value) {
+    const match = /^rgba?\(([^)]+)\)$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(part => parseFloat(part));
+    if (parts.length < 3 || parts.some(Number.isNaN)) return null;
+    return [parts[0], parts[1], parts[2], parts[3] ?? 1];
+}
+
+/**
+ * Paint a colour over an opaque background
+ * @param {number[]} color - RGBA colour
+ * @param {number[]} background - Opaque RGBA colour
+ * @returns {number[]} - Opaque RGBA colour
+ */
+function blend(color, background) {
+    const alpha = color[3];
+    return [0, 1, 2].map(i => color[i] * alpha + background[i] * (1 - alpha)).concat(1);
+}
+
+/**
+ * Calculate the WCAG contrast ratio of two opaque colours
+ * @param {number[]} first - RGBA colour
+ * @param {number[]} second - RGBA colour
+ * @returns {number} - Ratio between 1 and 21
+ */
+function getContrastRatio(first, second) {
+    const [lighter, darker] = [getLuminance(first), getLuminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Calculate the relative luminance of a colour
+ * @param {number[]} color - RGBA colour
+ * @returns {number} - Luminance between 0 and 1
+ */
+function getLuminance(color) {
+    const [r, g, b] = color.slice(0, 3).map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Format an opaque colour for display
+ * @param {number[]} color - RGBA colour
+ * @returns {string} - CSS colour
+ */
+function formatColor(color) {
+    return `rgb(${color.slice(0, 3).map(Math.round).join(', ')})`;
+}
+
+/**
+ * Get the explicit or implicit role of an element
+ * @param {Element} element - DOM element
+ * @returns {string} - Role
+ */
+function getRole(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) return explicit;
+
+    switch (element.tagName) {
+        case 'A':
+            return element.hasAttribute('href') ? 'link' : 'generic';
+        case 'BUTTON':
+        case 'SUMMARY':
+            return 'button';
+        case 'INPUT':
+            if (['button', 'submit', 'reset', 'image'].includes(element.type)) return 'button';
+            if (['checkbox', 'radio'].includes(element.type)) return element.type;
+            return 'textbox';
+        case 'SELECT':
+            return 'combobox';
+        case 'TEXTAREA':
+            return 'textbox';
+        case 'IMG':
+            return 'img';
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+            return 'heading';
+        default:
+            return 'generic';
+    }
+}
+
+/**
+ * Check whether an element has visible text of its own or in its descendants
+ * @param {Element} element - DOM element
+ * @returns {boolean} - Whether it has text
+ */
+function hasText(element) {
+    return Boolean(normalize(element.textContent));
+}
+
+/**
+ * Create an accessibility issue
+ * @param {string} type - Check that failed
+ * @param {string} label - Short description
+ * @param {string} severity - "high", "medium" or "low"
+ * @param {string} wcag - WCAG success criteria
+ * @param {string} detail - Explanation for this element
+ * @returns {{type: string, label: string, severity: string, wcag: string, detail: string}} - Issue
+ */
+function createIssue(type, label, severity, wcag, detail) {
+    return { type, label, severity, wcag, detail };
+}
+
+/**
+ * Collapse whitespace and trim
+ * @param {string|null} text - Text
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
\ No newline at end of file
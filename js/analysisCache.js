@@ -0,0 +1,96 @@
+// Persistent cache of AI analyses, keyed by a hash of everything that shapes the reply
+import { getRecord, getAllRecords, putRecord, deleteRecords } from './db.js';
+
+const STORE = 'analysisCache';
+
+/**
+ * Build the cache key for an analysis request
+ * @param {Object} request - Everything that shapes the reply
+ * @param {string} request.prompt - Prompt with the element context and metrics
+ * @param {number} request.promptVersion - Version of the prompt template
+ * @param {string} request.provider - Provider ID
+ * @param {string} request.model - Model name
+ * @param {number} request.temperature - Sampling temperature
+ * @returns {Promise<string>} - Hex SHA-256 hash
+ */
+export async function getCacheKey({ prompt, promptVersion, provider, model, temperature }) {
+    const text = JSON.stringify({ prompt, promptVersion, provider, model, temperature });
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Look up a cached analysis
+ * @param {string} key - Cache key
+ * @returns {Promise<{analysis: Object, source: Object, createdAt: string}|null>} - Cached entry, or null on a miss
+ */
+export async function getCachedAnalysis(key) {
+    try {
+        return (await getRecord(STORE, key)) || null;
+    } catch (error) {
+        // A cache that can't be read behaves like an empty one
+        console.warn('Analysis cache unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Store an analysis
+ * @param {string} key - Cache key
+ * @param {{site: string, selector: string, analysis: Object, source: Object}} entry - Analysis to store
+ * @returns {Promise<void>}
+ */
+export async function storeAnalysis(key, { site, selector, analysis, source }) {
+    const record = {
+        key,
+        site,
+        model: `${source.label} · ${source.model}`,
+        selector,
+        analysis,
+        source,
+        createdAt: new Date().toISOString()
+    };
+    record.size = JSON.stringify(record).length;
+
+    try {
+        await putRecord(STORE, record);
+    } catch (error) {
+        console.warn('Failed to cache analysis:', error);
+    }
+}
+
+/**
+ * Summarize the cache by site and model
+ * @returns {Promise<{entries: number, size: number, groups: Array<{site: string, model: string, entries: number, size: number}>}>} - Cache statistics
+ */
+export async function getCacheStats() {
+    const records = await getAllRecords(STORE);
+    const groups = new Map();
+
+    records.forEach(record => {
+        const id = `${record.site}\n${record.model}`;
+        const group = groups.get(id) || { site: record.site, model: record.model, entries: 0, size: 0 };
+        group.entries++;
+        group.size += record.size || 0;
+        groups.set(id, group);
+    });
+
+    return {
+        entries: records.length,
+        size: records.reduce((acc, record) => acc + (record.size || 0), 0),
+        groups: Array.from(groups.values()).sort((a, b) => a.site.localeCompare(b.site) || a.model.localeCompare(b.model))
+    };
+}
+
+/**
+ * Remove cached analyses
+ * @param {{site?: string, model?: string}} filter - Only remove entries of this site and/or model; everything if empty
+ * @returns {Promise<number>} - Number of removed entries
+ */
+export function clearCache({ site = null, model = null } = {}) {
+    return deleteRecords(STORE, record =>
+        (site === null || record.site === site) && (model === null || record.model === model)
+    );
+}
\ No newline at end of file
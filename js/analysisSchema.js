@@ -0,0 +1,293 @@
+// Schema for structured element analyses returned by the AI provider
+
+const STATUSES = ['problem', 'success', 'normal'];
+const LEVELS = ['low', 'medium', 'high'];
+const SEVERITIES = ['none', ...LEVELS];
+
+const MAX_FINDINGS = 6;
+const MAX_ACTIONS = 5;
+const MAX_THEMES = 5;
+const MAX_RECOMMENDATIONS = 5;
+const MAX_PROBLEMS = 5;
+
+/**
+ * Describe the expected JSON reply for the prompt
+ * @returns {string} - Instructions with an example object
+ */
+export function describeAnalysisSchema() {
+    return `
+            Respond with a single JSON object and nothing else, using exactly these fields:
+            {
+              "status": "problem" | "success" | "normal",
+              "severity": "none" | "low" | "medium" | "high",
+              "summary": "One sentence overall assessment",
+              "findings": ["Observation about the data", "..."],
+              "actions": [
+                { "action": "What to change", "impact": "low" | "medium" | "high", "expectedImpact": "What should improve and why" }
+              ],
+              "confidence": 0.0 to 1.0
+            }
+            Use 1 to ${MAX_FINDINGS} findings and 0 to ${MAX_ACTIONS} actions. Use severity "none" only with status "success" or "normal".
+    `;
+}
+
+/**
+ * Describe the expected JSON reply for the page-level summary prompt
+ * @returns {string} - Instructions with an example object
+ */
+export function describePageSummarySchema() {
+    return `
+            Respond with a single JSON object and nothing else, using exactly these fields:
+            {
+              "summary": "Two or three sentences on how visitors use the page",
+              "themes": ["Pattern seen across several elements", "..."],
+              "recommendations": [
+                { "recommendation": "What to change", "impact": "low" | "medium" | "high", "rationale": "Which data supports it" }
+              ],
+              "problems": [
+                { "problem": "Suspected UX problem", "severity": "low" | "medium" | "high", "evidence": "Elements or numbers that point to it" }
+              ],
+              "confidence": 0.0 to 1.0
+            }
+            Use 1 to ${MAX_THEMES} themes, 1 to ${MAX_RECOMMENDATIONS} recommendations ordered by priority, highest first, and 0 to ${MAX_PROBLEMS} problems.
+    `;
+}
+
+/**
+ * Parse and validate an AI reply against the analysis schema
+ * @param {string} text - Raw reply text
+ * @returns {{analysis: Object|null, errors: string[]}} - Normalized analysis, or the validation errors
+ */
+export function parseAnalysis(text) {
+    const { value, error } = parseJson(text);
+    if (error) {
+        return { analysis: null, errors: [error] };
+    }
+
+    const errors = validateAnalysis(value);
+    if (errors.length > 0) {
+        return { analysis: null, errors };
+    }
+
+    return {
+        analysis: {
+            status: value.status,
+            severity: value.severity,
+            summary: value.summary.trim(),
+            findings: value.findings.map(finding => finding.trim()),
+            actions: value.actions.map(({ action, impact, expectedImpact }) => ({
+                action: action.trim(),
+                impact,
+                expectedImpact: expectedImpact.trim()
+            })),
+            confidence: Math.round(value.confidence * 100) / 100
+        },
+        errors: []
+    };
+}
+
+/**
+ * Parse and validate an AI reply against the page summary schema
+ * @param {string} text - Raw reply text
+ * @returns {{analysis: Object|null, errors: string[]}} - Normalized page summary, or the validation errors
+ */
+export function parsePageSummary(text) {
+    const { value, error } = parseJson(text);
+    if (error) {
+        return { analysis: null, errors: [error] };
+    }
+
+    const errors = validatePageSummary(value);
+    if (errors.length > 0) {
+        return { analysis: null, errors };
+    }
+
+    return {
+        analysis: {
+            summary: value.summary.trim(),
+            themes: value.themes.map(theme => theme.trim()),
+            recommendations: value.recommendations.map(({ recommendation, impact, rationale }) => ({
+                recommendation: recommendation.trim(),
+                impact,
+                rationale: rationale.trim()
+            })),
+            problems: value.problems.map(({ problem, severity, evidence }) => ({
+                problem: problem.trim(),
+                severity,
+                evidence: evidence.trim()
+            })),
+            confidence: Math.round(value.confidence * 100) / 100
+        },
+        errors: []
+    };
+}
+
+/**
+ * Build a follow-up prompt asking the provider to fix an invalid reply
+ * @param {string} reply - Invalid reply text
+ * @param {string[]} errors - Validation errors
+ * @param {string} schema - Description of the expected reply
+ * @returns {string} - Repair prompt
+ */
+export function buildRepairPrompt(reply, errors, schema = describeAnalysisSchema()) {
+    return `
+            Your previous reply did not match the required JSON format.
+
+            Problems:
+            ${errors.map(error => `- ${error}`).join('\n            ')}
+
+            Previous reply:
+            ${reply.slice(0, 4000)}
+
+            ${schema}
+    `;
+}
+
+/**
+ * Parse the JSON object of a reply
+ * @param {string} text - Reply text
+ * @returns {{value: *, error: string|null}} - Parsed value, or why it could not be parsed
+ */
+function parseJson(text) {
+    try {
+        return { value: JSON.parse(extractJson(text)), error: null };
+    } catch (error) {
+        return { value: null, error: `Reply is not valid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * Check a parsed reply against the schema
+ * @param {*} value - Parsed reply
+ * @returns {string[]} - Validation errors
+ */
+function validateAnalysis(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return ['Reply must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (!STATUSES.includes(value.status)) {
+        errors.push(`"status" must be one of ${STATUSES.join(', ')}`);
+    }
+    if (!SEVERITIES.includes(value.severity)) {
+        errors.push(`"severity" must be one of ${SEVERITIES.join(', ')}`);
+    } else if (value.severity === 'none' && value.status === 'problem') {
+        errors.push('"severity" cannot be "none" when "status" is "problem"');
+    }
+    if (!isNonEmptyString(value.summary)) {
+        errors.push('"summary" must be a non-empty string');
+    }
+
+    if (!Array.isArray(value.findings) || value.findings.length === 0 || value.findings.length > MAX_FINDINGS) {
+        errors.push(`"findings" must be an array of 1 to ${MAX_FINDINGS} strings`);
+    } else if (!value.findings.every(isNonEmptyString)) {
+        errors.push('Every finding must be a non-empty string');
+    }
+
+    if (!Array.isArray(value.actions) || value.actions.length > MAX_ACTIONS) {
+        errors.push(`"actions" must be an array of at most ${MAX_ACTIONS} objects`);
+    } else {
+        value.actions.forEach((action, index) => {
+            if (!action || !isNonEmptyString(action.action)) {
+                errors.push(`actions[${index}].action must be a non-empty string`);
+            }
+            if (!action || !LEVELS.includes(action.impact)) {
+                errors.push(`actions[${index}].impact must be one of ${LEVELS.join(', ')}`);
+            }
+            if (!action || !isNonEmptyString(action.expectedImpact)) {
+                errors.push(`actions[${index}].expectedImpact must be a non-empty string`);
+            }
+        });
+    }
+
+    if (typeof value.confidence !== 'number' || value.confidence < 0 || value.confidence > 1) {
+        errors.push('"confidence" must be a number between 0 and 1');
+    }
+
+    return errors;
+}
+
+/**
+ * Check a parsed page summary reply against the schema
+ * @param {*} value - Parsed reply
+ * @returns {string[]} - Validation errors
+ */
+function validatePageSummary(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return ['Reply must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (!isNonEmptyString(value.summary)) {
+        errors.push('"summary" must be a non-empty string');
+    }
+
+    if (!Array.isArray(value.themes) || value.themes.length === 0 || value.themes.length > MAX_THEMES) {
+        errors.push(`"themes" must be an array of 1 to ${MAX_THEMES} strings`);
+    } else if (!value.themes.every(isNonEmptyString)) {
+        errors.push('Every theme must be a non-empty string');
+    }
+
+    if (!Array.isArray(value.recommendations) || value.recommendations.length === 0 || value.recommendations.length > MAX_RECOMMENDATIONS) {
+        errors.push(`"recommendations" must be an array of 1 to ${MAX_RECOMMENDATIONS} objects`);
+    } else {
+        value.recommendations.forEach((item, index) => {
+            if (!item || !isNonEmptyString(item.recommendation)) {
+                errors.push(`recommendations[${index}].recommendation must be a non-empty string`);
+            }
+            if (!item || !LEVELS.includes(item.impact)) {
+                errors.push(`recommendations[${index}].impact must be one of ${LEVELS.join(', ')}`);
+            }
+            if (!item || !isNonEmptyString(item.rationale)) {
+                errors.push(`recommendations[${index}].rationale must be a non-empty string`);
+            }
+        });
+    }
+
+    if (!Array.isArray(value.problems) || value.problems.length > MAX_PROBLEMS) {
+        errors.push(`"problems" must be an array of at most ${MAX_PROBLEMS} objects`);
+    } else {
+        value.problems.forEach((item, index) => {
+            if (!item || !isNonEmptyString(item.problem)) {
+                errors.push(`problems[${index}].problem must be a non-empty string`);
+            }
+            if (!item || !LEVELS.includes(item.severity)) {
+                errors.push(`problems[${index}].severity must be one of ${LEVELS.join(', ')}`);
+            }
+            if (!item || !isNonEmptyString(item.evidence)) {
+                errors.push(`problems[${index}].evidence must be a non-empty string`);
+            }
+        });
+    }
+
+    if (typeof value.confidence !== 'number' || value.confidence < 0 || value.confidence > 1) {
+        errors.push('"confidence" must be a number between 0 and 1');
+    }
+
+    return errors;
+}
+
+/**
+ * Pull the JSON object out of a reply that may be wrapped in a code fence or prose
+ * @param {string} text - Reply text
+ * @returns {string} - JSON text
+ */
+function extractJson(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1] : text;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    return start >= 0 && end > start ? body.slice(start, end + 1) : body;
+}
+
+/**
+ * Check for a string with content
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a non-empty string
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
\ No newline at end of file
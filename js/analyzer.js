@@ -1,34 +1,332 @@
-// Data analysis and Gemini API integration
+// Data analysis and AI provider integration
 
 import { visualizeElement } from './elementVisualizer.js';
+import { formatMetadataLabel } from './heatmapMetadata.js';
+import { formatCascade } from './cssCascade.js';
+import { resolveSelector, explainMismatch, buildUniqueSelector, getStrategyLabel } from './selectorResolver.js';
+import { createProvider } from './llmProviders.js';
+import { createRequestQueue } from './requestQueue.js';
+import { getCacheKey, getCachedAnalysis, storeAnalysis } from './analysisCache.js';
+import { DEFAULT_SCORING_RULES, resolveScoring } from './scoringRules.js';
+import {
+    describeAnalysisSchema, parseAnalysis, describePageSummarySchema, parsePageSummary, buildRepairPrompt
+} from './analysisSchema.js';
+import { describeElement } from './textFormat.js';
+import { resolveHeatmapScoring, calculateHeatmapCoverage } from './heatmapProcessing.js';
+
+// Bump when the prompt or reply schema changes, so older cached analyses aren't reused
+const PROMPT_VERSION = 1;
+
+// Number of top elements described in the page summary prompt
+const SUMMARY_TOP_ELEMENTS = 15;
+
+// Cache selector of page summaries, which belong to no single element
+const PAGE_SUMMARY_SELECTOR = '(page summary)';
+
+// Share of all clicks from which clicks on a non-interactive element count as likely dead clicks
+
+const INTERACTIVE_TAGS = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
+const INTERACTIVE_ROLES = ['button', 'link', 'checkbox', 'radio', 'tab', 'menuitem'];
+
+// Finds interactive descendants, matching the same elements as isInteractiveElement
+const INTERACTIVE_SELECTOR = [
+    ...INTERACTIVE_TAGS.map(tag => tag.toLowerCase()),
+    ...INTERACTIVE_ROLES.map(role => `[role="${role}"]`),
+    '[onclick]',
+    '[tabindex]'
+].join(', ');
+
+export function setupAnalyzer(getProviderSettings, onQueueProgress = () => {}) {
+    // Provider and request queue of every run in progress; runs can overlap, e.g. a manual match during an analysis
+    const activeRuns = new Set();
 
-export function setupAnalyzer() {
     /**
      * Analyze website code and Hotjar data
      * @param {{html: string, css: string[], js: string[]}} websiteCode - The website code
-     * @param {Array} hotjarData - Parsed Hotjar data
-     * @returns {Promise<Array>} - Analysis results
+     * @param {{entries: Array, scrollDepth: Array, types: string[], clickCounts: number[]}} hotjarData - Merged Hotjar data
+     * @param {Object|null} metadata - Heatmap metadata parsed from the export filename
+     * @param {Object} options - Analysis options
+     * @param {Object<string, string>} options.manualMatches - User-picked element selectors keyed by Hotjar selector
+     * @param {string[]|null} options.selectors - Only analyze these Hotjar selectors
+     * @param {boolean} options.rollUp - Merge clicks on leaf nodes into their nearest interactive ancestor
+     * @param {Object} options.scoringRules - Thresholds and weights of the interaction quality and engagement score
+     * @param {Function} options.onProgress - Callback receiving {analyzed, total} as elements finish
+     * @returns {Promise<{results: Array, unmatched: Array, coverage: Object}>} - Analysis results and unmatched rows
      */
-    async function analyzeData(websiteCode, hotjarData) {
+    async function analyzeData(websiteCode, hotjarData, metadata = null, options = {}) {
+        const {
+            manualMatches = {}, selectors = null, rollUp = false, scoringRules = DEFAULT_SCORING_RULES, onProgress = () => {}
+        } = options;
+
+        // One queue per run keeps provider calls within its rate limits
+        const run = await createRun(getSiteName(websiteCode));
+        activeRuns.add(run);
+
         try {
+            // Percentile thresholds come from the whole export, also when only some selectors are analyzed
+            const scoring = await resolveHeatmapScoring(scoringRules, hotjarData.clickCounts);
+
             // Create a virtual DOM to analyze HTML structure
             const parser = new DOMParser();
             const doc = parser.parseFromString(websiteCode.html, 'text/html');
 
+            // Label every result with the export it came from
+            const heatmap = metadata ? { ...metadata, label: formatMetadataLabel(metadata) } : null;
+            const heatmapTypes = hotjarData.types;
+
+            const selectedEntries = selectors
+                ? hotjarData.entries.filter(entry => selectors.includes(entry.selector))
+                : hotjarData.entries;
+            const entries = rollUp
+                ? rollUpEntries(selectedEntries, doc, manualMatches)
+                : selectedEntries;
+
             // Process each Hotjar data entry
-            const results = await Promise.all(
-                hotjarData.map(entry => analyzeElement(entry, doc, websiteCode))
+            let analyzedCount = 0;
+            onProgress({ analyzed: 0, total: entries.length });
+            const analyzed = await Promise.all(
+                entries.map(async entry => {
+                    const result = await analyzeElement(
+                        entry, doc, websiteCode, run, heatmap && { ...heatmap, types: heatmapTypes }, hotjarData.scrollDepth,
+                        manualMatches[entry.selector], scoring
+                    );
+                    onProgress({ analyzed: ++analyzedCount, total: entries.length });
+                    return result;
+                })
             );
 
-            // Filter out null results (elements not found) and sort by interaction count
-            return results
+            // Keep rows without an element so their clicks don't silently disappear
+            const unmatched = entries
+                .filter((entry, index) => analyzed[index] === null)
+                .map(entry => describeUnmatched(entry, doc))
+                .sort((a, b) => b.clicks - a.clicks);
+
+            // Sort by interaction count
+            const results = analyzed
                 .filter(result => result !== null)
                 .sort((a, b) => b.totalInteractions - a.totalInteractions);
 
+            return {
+                results,
+                unmatched,
+                coverage: await calculateHeatmapCoverage(results, unmatched)
+            };
+
         } catch (error) {
             console.error('Analysis error:', error);
             throw new Error('Failed to analyze data: ' + error.message);
+        } finally {
+            activeRuns.delete(run);
+        }
+    }
+
+    /**
+     * Summarize the whole page from the element analyses, as a second stage after analyzeData
+     * @param {{results: Array, unmatched: Array, coverage: Object}} analysisData - Output of analyzeData
+     * @param {{url?: string|null}} websiteCode - The website code
+     * @param {Object|null} metadata - Heatmap metadata parsed from the export filename
+     * @returns {Promise<{stats: Object, analysis: Object, source: Object}>} - Page statistics, summary and what produced it
+     */
+    async function summarizePage({ results, unmatched, coverage }, websiteCode, metadata = null) {
+        const stats = getPageStats(results, unmatched, coverage);
+        const run = await createRun(getSiteName(websiteCode));
+        activeRuns.add(run);
+
+        try {
+            const heatmapLabel = metadata ? formatMetadataLabel(metadata) : null;
+            const { analysis, source } = await requestStructured({
+                prompt: buildPageSummaryPrompt(stats, heatmapLabel),
+                selector: PAGE_SUMMARY_SELECTOR,
+                parse: parsePageSummary,
+                schema: describePageSummarySchema(),
+                fallback: () => mockPageSummary(stats, results)
+            }, run);
+
+            return { stats, analysis, source };
+
+        } finally {
+            activeRuns.delete(run);
+        }
+    }
+
+    /**
+     * Aggregate the analyzed elements into page-level distributions
+     * @param {Array} results - Analysis results
+     * @param {Array} unmatched - Unmatched rows
+     * @param {{unit: string, total: number}} coverage - Coverage summary
+     * @returns {Object} - Totals, top elements and shares by section and role
+     */
+    function getPageStats(results, unmatched, coverage) {
+        // Shares use the same unit as the coverage, so move-only uploads still add up
+        const unit = coverage.unit;
+        const getCount = result => result.metrics[unit];
+        const total = coverage.total;
+        const share = count => (total ? Math.round((count / total) * 1000) / 10 : 0);
+
+        const groupBy = getKey => {
+            const groups = new Map();
+            results.forEach(result => {
+                const key = getKey(result) || 'unknown';
+                const group = groups.get(key) || { name: key, elements: 0, count: 0 };
+                group.elements++;
+                group.count += getCount(result);
+                groups.set(key, group);
+            });
+            return Array.from(groups.values())
+                .map(group => ({ ...group, share: share(group.count) }))
+                .sort((a, b) => b.count - a.count);
+        };
+
+        const unmatchedCount = unmatched.reduce((acc, row) => acc + row[unit], 0);
+
+        return {
+            unit,
+            total,
+            elements: results.length,
+            topElements: [...results]
+                .sort((a, b) => getCount(b) - getCount(a))
+                .slice(0, SUMMARY_TOP_ELEMENTS)
+                .map(result => ({
+                    selector: result.selector,
+                    tagName: result.element.tagName,
+                    role: result.element.role,
+                    section: result.context.pageSection,
+                    text: result.element.innerText,
+                    count: getCount(result),
+                    share: share(getCount(result)),
+                    status: result.status,
+                    summary: result.analysis.summary
+                })),
+            bySection: groupBy(result => result.context.pageSection),
+            byRole: groupBy(result => result.element.role),
+            unmatched: {
+                rows: unmatched.length,
+                count: unmatchedCount,
+                share: share(unmatchedCount)
+            }
+        };
+    }
+
+    /**
+     * Cancel the provider calls of the runs in progress; remaining elements get rule-based summaries
+     */
+    function cancelAnalysis() {
+        activeRuns.forEach(run => run.queue.cancel());
+    }
+
+    /**
+     * Create the provider client and request queue for an analysis run
+     * @param {string} site - Site the analyzed page belongs to, for the cache
+     * @returns {Promise<{site: string, settings: Object, provider: Object, queue: Object}>} - Run state
+     */
+    async function createRun(site = 'Unknown site') {
+        const settings = await getProviderSettings();
+        return {
+            site,
+            settings,
+            provider: createProvider(settings),
+            queue: createRequestQueue({
+                concurrency: settings.concurrency || 1,
+                requestsPerMinute: settings.requestsPerMinute || 0,
+                onProgress: onQueueProgress
+            })
+        };
+    }
+
+    /**
+     * Merge entries whose elements share the same nearest interactive ancestor,
+     * so clicks on "svg>g>path" or "span.btn__text" count towards their button
+     * @param {Array} entries - Hotjar data entries
+     * @param {Document} doc - Virtual DOM document
+     * @param {Object<string, string>} manualMatches - User-picked element selectors keyed by Hotjar selector
+     * @returns {Array} - Rolled-up entries, plus unmatched entries unchanged
+     */
+    function rollUpEntries(entries, doc, manualMatches) {
+        const groups = new Map();
+        const unmatched = [];
+
+        entries.forEach(entry => {
+            const match = resolveSelector(doc, entry.selector, manualMatches[entry.selector]);
+            if (!match) {
+                unmatched.push(entry);
+                return;
+            }
+
+            const target = findInteractiveAncestor(match.element);
+            const group = groups.get(target) || { target, children: [] };
+            group.children.push({ entry, match });
+            groups.set(target, group);
+        });
+
+        const rolledUp = Array.from(groups.values()).map(({ target, children }) => {
+            // A lone entry that already is its interactive element needs no roll-up
+            if (children.length === 1 && children[0].match.element === target) {
+                return { ...children[0].entry, match: children[0].match };
+            }
+
+            // Prefer the Hotjar selector of the ancestor itself when it was clicked directly
+            const own = children.find(child => child.match.element === target);
+            const selector = buildUniqueSelector(target);
+
+            return {
+                selector: own ? own.entry.selector : selector,
+                clicks: sumBy(children, child => child.entry.clicks),
+                moves: sumBy(children, child => child.entry.moves),
+                scrolls: 0,
+                visible: children.some(child => child.entry.visible),
+                percentage: Math.round(sumBy(children, child => child.entry.percentage) * 100) / 100,
+                movePercentage: Math.round(sumBy(children, child => child.entry.movePercentage || 0) * 100) / 100,
+                match: {
+                    element: target,
+                    strategy: 'rolled-up',
+                    label: getStrategyLabel('rolled-up'),
+                    confidence: Math.min(...children.map(child => child.match.confidence)),
+                    matchedBy: `${children.length} child selectors`,
+                    selector,
+                    matchCount: 1
+                },
+                rollUp: {
+                    children: children
+                        .map(({ entry, match }) => ({
+                            selector: entry.selector,
+                            clicks: entry.clicks,
+                            moves: entry.moves,
+                            percentage: entry.percentage,
+                            tagName: match.element.tagName.toLowerCase(),
+                            strategy: match.label
+                        }))
+                        .sort((a, b) => b.clicks - a.clicks)
+                }
+            };
+        });
+
+        return [...rolledUp, ...unmatched];
+    }
+
+    /**
+     * Walk up from an element to its nearest interactive ancestor
+     * @param {Element} element - DOM element
+     * @returns {Element} - The interactive ancestor, or the element itself if there is none
+     */
+    function findInteractiveAncestor(element) {
+        let current = element;
+        while (current && current.tagName !== 'BODY') {
+            if (isInteractiveElement(current)) {
+                return current;
+            }
+            current = current.parentElement;
         }
+        return element;
+    }
+
+    /**
+     * Sum a numeric field over a list
+     * @param {Array} items - Items to sum
+     * @param {Function} getValue - Value accessor
+     * @returns {number} - Sum
+     */
+    function sumBy(items, getValue) {
+        return items.reduce((acc, item) => acc + getValue(item), 0);
     }
 
     /**
@@ -36,32 +334,50 @@ export function setupAnalyzer() {
      * @param {Object} entry - Hotjar data entry
      * @param {Document} doc - Virtual DOM document
      * @param {{html: string, css: string[], js: string[]}} websiteCode - Website code
+     * @param {Object} run - Provider and request queue of the analysis run, from createRun
+     * @param {Object|null} heatmap - Labelled heatmap metadata
+     * @param {Array} scrollDepth - Scroll-depth curve of the page
+     * @param {string|null} manualSelector - Selector of an element the user picked for this row
+     * @param {Object} scoring - Scoring rules with resolved thresholds, from resolveScoring
      * @returns {Promise<Object|null>} - Analysis result
      */
-    async function analyzeElement(entry, doc, websiteCode) {
+    async function analyzeElement(entry, doc, websiteCode, run, heatmap = null, scrollDepth = [], manualSelector = null, scoring = resolveScoring(DEFAULT_SCORING_RULES)) {
         try {
-            // Find element in virtual DOM
-            const element = doc.querySelector(entry.selector);
-            if (!element) {
+            // Find element in virtual DOM, relaxing the selector when it doesn't match as exported.
+            // Rolled-up entries arrive already matched to their interactive ancestor.
+            const match = entry.match || resolveSelector(doc, entry.selector, manualSelector);
+            if (!match) {
                 console.warn(`Element not found: ${entry.selector}`);
                 return null;
             }
+            const { element } = match;
 
             // Get enhanced element context and visual information
             const context = getElementContext(element);
-            const relevantCSS = findRelevantCSS(entry.selector, websiteCode.css);
-            const visualData = await visualizeElement(entry.selector, websiteCode);
+            const visualData = await visualizeElement(match.selector, websiteCode);
 
             // Calculate interaction patterns
-            const totalInteractions = entry.clicks;
-            const interactionPattern = analyzeInteractionPattern(entry, context.semanticContext);
+            const totalInteractions = entry.clicks + entry.moves;
+            const scrollReach = estimateScrollReach(visualData, scrollDepth);
+            const interactionPattern = analyzeInteractionPattern({ ...entry, scrollReach }, context.semanticContext, scoring);
+            const deadClickCandidates = detectDeadClicks(element, entry, context);
 
             // Prepare enhanced data for AI analysis
             const analysisData = {
                 selector: entry.selector,
+                heatmap,
+                match: {
+                    strategy: match.strategy,
+                    label: match.label,
+                    confidence: match.confidence,
+                    matchedBy: match.matchedBy,
+                    selector: match.selector,
+                    matchCount: match.matchCount
+                },
+                rollUp: entry.rollUp || null,
                 element: {
                     tagName: element.tagName.toLowerCase(),
-                    className: element.className,
+                    className: element.getAttribute('class') || '',
                     id: element.id,
                     innerText: element.innerText.slice(0, 100) + (element.innerText.length > 100 ? '...' : ''),
                     location: context.location,
@@ -74,12 +390,18 @@ export function setupAnalyzer() {
                 },
                 metrics: {
                     clicks: entry.clicks,
+                    moves: entry.moves,
+                    scrollReach,
                     percentage: entry.percentage,
                     totalInteractions,
                     isVisible: entry.visible,
                     interactionQuality: interactionPattern.quality,
-                    engagementScore: calculateEngagementScore(entry, context)
+                    engagementScore: calculateEngagementScore(entry, context, scoring)
                 },
+                // Reasons the clicks may have done nothing; empty for regular elements
+                deadClicks: applyDeadClickThreshold(deadClickCandidates, entry.percentage, scoring),
+                // All flags found in the page, so rescoring can apply a new minimum share without the DOM
+                deadClickCandidates,
                 context: {
                     parent: context.parent,
                     siblings: context.siblings.map(sibling => ({
@@ -90,17 +412,21 @@ export function setupAnalyzer() {
                     visualHierarchy: context.semanticContext.visualHierarchy,
                     pageSection: context.semanticContext.section
                 },
-                styles: relevantCSS
+                // Rules applying to the element, resolved from the rendered page
+                styles: visualData?.cascade || null,
+                // Accessibility checks run on the rendered page
+                accessibility: visualData?.accessibility || null
             };
 
             // Get AI analysis
-            const aiAnalysis = await analyzeWithGemini(analysisData);
+            const { analysis, source } = await analyzeWithProvider(analysisData, run);
 
             // Return combined analysis result
             return {
                 ...analysisData,
-                analysis: aiAnalysis,
-                status: determineStatus(aiAnalysis, totalInteractions),
+                analysis,
+                analysisSource: source,
+                status: analysis.status,
                 totalInteractions
             };
 
@@ -110,6 +436,48 @@ export function setupAnalyzer() {
         }
     }
 
+    /**
+     * Describe a Hotjar row that could not be matched to an element
+     * @param {Object} entry - Hotjar data entry
+     * @param {Document} doc - Virtual DOM document
+     * @returns {Object} - Unmatched row with its likely reason
+     */
+    function describeUnmatched(entry, doc) {
+        const { reason, label } = explainMismatch(doc, entry.selector);
+        return {
+            selector: entry.selector,
+            clicks: entry.clicks,
+            moves: entry.moves,
+            percentage: entry.percentage,
+            reason,
+            reasonLabel: label
+        };
+    }
+
+    /**
+     * Estimate the share of visitors who scrolled far enough to reach the element
+     * @param {Object|null} visualData - Visualization data with element position and page height
+     * @param {Array<{depth: number, reached: number}>} scrollDepth - Scroll-depth curve
+     * @returns {number|null} - Percentage of visitors reached, or null without scroll data
+     */
+    function estimateScrollReach(visualData, scrollDepth) {
+        if (!scrollDepth.length || !visualData?.pageHeight) {
+            return null;
+        }
+
+        const depth = Math.min(100, (visualData.position.y / visualData.pageHeight) * 100);
+
+        // Interpolate linearly between the surrounding points of the curve
+        const next = scrollDepth.findIndex(point => point.depth >= depth);
+        if (next === -1) return scrollDepth[scrollDepth.length - 1].reached;
+        if (next === 0) return scrollDepth[0].reached;
+
+        const before = scrollDepth[next - 1];
+        const after = scrollDepth[next];
+        const ratio = (depth - before.depth) / ((after.depth - before.depth) || 1);
+        return Math.round((before.reached + (after.reached - before.reached) * ratio) * 100) / 100;
+    }
+
     /**
      * Get element's context in the DOM
      * @param {Element} element - DOM element
@@ -123,7 +491,7 @@ export function setupAnalyzer() {
             .filter(child => child !== element)
             .map(child => ({
                 tagName: child.tagName.toLowerCase(),
-                className: child.className,
+                className: child.getAttribute('class') || '',
                 id: child.id,
                 type: getSiblingType(child),
                 position: getRelativePosition(child, element)
@@ -155,7 +523,7 @@ export function setupAnalyzer() {
         return {
             parent: parent ? {
                 tagName: parent.tagName.toLowerCase(),
-                className: parent.className,
+                className: parent.getAttribute('class') || '',
                 id: parent.id,
                 role: parent.getAttribute('role') || getImplicitRole(parent)
             } : null,
@@ -223,11 +591,8 @@ export function setupAnalyzer() {
      * @returns {boolean} - Is interactive
      */
     function isInteractiveElement(element) {
-        const interactiveTags = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
-        const interactiveRoles = ['button', 'link', 'checkbox', 'radio', 'tab', 'menuitem'];
-        
-        return interactiveTags.includes(element.tagName) ||
-               (element.getAttribute('role') && interactiveRoles.includes(element.getAttribute('role'))) ||
+        return INTERACTIVE_TAGS.includes(element.tagName) ||
+               (element.getAttribute('role') && INTERACTIVE_ROLES.includes(element.getAttribute('role'))) ||
                element.hasAttribute('onclick') ||
                element.hasAttribute('tabindex');
     }
@@ -292,82 +657,116 @@ export function setupAnalyzer() {
     }
 
     /**
-     * Find CSS rules relevant to the element
-     * @param {string} selector - CSS selector
-     * @param {string[]} cssContent - CSS content array
-     * @returns {string} - Relevant CSS rules
+     * Analyze data with the configured AI provider
+     * @param {Object} data - Data to analyze
+     * @param {Object} run - Provider and request queue of the analysis run
+     * @returns {Promise<{analysis: Object, source: Object}>} - Structured analysis and what produced it
      */
-    function findRelevantCSS(selector, cssContent) {
-        try {
-            const relevantRules = [];
-            
-            // Convert selector to a regex-safe string
-            const selectorRegex = new RegExp(
-                selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                + '\\s*{[^}]*}',
-                'g'
-            );
+    function analyzeWithProvider(data, run) {
+        return requestStructured({
+            prompt: buildPrompt(data),
+            selector: data.selector,
+            parse: parseAnalysis,
+            schema: describeAnalysisSchema(),
+            fallback: () => mockAnalysis(data)
+        }, run);
+    }
 
-            // Search for rules in all CSS content
-            cssContent.forEach(css => {
-                const matches = css.match(selectorRegex);
-                if (matches) {
-                    relevantRules.push(...matches);
-                }
+    /**
+     * Ask the configured AI provider for a structured reply, using the cache and the run's queue
+     * @param {Object} request - Structured request
+     * @param {string} request.prompt - Prompt text
+     * @param {string} request.selector - Selector the reply is about, for the cache
+     * @param {Function} request.parse - Parses and validates a reply into {analysis, errors}
+     * @param {string} request.schema - Description of the expected reply, for the repair prompt
+     * @param {Function} request.fallback - Builds the rule-based result when the provider can't be used
+     * @param {{site: string, settings: Object, provider: Object, queue: Object}} run - Run the request belongs to
+     * @returns {Promise<{analysis: Object, source: Object}>} - Validated reply and what produced it
+     */
+    async function requestStructured({ prompt, selector, parse, schema, fallback }, run) {
+        const { site, settings, provider, queue } = run;
+
+        // Without a usable provider the rule-based summary is labelled as such, never as AI output
+        if (!provider.isAvailable) {
+            return {
+                analysis: fallback(),
+                source: { type: 'rule-based', reason: provider.unavailableReason }
+            };
+        }
+
+        try {
+            // Unchanged elements are served from the cache without calling the provider
+            const cacheKey = await getCacheKey({
+                prompt,
+                promptVersion: PROMPT_VERSION,
+                provider: provider.id,
+                model: provider.model,
+                temperature: settings.temperature
             });
+            const cached = await getCachedAnalysis(cacheKey);
+            if (cached) {
+                return {
+                    analysis: cached.analysis,
+                    source: { ...cached.source, cached: true, cachedAt: cached.createdAt }
+                };
+            }
+
+            const reply = await queue.enqueue(signal => provider.generate(prompt, { json: true, signal }));
+            let { analysis, errors } = parse(reply);
+
+            // Give the model one chance to fix a reply that doesn't match the schema
+            const repaired = !analysis;
+            if (repaired) {
+                console.warn(`Invalid reply from ${provider.label}, asking for a repair:`, errors);
+                const repairPrompt = `${prompt}\n${buildRepairPrompt(reply, errors, schema)}`;
+                const repairReply = await queue.enqueue(signal => provider.generate(repairPrompt, { json: true, signal }));
+                ({ analysis, errors } = parse(repairReply));
+            }
+
+            if (!analysis) {
+                throw new Error(`${provider.label} returned an invalid reply: ${errors.join('; ')}`);
+            }
+
+            const source = { type: 'ai', provider: provider.id, label: provider.label, model: provider.model, repaired };
+            await storeAnalysis(cacheKey, { site, selector, analysis, source });
+
+            return { analysis, source };
 
-            return relevantRules.join('\n');
         } catch (error) {
-            console.warn('Error finding CSS rules:', error);
-            return '';
+            if (error.name !== 'CancelError') {
+                console.error(`${provider.label} error:`, error);
+            }
+            return {
+                analysis: fallback(),
+                source: { type: 'rule-based', reason: error.message }
+            };
         }
     }
 
     /**
-     * Determine the status based on AI analysis and interaction count
-     * @param {string} analysis - AI analysis text
-     * @param {number} totalInteractions - Total interaction count
-     * @returns {string} - Status (normal, problem, or success)
+     * Name the site of the analyzed page, used to group cached analyses
+     * @param {{url?: string|null}} websiteCode - Website code
+     * @returns {string} - Host name, or a placeholder for snapshots without a URL
      */
-    function determineStatus(analysis, totalInteractions) {
-        const lowerAnalysis = analysis.toLowerCase();
-        if (lowerAnalysis.includes('problem') || lowerAnalysis.includes('issue')) {
-            return 'problem';
-        }
-        if (lowerAnalysis.includes('success') || lowerAnalysis.includes('positive')) {
-            return 'success';
+    function getSiteName(websiteCode) {
+        try {
+            return new URL(websiteCode.url).hostname;
+        } catch {
+            return 'Unknown site';
         }
-        return 'normal';
     }
 
     /**
-     * Analyze data using Gemini API
+     * Build the analysis prompt for an element
      * @param {Object} data - Data to analyze
-     * @returns {Promise<string>} - Analysis result
+     * @returns {string} - Prompt text
      */
-    async function analyzeWithGemini(data) {
-        let geminiApiKey;
-        
-        try {
-            // Try to import config file
-            const config = await import('../config.js');
-            geminiApiKey = config.config.geminiApiKey;
-        } catch (error) {
-            console.warn('Config file not found or invalid. Using mock analysis.');
-            return mockAnalysis(data);
-        }
-
-        // Use mock analysis if no API key
-        if (!geminiApiKey) {
-            console.warn('No Gemini API key found. Using mock analysis.');
-            return mockAnalysis(data);
-        }
-
-        const geminiApiEndpoint = 'https://generative-ai.googleapis.com/v1/models/gemini-pro:generateContent';
-
-        const prompt = `
+    function buildPrompt(data) {
+        return `
             Analyze this website element's interaction patterns and provide UX insights:
 
+            Heatmap: ${data.heatmap ? data.heatmap.label : 'Unknown export'}
+
             Element Details:
             - Type: ${data.element.tagName}
             - Role: ${data.element.role}
@@ -375,9 +774,14 @@ export function setupAnalyzer() {
             - Location Path: ${data.element.locationPath.map(p => p.type).join(' > ')}
             - Content: ${data.element.innerText}
             - Selector: ${data.selector}
+            - Selector Match: ${data.match.label} (confidence ${Math.round(data.match.confidence * 100)}%)
+            - Rolled Up From: ${data.rollUp ? data.rollUp.children.map(c => `${c.tagName} (${c.clicks} clicks)`).join(', ') : 'Not rolled up'}
 
             Interaction Metrics:
+            - Heatmap Types: ${data.heatmap?.types ? data.heatmap.types.join(', ') : 'click'}
             - Clicks: ${data.metrics.clicks}
+            - Mouse Moves (hovers): ${data.metrics.moves}
+            - Scroll Reach: ${data.metrics.scrollReach !== null ? `${data.metrics.scrollReach}% of visitors scroll far enough to see this element` : 'No scroll data'}
             - Engagement Score: ${data.metrics.engagementScore}/100
             - Interaction Quality: ${data.metrics.interactionQuality}
             - Visibility: ${data.metrics.isVisible ? 'Visible' : 'Not Visible'}
@@ -389,59 +793,140 @@ export function setupAnalyzer() {
             - Parent Element: ${JSON.stringify(data.context.parent)}
             - Related Elements: ${data.context.siblings.map(s => `${s.relationshipType} (${s.position})`).join(', ')}
 
-            CSS Styles:
-            ${data.styles}
+            CSS Styles (cascade order, overridden declarations marked):
+            ${formatCascade(data.styles)}
 
             Please analyze:
             1. Element Usage: Is the interaction pattern (${data.metrics.interactionQuality}) appropriate for this element type and role?
             2. Context Impact: How does the element's location (${data.context.pageSection}) and visibility affect its performance?
             3. Engagement Quality: With a ${data.metrics.engagementScore}/100 engagement score, what specific improvements could enhance user interaction?
+            4. Attention vs Action: Do users hover over this element without clicking it, or never scroll far enough to see it?
 
             Focus on actionable recommendations based on:
             - Element role and interaction expectations
             - Position and visibility in page context
             - Current engagement patterns vs. optimal patterns
             
-            Keep the response concise and practical.
+            Keep findings and actions concise and practical.
+            ${describeAnalysisSchema()}
         `;
+    }
 
-        try {
-            const response = await fetch(geminiApiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${geminiApiKey}`
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: prompt
-                        }]
-                    }]
-                })
-            });
+    /**
+     * Build the page-level summary prompt
+     * @param {Object} stats - Page statistics from getPageStats
+     * @param {string|null} heatmapLabel - Label of the analyzed export
+     * @returns {string} - Prompt text
+     */
+    function buildPageSummaryPrompt(stats, heatmapLabel) {
+        const formatGroups = groups => groups
+            .map(group => `- ${group.name}: ${group.share}% of ${stats.unit} (${group.elements} elements)`)
+            .join('\n            ');
 
-            if (!response.ok) {
-                throw new Error(`Gemini API error: ${response.status}`);
-            }
+        return `
+            Summarize how visitors use this page, based on per-element heatmap analyses.
 
-            const result = await response.json();
-            
-            // Extract the response text from the Gemini API result
-            const analysisText = result.candidates[0].content.parts[0].text;
-            return analysisText || 'Analysis not available.';
+            Heatmap: ${heatmapLabel || 'Unknown export'}
+            Total ${stats.unit}: ${stats.total} across ${stats.elements} matched elements
+            Unmatched ${stats.unit}: ${stats.unmatched.share}% (${stats.unmatched.rows} selectors not found in the page code)
 
-        } catch (error) {
-            console.error('Gemini API error:', error);
-            // Fallback to mock analysis if API fails
-            return mockAnalysis(data);
+            ${stats.unit === 'clicks' ? 'Clicks' : 'Moves'} by page section:
+            ${formatGroups(stats.bySection)}
+
+            ${stats.unit === 'clicks' ? 'Clicks' : 'Moves'} by element role:
+            ${formatGroups(stats.byRole)}
+
+            Top ${stats.topElements.length} elements:
+            ${stats.topElements.map((element, index) =>
+                `${index + 1}. ${element.tagName} (${element.role}) in ${element.section}, "${element.text}": ${element.share}% of ${stats.unit}, ${element.status}. ${element.summary}`
+            ).join('\n            ')}
+
+            Please identify:
+            1. Main themes: where does attention concentrate, and what does that say about visitor intent?
+            2. Prioritized recommendations: the changes with the largest expected effect on the page, highest priority first.
+            3. Suspected UX problems: patterns across elements that point to confusion, missed affordances or broken flows.
+
+            Base every point on the numbers above and keep it concise.
+            ${describePageSummarySchema()}
+        `;
+    }
+
+    /**
+     * Generate a rule-based page summary when no AI provider is available
+     * @param {Object} stats - Page statistics from getPageStats
+     * @param {Array} results - Analysis results
+     * @returns {Object} - Page summary in the same shape as a validated AI reply
+     */
+    function mockPageSummary(stats, results) {
+        const impactRank = { high: 3, medium: 2, low: 1 };
+        const [topSection] = stats.bySection;
+        const [topRole] = stats.byRole;
+        const [topElement] = stats.topElements;
+
+        const themes = [];
+        if (topSection) {
+            themes.push(`${topSection.share}% of ${stats.unit} happen in the ${topSection.name} section.`);
         }
+        if (topRole) {
+            themes.push(`Elements with the ${topRole.name} role receive ${topRole.share}% of ${stats.unit}.`);
+        }
+        if (topElement) {
+            themes.push(`The most used element is the ${topElement.tagName} "${topElement.text}" with ${topElement.share}% of ${stats.unit}.`);
+        }
+        if (stats.unmatched.share > 0) {
+            themes.push(`${stats.unmatched.share}% of ${stats.unit} could not be matched to the page code.`);
+        }
+        if (themes.length === 0) {
+            themes.push('No interactions were recorded on matched elements.');
+        }
+
+        // Weigh each element's actions by how much of the page's activity the element gets
+        const recommendations = results
+            .flatMap(result => result.analysis.actions.map(action => ({
+                action,
+                weight: impactRank[action.impact] * (result.metrics[stats.unit] + 1),
+                label: result.element.innerText || result.element.tagName
+            })))
+            .sort((a, b) => b.weight - a.weight)
+            .filter((item, index, items) => items.findIndex(other => other.action.action === item.action.action) === index)
+            .slice(0, 5)
+            .map(({ action, label }) => ({
+                recommendation: action.action,
+                impact: action.impact,
+                rationale: `Suggested for "${label}": ${action.expectedImpact}`
+            }));
+        if (recommendations.length === 0) {
+            recommendations.push({
+                recommendation: 'Keep the current layout and monitor the top elements',
+                impact: 'low',
+                rationale: 'No element analysis suggested a change.'
+            });
+        }
+
+        const problems = results
+            .filter(result => result.status === 'problem')
+            .sort((a, b) => b.metrics[stats.unit] - a.metrics[stats.unit])
+            .slice(0, 5)
+            .map(result => ({
+                problem: result.analysis.summary,
+                severity: result.analysis.severity === 'none' ? 'low' : result.analysis.severity,
+                evidence: `${result.element.tagName} ${result.selector} (${result.metrics.clicks} clicks, ${result.metrics.moves} moves)`
+            }));
+
+        return {
+            summary: `${stats.elements} elements analyzed with ${stats.total} ${stats.unit} in total, ${results.filter(result => result.status === 'problem').length} of them flagged as problems.`,
+            themes,
+            recommendations,
+            problems,
+            // Rules carry no model confidence
+            confidence: null
+        };
     }
 
     /**
-     * Generate mock analysis for testing
+     * Generate a rule-based summary when no AI provider is available
      * @param {Object} data - Analysis data
-     * @returns {string} - Mock analysis
+     * @returns {Object} - Analysis in the same shape as a validated AI reply
      */
     function mockAnalysis(data) {
         const { metrics, element, context } = data;
@@ -455,62 +940,113 @@ export function setupAnalyzer() {
         };
 
         // Build context-aware analysis
-        let analysis = '';
+        const findings = [`${metrics.clicks} clicks, ${metrics.percentage}% of all clicks on the page.`];
+        const actions = [];
+        let status;
+        let severity;
+        let summary;
         
         // Primary status determination
         if (patterns.highEngagement) {
-            analysis = `Success: Strong user engagement (${metrics.engagementScore}/100) with this ${element.role || element.tagName} element. `;
+            status = 'success';
+            severity = 'none';
+            summary = `Strong user engagement (${metrics.engagementScore}/100) with this ${element.role || element.tagName} element.`;
             
             if (element.isInteractive) {
-                analysis += `As an interactive element in the ${context.pageSection}, it's effectively capturing user attention and actions.`;
+                findings.push(`As an interactive element in the ${context.pageSection}, it's effectively capturing user attention and actions.`);
             } else {
-                analysis += `Despite being non-interactive, this content is drawing significant user interest.`;
+                findings.push('Despite being non-interactive, this content is drawing significant user interest.');
             }
         } else if (patterns.moderateEngagement) {
-            analysis = `Normal: Moderate engagement levels (${metrics.engagementScore}/100) for this ${element.tagName} element. `;
+            status = 'normal';
+            severity = 'low';
+            summary = `Moderate engagement levels (${metrics.engagementScore}/100) for this ${element.tagName} element.`;
             
             if (patterns.interactiveElement) {
-                analysis += `Consider enhancing visual prominence or call-to-action clarity to improve interaction rates.`;
+                actions.push({
+                    action: 'Enhance visual prominence or call-to-action clarity',
+                    impact: 'medium',
+                    expectedImpact: 'Higher interaction rates on this element'
+                });
             } else {
-                analysis += `Content engagement is within expected range for its location in ${context.pageSection}.`;
+                findings.push(`Content engagement is within expected range for its location in ${context.pageSection}.`);
             }
         } else {
-            analysis = `Problem: Low engagement (${metrics.engagementScore}/100) detected. `;
+            status = 'problem';
+            severity = patterns.visibilityIssue || patterns.interactiveElement ? 'high' : 'medium';
+            summary = `Low engagement (${metrics.engagementScore}/100) detected.`;
             
             if (patterns.visibilityIssue) {
-                analysis += `Element visibility issues may be impacting performance. Consider adjusting layout or scroll position.`;
+                findings.push('Element visibility issues may be impacting performance.');
+                actions.push({
+                    action: 'Adjust the layout or scroll position so the element is seen',
+                    impact: 'high',
+                    expectedImpact: 'More visitors notice and use the element'
+                });
             } else if (patterns.interactiveElement) {
-                analysis += `Despite being an interactive ${element.role}, user interaction is below expectations. Review positioning and visual hierarchy.`;
+                findings.push(`Despite being an interactive ${element.role}, user interaction is below expectations.`);
+                actions.push({
+                    action: 'Review positioning and visual hierarchy',
+                    impact: 'medium',
+                    expectedImpact: 'Clearer affordance leads to more clicks'
+                });
             } else {
-                analysis += `Content may need revision or better placement to improve engagement in the ${context.pageSection} section.`;
+                actions.push({
+                    action: `Revise the content or move it to a better place in the ${context.pageSection} section`,
+                    impact: 'low',
+                    expectedImpact: 'Better engagement with the content'
+                });
             }
         }
 
-        return analysis;
+        // Add move and scroll observations when those heatmaps were uploaded
+        if (metrics.interactionQuality === 'hover_without_click') {
+            findings.push(`Users hover over this element (${metrics.moves} moves) far more often than they click it.`);
+        } else if (metrics.interactionQuality === 'rarely_seen') {
+            findings.push(`Only ${metrics.scrollReach}% of visitors scroll far enough to see it.`);
+        }
+
+        return {
+            status,
+            severity,
+            summary,
+            findings,
+            actions,
+            // Rules carry no model confidence
+            confidence: null
+        };
     }
 
     /**
      * Analyze interaction patterns for an element
      * @param {Object} entry - Hotjar data entry
      * @param {Object} context - Semantic context
+     * @param {Object} scoring - Scoring rules with resolved thresholds, from resolveScoring
      * @returns {Object} - Interaction pattern analysis
      */
-    function analyzeInteractionPattern(entry, context) {
-        const { clicks, visible } = entry;
+    function analyzeInteractionPattern(entry, context, scoring = resolveScoring(DEFAULT_SCORING_RULES)) {
+        const { clicks, visible, moves = 0, scrollReach = null } = entry;
         const { isInteractive, role } = context;
+        const { rules, thresholds } = scoring;
 
         // Define quality thresholds
         let quality = 'normal';
         const patterns = {
-            highEngagement: clicks > 100,
-            lowVisibleEngagement: visible && clicks < 10,
-            missedOpportunity: isInteractive && clicks < 5,
-            navigationElement: ['link', 'button', 'menuitem'].includes(role)
+            highEngagement: clicks > thresholds.highEngagementClicks,
+            lowVisibleEngagement: visible && clicks < thresholds.lowVisibleClicks,
+            missedOpportunity: isInteractive && clicks < thresholds.missedOpportunityClicks,
+            navigationElement: ['link', 'button', 'menuitem'].includes(role),
+            hoverWithoutClick: moves >= rules.hoverMinMoves && clicks * rules.hoverMoveRatio < moves,
+            rarelyReached: typeof scrollReach === 'number' && scrollReach < rules.rarelyReachedPercent
         };
 
         // Determine interaction quality
         if (patterns.highEngagement) {
             quality = 'high';
+        } else if (patterns.hoverWithoutClick) {
+            quality = 'hover_without_click';
+        } else if (patterns.rarelyReached) {
+            quality = 'rarely_seen';
         } else if (patterns.lowVisibleEngagement && patterns.navigationElement) {
             quality = 'low';
         } else if (patterns.missedOpportunity) {
@@ -527,40 +1063,158 @@ export function setupAnalyzer() {
      * Calculate engagement score for an element
      * @param {Object} entry - Hotjar data entry
      * @param {Object} context - Element context
+     * @param {Object} scoring - Scoring rules with resolved thresholds, from resolveScoring
      * @returns {number} - Engagement score (0-100)
      */
-    function calculateEngagementScore(entry, context) {
-        const { clicks, percentage, visible } = entry;
+    function calculateEngagementScore(entry, context, scoring = resolveScoring(DEFAULT_SCORING_RULES)) {
+        const { percentage, visible } = entry;
         const { locationPath, semanticContext } = context;
+        const { rules } = scoring;
 
-        // Base score from clicks percentage
-        let score = percentage * 100;
+        // Base score from the click share; percentages are already in percent, so the
+        // full score is reached at the configured share instead of at 1%
+        let score = rules.fullScoreShare > 0 ? (percentage / rules.fullScoreShare) * 100 : 0;
 
         // Adjust for visibility
-        if (!visible) score *= 0.7;
+        if (!visible) score *= rules.hiddenFactor;
 
         // Adjust for location importance
         const locationImportance = locationPath.reduce((acc, loc) => {
-            if (loc.importance === 'high') return acc * 1.2;
-            if (loc.importance === 'medium') return acc * 1.1;
+            if (loc.importance === 'high') return acc * rules.highImportanceFactor;
+            if (loc.importance === 'medium') return acc * rules.mediumImportanceFactor;
             return acc;
         }, 1);
         score *= locationImportance;
 
         // Adjust for semantic relevance
         if (semanticContext.isInteractive) {
-            score *= 1.2; // Interactive elements should have higher engagement
+            score *= rules.interactiveFactor; // Interactive elements should have higher engagement
         }
 
         // Cap at 100 and round to 2 decimal places
         return Math.min(100, Math.round(score * 100) / 100);
     }
 
+    /**
+     * Score analyzed results again with new scoring rules, without re-running the analysis
+     * @param {Array} results - Analysis results
+     * @param {Object} scoringRules - Thresholds and weights
+     * @param {number[]} clickCounts - Clicks of every row of the export in ascending order, for percentile thresholds
+     * @returns {Promise<Array>} - Rescored results
+     */
+    async function rescoreResults(results, scoringRules, clickCounts = []) {
+        const scoring = await resolveHeatmapScoring(scoringRules, clickCounts);
+
+        return results.map(result => {
+            const { metrics, element } = result;
+            const entry = {
+                clicks: metrics.clicks,
+                moves: metrics.moves,
+                visible: metrics.isVisible,
+                percentage: metrics.percentage,
+                scrollReach: metrics.scrollReach
+            };
+            const semanticContext = { isInteractive: element.isInteractive, role: element.role };
+
+            const rescored = {
+                ...result,
+                metrics: {
+                    ...metrics,
+                    interactionQuality: analyzeInteractionPattern(entry, semanticContext, scoring).quality,
+                    engagementScore: calculateEngagementScore(entry, { locationPath: element.locationPath, semanticContext }, scoring)
+                },
+                // Results saved before the candidates were kept only have their applied flags
+                deadClicks: applyDeadClickThreshold(result.deadClickCandidates || result.deadClicks || [], metrics.percentage, scoring)
+            };
+
+            // AI verdicts stay until the next analysis; rule-based summaries follow the new scores
+            if (result.analysisSource?.type === 'ai') {
+                return rescored;
+            }
+            const analysis = mockAnalysis(rescored);
+            return { ...rescored, analysis, status: analysis.status };
+        });
+    }
+
+    /**
+     * Flag signs that clicks on an element did nothing or were meant for something else
+     * @param {Element} element - DOM element
+     * @param {Object} entry - Hotjar data entry
+     * @param {Object} context - Element context
+     * @returns {Array<{type: string, label: string, explanation: string}>} - Dead click flags, before the minimum share applies
+     */
+    function detectDeadClicks(element, entry, context) {
+        const { clicks, percentage } = entry;
+        if (!clicks) return [];
+
+        const flags = [];
+        const description = describeElement(element);
+        const isInteractive = context.semanticContext.isInteractive;
+        const isPage = ['HTML', 'BODY'].includes(element.tagName);
+
+        const disabled = element.closest('[disabled], [aria-disabled="true"]');
+        if (disabled) {
+            flags.push({
+                type: 'disabled',
+                label: 'Clicks on a disabled control',
+                explanation: `${clicks} clicks land on ${disabled === element ? description : `${description} inside the disabled ${describeElement(disabled)}`}. Visitors try to use it before it becomes available, or don't see why it is disabled.`
+            });
+        }
+
+        if (isInteractive) {
+            return flags;
+        }
+
+        const target = isPage
+            ? 'the page background'
+            : element.children.length > 1 ? `the layout wrapper ${description}` : `${description}, which is not a link, button or form control`;
+        flags.push({
+            type: 'non-interactive',
+            label: 'Frequent clicks on a non-interactive element',
+            explanation: `${percentage}% of all clicks land on ${target}. These clicks most likely do nothing, or visitors expect something there to be clickable.`
+        });
+
+        // Clicks next to or around a control may have been aimed at it, however few there are;
+        // the page itself surrounds every control
+        const inner = isPage ? null : element.querySelector(INTERACTIVE_SELECTOR);
+        const neighbour = isPage ? null : inner || [element.previousElementSibling, element.nextElementSibling]
+            .filter(Boolean)
+            .map(sibling => (isInteractiveElement(sibling) ? sibling : sibling.querySelector(INTERACTIVE_SELECTOR)))
+            .find(Boolean);
+        if (neighbour) {
+            const text = neighbour.innerText?.trim();
+            flags.push({
+                type: 'near-interactive',
+                label: 'Next to an interactive element',
+                explanation: `${description} ${inner ? 'surrounds' : 'sits right next to'} ${describeElement(neighbour)}${text ? ` "${text.slice(0, 40)}"` : ''}. Visitors may be missing it, so a larger hit area or clearer boundary could help.`
+            });
+        }
+
+        return flags;
+    }
+
+    /**
+     * Keep the dead click flags that apply under the scoring rules
+     * @param {Array<{type: string, label: string, explanation: string}>} flags - Flags from detectDeadClicks
+     * @param {number} percentage - Share of all clicks on the element
+     * @param {Object} scoring - Scoring rules with resolved thresholds, from resolveScoring
+     * @returns {Array<{type: string, label: string, explanation: string}>} - Dead click flags
+     */
+    function applyDeadClickThreshold(flags, percentage, scoring) {
+        // Only frequent clicks on a non-interactive element are a sign in themselves
+        return flags.filter(flag => flag.type !== 'non-interactive' || percentage >= scoring.rules.deadClickMinShare);
+    }
+
     // Return public interface
     return {
         analyzeData,
+        summarizePage,
+        cancelAnalysis,
         analyzeElement,
+        getElementContext,
         analyzeInteractionPattern,
-        calculateEngagementScore
+        calculateEngagementScore,
+        rescoreResults,
+        detectDeadClicks
     };
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+// URL resolution for page assets
+
+/**
+ * Resolve a possibly relative URL
+ * @param {string|null} href - URL to resolve
+ * @param {string|null} base - Base URL
+ * @returns {string|null} - Absolute URL, or null if it cannot be resolved
+ */
+export function resolveUrl(href, base) {
+    if (!href) return null;
+    try {
+        return new URL(href.trim(), base || undefined).href;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Make the url() references of a stylesheet absolute, so it renders outside its origin
+ * @param {string} css - Stylesheet content
+ * @param {string|null} sheetUrl - URL the relative references resolve against
+ * @returns {string} - Stylesheet with absolute URLs
+ */
+export function rewriteCssUrls(css, sheetUrl) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, path) => {
+        if (/^(data:|#)/.test(path)) return match;
+        const absolute = resolveUrl(path, sheetUrl);
+        return absolute ? `url("${absolute}")` : match;
+    });
+}
\ No newline at end of file
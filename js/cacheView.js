@@ -0,0 +1,112 @@
+// Management view for the analysis cache
+import { getCacheStats, clearCache } from './analysisCache.js';
+import { escapeHtml } from './textFormat.js';
+
+export function setupCacheView() {
+    const container = document.getElementById('cacheView');
+    const summaryElement = document.getElementById('cacheSummary');
+    const groupsElement = document.getElementById('cacheGroups');
+    const clearAllButton = document.getElementById('clearCacheBtn');
+
+    // Setup event listeners
+    container.addEventListener('toggle', () => refresh());
+    clearAllButton.addEventListener('click', () => handleClear({}, 'all cached analyses'));
+
+    /**
+     * Reload the cache statistics while the view is open
+     */
+    async function refresh() {
+        if (!container.open) return;
+
+        try {
+            const stats = await getCacheStats();
+            renderStats(stats);
+        } catch (error) {
+            console.error('Cache statistics error:', error);
+            summaryElement.textContent = 'The analysis cache is not available in this browser.';
+            groupsElement.innerHTML = '';
+            clearAllButton.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Render cache size and the per-site, per-model breakdown
+     * @param {{entries: number, size: number, groups: Array}} stats - Cache statistics
+     */
+    function renderStats(stats) {
+        summaryElement.textContent = stats.entries > 0
+            ? `${stats.entries} cached analyses, ${formatSize(stats.size)}`
+            : 'The cache is empty.';
+        clearAllButton.classList.toggle('hidden', stats.entries === 0);
+
+        groupsElement.innerHTML = stats.groups.length > 0 ? `
+            <table class="min-w-full text-sm">
+                <thead class="text-xs text-gray-500">
+                    <tr>
+                        <th class="py-1 pr-4 text-left font-medium">Site</th>
+                        <th class="py-1 pr-4 text-left font-medium">Model</th>
+                        <th class="py-1 pr-4 text-right font-medium">Entries</th>
+                        <th class="py-1 pr-4 text-right font-medium">Size</th>
+                        <th class="py-1"></th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-100">
+                    ${stats.groups.map((group, index) => `
+                        <tr>
+                            <td class="py-1 pr-4 text-gray-700">${escapeHtml(group.site)}</td>
+                            <td class="py-1 pr-4 text-gray-700">${escapeHtml(group.model)}</td>
+                            <td class="py-1 pr-4 text-right text-gray-600">${group.entries}</td>
+                            <td class="py-1 pr-4 text-right text-gray-600">${formatSize(group.size)}</td>
+                            <td class="py-1 text-right whitespace-nowrap">
+                                <button data-clear-site="${index}" class="px-2 py-0.5 text-xs text-indigo-600 rounded hover:bg-indigo-100">Clear site</button>
+                                <button data-clear-model="${index}" class="px-2 py-0.5 text-xs text-indigo-600 rounded hover:bg-indigo-100">Clear model</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        groupsElement.querySelectorAll('[data-clear-site]').forEach(button => {
+            const { site } = stats.groups[button.dataset.clearSite];
+            button.addEventListener('click', () => handleClear({ site }, `all cached analyses for ${site}`));
+        });
+        groupsElement.querySelectorAll('[data-clear-model]').forEach(button => {
+            const { model } = stats.groups[button.dataset.clearModel];
+            button.addEventListener('click', () => handleClear({ model }, `all cached analyses from ${model}`));
+        });
+    }
+
+    /**
+     * Clear part of the cache after confirmation
+     * @param {{site?: string, model?: string}} filter - Entries to remove
+     * @param {string} description - What will be removed, for the confirmation
+     */
+    async function handleClear(filter, description) {
+        if (!window.confirm(`Remove ${description}? They will be analyzed again on the next run.`)) {
+            return;
+        }
+
+        try {
+            await clearCache(filter);
+        } catch (error) {
+            console.error('Cache clear error:', error);
+        }
+        await refresh();
+    }
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Human readable size
+     */
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    // Return public interface
+    return {
+        refresh
+    };
+}
\ No newline at end of file
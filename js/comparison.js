@@ -0,0 +1,113 @@
+// Side-by-side comparison of two Hotjar heatmap exports
+import { resolveSelector } from './selectorResolver.js';
+
+export function setupComparison(getElementContext) {
+    /**
+     * Compare two parsed Hotjar exports element by element
+     * @param {Array} baseData - Parsed Hotjar data of the baseline export
+     * @param {Array} compareData - Parsed Hotjar data of the export to compare
+     * @param {{html: string, css: string[], js: string[]}|null} websiteCode - Website code used for element context
+     * @returns {Object} - Diff rows, one-sided elements and biggest movers
+     */
+    function compareExports(baseData, compareData, websiteCode) {
+        const base = groupBySelector(baseData);
+        const compare = groupBySelector(compareData);
+
+        const baseTotal = sumClicks(base);
+        const compareTotal = sumClicks(compare);
+
+        // Resolve section and role from the fetched page when available
+        const doc = websiteCode
+            ? new DOMParser().parseFromString(websiteCode.html, 'text/html')
+            : null;
+
+        const selectors = new Set([...base.keys(), ...compare.keys()]);
+        const rows = Array.from(selectors).map(selector => {
+            const baseClicks = base.get(selector) || 0;
+            const compareClicks = compare.get(selector) || 0;
+            const baseShare = getShare(baseClicks, baseTotal);
+            const compareShare = getShare(compareClicks, compareTotal);
+
+            return {
+                selector,
+                presence: !base.has(selector) ? 'compare' : !compare.has(selector) ? 'base' : 'both',
+                base: { clicks: baseClicks, share: baseShare },
+                compare: { clicks: compareClicks, share: compareShare },
+                delta: Math.round((compareShare - baseShare) * 100) / 100,
+                ...getSelectorContext(selector, doc)
+            };
+        }).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+        const matched = rows.filter(row => row.presence === 'both');
+
+        return {
+            rows,
+            onlyInBase: rows.filter(row => row.presence === 'base'),
+            onlyInCompare: rows.filter(row => row.presence === 'compare'),
+            winners: matched.filter(row => row.delta > 0).slice(0, 5),
+            losers: matched.filter(row => row.delta < 0).slice(0, 5),
+            totals: {
+                baseClicks: baseTotal,
+                compareClicks: compareTotal,
+                matched: matched.length
+            }
+        };
+    }
+
+    /**
+     * Sum clicks per selector, as an export may list a selector more than once
+     * @param {Array} data - Parsed Hotjar data
+     * @returns {Map<string, number>} - Clicks keyed by selector
+     */
+    function groupBySelector(data) {
+        return data.reduce((acc, entry) => {
+            acc.set(entry.selector, (acc.get(entry.selector) || 0) + entry.clicks);
+            return acc;
+        }, new Map());
+    }
+
+    /**
+     * Sum all clicks of a grouped export
+     * @param {Map<string, number>} grouped - Clicks keyed by selector
+     * @returns {number} - Total clicks
+     */
+    function sumClicks(grouped) {
+        return Array.from(grouped.values()).reduce((acc, clicks) => acc + clicks, 0);
+    }
+
+    /**
+     * Calculate click share in percent
+     * @param {number} clicks - Clicks on the element
+     * @param {number} total - Total clicks of the export
+     * @returns {number} - Share rounded to 2 decimal places
+     */
+    function getShare(clicks, total) {
+        if (!total) return 0;
+        return Math.round((clicks / total) * 10000) / 100;
+    }
+
+    /**
+     * Look up the page section and role of a selector in the fetched page
+     * @param {string} selector - CSS selector from the export
+     * @param {Document|null} doc - Virtual DOM document
+     * @returns {{section: string, role: string}} - Element context summary
+     */
+    function getSelectorContext(selector, doc) {
+        const unknown = { section: 'unknown', role: 'unknown' };
+        if (!doc) return unknown;
+
+        const match = resolveSelector(doc, selector);
+        if (!match) return unknown;
+
+        const context = getElementContext(match.element);
+        return {
+            section: context.location,
+            role: context.semanticContext.role
+        };
+    }
+
+    // Return public interface
+    return {
+        compareExports
+    };
+}
\ No newline at end of file
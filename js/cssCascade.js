@@ -0,0 +1,472 @@
+// CSS cascade resolution from a rendered document's CSSOM
+import { describeElement } from './textFormat.js';
+
+// Properties an element takes from its ancestors when it doesn't declare them itself
+const INHERITED_PROPERTIES = new Set([
+    'color', 'cursor', 'direction', 'font-family', 'font-size', 'font-style', 'font-variant',
+    'font-weight', 'font-stretch', 'letter-spacing', 'line-height', 'list-style-image',
+    'list-style-position', 'list-style-type', 'quotes', 'text-align', 'text-indent',
+    'text-transform', 'text-shadow', 'visibility', 'white-space', 'word-break', 'word-spacing'
+]);
+
+// Pseudo-elements that may be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+const MAX_INHERITED_ANCESTORS = 10;
+
+// CSSRule.type values of grouping rules that need special handling
+const KEYFRAMES_RULE = 7;
+const SUPPORTS_RULE = 12;
+
+/**
+ * Resolve the CSS rules that apply to an element, like a devtools Styles pane
+ * @param {Element} element - Element inside a rendered document
+ * @returns {{rules: Array<Object>}} - Matched rules, highest priority first, followed by inherited rules
+ */
+export function resolveCascade(element) {
+    const styleRules = collectStyleRules(element.ownerDocument);
+
+    // Level 0 is the element itself, higher levels are ancestors
+    const levels = [];
+    let current = element;
+    while (current && current.nodeType === 1 && levels.length <= MAX_INHERITED_ANCESTORS) {
+        levels.push(matchRules(current, styleRules, levels.length > 0));
+        current = current.parentElement;
+    }
+
+    markOverridden(levels);
+
+    const rules = levels.flatMap((rules, level) => rules
+        .map(rule => ({
+            ...rule,
+            inheritedFrom: level > 0 ? describeElement(getAncestor(element, level)) : null
+        }))
+        .filter(rule => rule.declarations.length > 0)
+    );
+
+    return { rules };
+}
+
+/**
+ * Format a resolved cascade as CSS text, marking overridden declarations
+ * @param {{rules: Array<Object>}|null} cascade - Resolved cascade
+ * @returns {string} - CSS text
+ */
+export function formatCascade(cascade) {
+    if (!cascade || cascade.rules.length === 0) return 'No matching CSS rules';
+
+    return cascade.rules.map(rule => {
+        const origin = [
+            rule.inheritedFrom ? `inherited from ${rule.inheritedFrom}` : null,
+            rule.source,
+            rule.media ? `@media ${rule.media}` : null,
+            `specificity ${rule.specificity.join(',')}`
+        ].filter(Boolean).join(', ');
+
+        const declarations = rule.declarations.map(declaration =>
+            `  ${declaration.property}: ${declaration.value}${declaration.important ? ' !important' : ''};` +
+            (declaration.overridden ? ' /* overridden */' : '')
+        );
+
+        return `/* ${origin} */\n${rule.selector} {\n${declarations.join('\n')}\n}`;
+    }).join('\n');
+}
+
+/**
+ * Calculate the specificity of a single complex selector
+ * @param {string} selector - Selector without top-level commas
+ * @returns {number[]} - ID, class and type counts
+ */
+export function calculateSpecificity(selector) {
+    const specificity = [0, 0, 0];
+    let i = 0;
+
+    while (i < selector.length) {
+        const ch = selector[i];
+
+        if (ch === '\\') {
+            i += 2;
+        } else if (ch === '#') {
+            specificity[0]++;
+            i = skipIdentifier(selector, i + 1);
+        } else if (ch === '.') {
+            specificity[1]++;
+            i = skipIdentifier(selector, i + 1);
+        } else if (ch === '[') {
+            specificity[1]++;
+            i = findClosing(selector, i, '[', ']') + 1;
+        } else if (ch === ':') {
+            const isPseudoElement = selector[i + 1] === ':';
+            const nameStart = i + (isPseudoElement ? 2 : 1);
+            const nameEnd = skipIdentifier(selector, nameStart);
+            const name = selector.slice(nameStart, nameEnd).toLowerCase();
+
+            if (selector[nameEnd] === '(') {
+                const close = findClosing(selector, nameEnd, '(', ')');
+                addSpecificity(specificity, getFunctionalSpecificity(name, selector.slice(nameEnd + 1, close), isPseudoElement));
+                i = close + 1;
+            } else {
+                specificity[isPseudoElement || LEGACY_PSEUDO_ELEMENTS.includes(name) ? 2 : 1]++;
+                i = nameEnd;
+            }
+        } else if (/[a-zA-Z_\u00a0-\uffff]/.test(ch) || (ch === '-' && /[a-zA-Z_-]/.test(selector[i + 1] || ''))) {
+            // Anything that starts an identifier at this point is a type selector
+            specificity[2]++;
+            i = skipIdentifier(selector, i);
+        } else {
+            i++;
+        }
+    }
+
+    return specificity;
+}
+
+/**
+ * Collect the style rules of every readable stylesheet in document order
+ * @param {Document} doc - Rendered document
+ * @returns {Array<{rule: CSSStyleRule, source: string, media: string|null, order: number}>} - Active style rules
+ */
+function collectStyleRules(doc) {
+    const win = doc.defaultView;
+    const collected = new Map();
+    let order = 0;
+
+    const visit = (ruleList, source, media) => {
+        Array.from(ruleList).forEach(rule => {
+            if (rule.selectorText !== undefined) {
+                // Fetched CSS can repeat a page's own inline styles; the later copy wins
+                collected.delete(rule.cssText);
+                collected.set(rule.cssText, { rule, source, media, order: order++ });
+            } else if (rule.styleSheet) {
+                // @import rules
+                const importMedia = rule.media?.mediaText;
+                if (!importMedia || win.matchMedia(importMedia).matches) {
+                    visit(getRules(rule.styleSheet), source, combineMedia(media, importMedia));
+                }
+            } else if (rule.media && rule.cssRules) {
+                if (win.matchMedia(rule.media.mediaText).matches) {
+                    visit(rule.cssRules, source, combineMedia(media, rule.media.mediaText));
+                }
+            } else if (rule.type === SUPPORTS_RULE) {
+                if (win.CSS.supports(rule.conditionText)) {
+                    visit(rule.cssRules, source, media);
+                }
+            } else if (rule.cssRules && rule.type !== KEYFRAMES_RULE) {
+                // @layer and @container blocks; container conditions are not evaluated
+                visit(rule.cssRules, source, media);
+            }
+        });
+    };
+
+    Array.from(doc.styleSheets).forEach(sheet => {
+        const sheetMedia = sheet.media?.mediaText;
+        if (sheet.disabled || (sheetMedia && !win.matchMedia(sheetMedia).matches)) return;
+        visit(getRules(sheet), getSheetSource(sheet), sheetMedia || null);
+    });
+
+    return Array.from(collected.values());
+}
+
+/**
+ * Read a stylesheet's rules, which cross-origin sheets don't allow
+ * @param {CSSStyleSheet} sheet - Stylesheet
+ * @returns {Array<CSSRule>} - Rules, or an empty list if unreadable
+ */
+function getRules(sheet) {
+    try {
+        return Array.from(sheet.cssRules || []);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Describe where a stylesheet came from
+ * @param {CSSStyleSheet} sheet - Stylesheet
+ * @returns {string} - File name or the owning element
+ */
+function getSheetSource(sheet) {
+    if (sheet.ownerNode?.dataset?.source) return sheet.ownerNode.dataset.source;
+    if (sheet.href) return sheet.href.split('/').pop().split('?')[0] || sheet.href;
+    return '<style>';
+}
+
+/**
+ * Combine nested media conditions
+ * @param {string|null} outer - Enclosing media condition
+ * @param {string|null} inner - Nested media condition
+ * @returns {string|null} - Combined condition
+ */
+function combineMedia(outer, inner) {
+    if (!inner || inner === 'all') return outer;
+    return outer ? `${outer} and ${inner}` : inner;
+}
+
+/**
+ * Find the rules matching an element, with their declarations
+ * @param {Element} element - Element to match
+ * @param {Array<Object>} styleRules - Collected style rules
+ * @param {boolean} inheritedOnly - Keep only inherited properties, for ancestors
+ * @returns {Array<Object>} - Matched rules, highest priority first
+ */
+function matchRules(element, styleRules, inheritedOnly) {
+    const matched = styleRules
+        .map(({ rule, source, media, order }) => {
+            const selectors = splitSelectorList(rule.selectorText).filter(selector => safeMatches(element, selector));
+            if (selectors.length === 0) return null;
+
+            // The most specific matching selector of a list decides the rule's specificity
+            const [specificity, matchedSelector] = selectors
+                .map(selector => [calculateSpecificity(selector), selector])
+                .sort((a, b) => compareSpecificity(b[0], a[0]))[0];
+
+            return {
+                selector: rule.selectorText,
+                matchedSelector,
+                specificity,
+                source,
+                media,
+                order,
+                declarations: readDeclarations(rule.style, inheritedOnly)
+            };
+        })
+        .filter(Boolean);
+
+    const inlineDeclarations = readDeclarations(element.style, inheritedOnly);
+    if (inlineDeclarations.length > 0) {
+        matched.push({
+            selector: 'element.style',
+            matchedSelector: 'element.style',
+            specificity: [1, 0, 0, 0],
+            source: 'style attribute',
+            media: null,
+            order: Infinity,
+            declarations: inlineDeclarations
+        });
+    }
+
+    return matched.sort((a, b) => compareSpecificity(b.specificity, a.specificity) || b.order - a.order);
+}
+
+/**
+ * Read the declarations of a style declaration block
+ * @param {CSSStyleDeclaration} style - Declaration block
+ * @param {boolean} inheritedOnly - Keep only inherited properties and custom properties
+ * @returns {Array<{property: string, value: string, important: boolean, overridden: boolean}>} - Declarations
+ */
+function readDeclarations(style, inheritedOnly) {
+    return Array.from(style)
+        .filter(property => !inheritedOnly || INHERITED_PROPERTIES.has(property) || property.startsWith('--'))
+        .map(property => ({
+            property,
+            value: style.getPropertyValue(property).trim(),
+            important: style.getPropertyPriority(property) === 'important',
+            overridden: false
+        }));
+}
+
+/**
+ * Mark every declaration that loses the cascade to another one
+ * @param {Array<Array<Object>>} levels - Matched rules of the element and its ancestors
+ */
+function markOverridden(levels) {
+    const decided = new Set();
+
+    levels.forEach(rules => {
+        const winners = new Map();
+
+        rules.forEach(rule => {
+            rule.declarations.forEach(declaration => {
+                const current = winners.get(declaration.property);
+                // Rules are sorted by priority, so only !important can beat an earlier declaration
+                if (!current || (declaration.important && !current.important)) {
+                    winners.set(declaration.property, declaration);
+                }
+            });
+        });
+
+        rules.forEach(rule => {
+            rule.declarations.forEach(declaration => {
+                declaration.overridden = decided.has(declaration.property) ||
+                    winners.get(declaration.property) !== declaration;
+            });
+        });
+
+        // A closer element's value always beats an inherited one
+        winners.forEach((declaration, property) => decided.add(property));
+    });
+}
+
+/**
+ * Compare two specificities
+ * @param {number[]} a - First specificity
+ * @param {number[]} b - Second specificity
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+function compareSpecificity(a, b) {
+    const length = Math.max(a.length, b.length);
+    // Inline styles carry an extra leading component
+    const padA = Array(length - a.length).fill(0).concat(a);
+    const padB = Array(length - b.length).fill(0).concat(b);
+
+    for (let i = 0; i < length; i++) {
+        if (padA[i] !== padB[i]) return padA[i] - padB[i];
+    }
+    return 0;
+}
+
+/**
+ * Get the specificity contributed by a functional pseudo-class
+ * @param {string} name - Pseudo-class name
+ * @param {string} args - Argument text
+ * @param {boolean} isPseudoElement - Whether it was written as a pseudo-element
+ * @returns {number[]} - Specificity to add
+ */
+function getFunctionalSpecificity(name, args, isPseudoElement) {
+    if (isPseudoElement) return [0, 0, 1];
+    if (name === 'where') return [0, 0, 0];
+
+    if (['is', 'not', 'has', 'matches', '-webkit-any'].includes(name)) {
+        return getMaxSpecificity(args);
+    }
+
+    if (['nth-child', 'nth-last-child'].includes(name)) {
+        const ofIndex = args.search(/\sof\s/i);
+        const extra = ofIndex >= 0 ? getMaxSpecificity(args.slice(ofIndex + 4)) : [0, 0, 0];
+        return [extra[0], extra[1] + 1, extra[2]];
+    }
+
+    return [0, 1, 0];
+}
+
+/**
+ * Get the highest specificity in a selector list
+ * @param {string} selectorList - Comma separated selectors
+ * @returns {number[]} - Highest specificity
+ */
+function getMaxSpecificity(selectorList) {
+    return splitSelectorList(selectorList)
+        .map(calculateSpecificity)
+        .sort((a, b) => compareSpecificity(b, a))[0] || [0, 0, 0];
+}
+
+/**
+ * Add one specificity to another in place
+ * @param {number[]} target - Specificity to add to
+ * @param {number[]} addition - Specificity to add
+ */
+function addSpecificity(target, addition) {
+    addition.forEach((value, index) => {
+        target[index] += value;
+    });
+}
+
+/**
+ * Split a selector list on top-level commas
+ * @param {string} selectorList - Selector list
+ * @returns {string[]} - Individual selectors
+ */
+function splitSelectorList(selectorList) {
+    const selectors = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < selectorList.length; i++) {
+        const ch = selectorList[i];
+        if (ch === '\\') {
+            i++;
+        } else if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '(' || ch === '[') {
+            depth++;
+        } else if (ch === ')' || ch === ']') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            selectors.push(selectorList.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    selectors.push(selectorList.slice(start).trim());
+
+    return selectors.filter(Boolean);
+}
+
+/**
+ * Find the bracket closing the one at the given index
+ * @param {string} text - Text to search
+ * @param {number} openIndex - Index of the opening bracket
+ * @param {string} open - Opening bracket
+ * @param {string} close - Closing bracket
+ * @returns {number} - Index of the closing bracket, or the last index if unbalanced
+ */
+function findClosing(text, openIndex, open, close) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = openIndex; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === open) {
+            depth++;
+        } else if (ch === close && --depth === 0) {
+            return i;
+        }
+    }
+    return text.length - 1;
+}
+
+/**
+ * Skip past an identifier, including escapes
+ * @param {string} text - Selector text
+ * @param {number} index - Start index
+ * @returns {number} - Index after the identifier
+ */
+function skipIdentifier(text, index) {
+    let i = index;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+        } else if (/[a-zA-Z0-9_\-\u00a0-\uffff]/.test(text[i])) {
+            i++;
+        } else {
+            break;
+        }
+    }
+    return i;
+}
+
+/**
+ * Test a selector without throwing on syntax the browser doesn't support
+ * @param {Element} element - Element to test
+ * @param {string} selector - Selector
+ * @returns {boolean} - Whether the element matches
+ */
+function safeMatches(element, selector) {
+    try {
+        return element.matches(selector);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the ancestor a given number of levels up
+ * @param {Element} element - Starting element
+ * @param {number} level - Levels to go up
+ * @returns {Element} - Ancestor element
+ */
+function getAncestor(element, level) {
+    let current = element;
+    for (let i = 0; i < level; i++) {
+        current = current.parentElement;
+    }
+    return current;
+}
\ No newline at end of file
@@ -0,0 +1,327 @@
+// Dashboard charts of the click distribution, drawn as inline SVG
+import { escapeHtml, capitalize } from './textFormat.js';
+
+// Elements shown in the Pareto chart; the long tail adds little to the curve
+const PARETO_MAX_ELEMENTS = 40;
+
+const BAR_COLOR = '#6366f1';
+const LINE_COLOR = '#f59e0b';
+const SPLIT_COLORS = ['#6366f1', '#cbd5e1'];
+
+export function setupDashboardCharts(onSegmentSelected) {
+    const paretoChart = document.getElementById('paretoChart');
+    const sectionChart = document.getElementById('sectionChart');
+    const roleChart = document.getElementById('roleChart');
+    const interactiveChart = document.getElementById('interactiveChart');
+    const visibleChart = document.getElementById('visibleChart');
+    const filterChip = document.getElementById('chartFilter');
+
+    // Segments of the last render, looked up by the index stored on each SVG shape
+    let segments = [];
+
+    // Setup event listeners
+    [paretoChart, sectionChart, roleChart, interactiveChart, visibleChart].forEach(chart => {
+        chart.addEventListener('click', e => {
+            const shape = e.target.closest('[data-segment]');
+            if (shape) {
+                onSegmentSelected(segments[shape.dataset.segment]);
+            }
+        });
+    });
+    filterChip.addEventListener('click', e => {
+        if (e.target.closest('[data-clear-chart-filter]')) {
+            onSegmentSelected(null);
+        }
+    });
+
+    /**
+     * Draw all charts from the analysis results
+     * @param {Array} results - All analysis results
+     * @param {string} unit - Metric to chart, "clicks" or "moves"
+     * @param {Object|null} activeFilter - Segment currently filtering the results
+     */
+    function renderCharts(results, unit = 'clicks', activeFilter = null) {
+        segments = [];
+        const getCount = result => result.metrics[unit];
+        const total = results.reduce((acc, result) => acc + getCount(result), 0);
+
+        paretoChart.innerHTML = drawPareto(results, getCount, total, unit, activeFilter);
+        sectionChart.innerHTML = drawBars(
+            groupCounts(results, result => result.context.pageSection || 'unknown', getCount),
+            total, unit, 'section', activeFilter
+        );
+        roleChart.innerHTML = drawBars(
+            groupCounts(results, result => result.element.role || 'none', getCount),
+            total, unit, 'role', activeFilter
+        );
+        interactiveChart.innerHTML = drawSplit(
+            results, getCount, total, unit, 'interactive',
+            result => Boolean(result.element.isInteractive), ['Interactive', 'Not interactive'], activeFilter
+        );
+        visibleChart.innerHTML = drawSplit(
+            results, getCount, total, unit, 'visible',
+            result => Boolean(result.metrics.isVisible), ['Visible', 'Not visible'], activeFilter
+        );
+
+        filterChip.classList.toggle('hidden', !activeFilter);
+        filterChip.innerHTML = activeFilter ? `
+            Filtered by chart: <span class="font-medium">${escapeHtml(activeFilter.label)}</span>
+            <button data-clear-chart-filter class="ml-1 px-1 rounded hover:bg-indigo-200" title="Clear chart filter">&times;</button>
+        ` : '';
+    }
+
+    /**
+     * Draw per-element shares as bars with the cumulative share as a line
+     * @param {Array} results - Analysis results
+     * @param {Function} getCount - Reads the charted count of a result
+     * @param {number} total - Charted count of all results
+     * @param {string} unit - Charted metric, "clicks" or "moves"
+     * @param {Object|null} activeFilter - Segment currently filtering the results
+     * @returns {string} - SVG markup
+     */
+    function drawPareto(results, getCount, total, unit, activeFilter) {
+        const ranked = [...results].sort((a, b) => getCount(b) - getCount(a)).slice(0, PARETO_MAX_ELEMENTS);
+        if (ranked.length === 0 || total === 0) {
+            return emptyChart(unit);
+        }
+
+        const width = 600;
+        const height = 220;
+        const left = 36;
+        const right = 40;
+        const top = 10;
+        const bottom = 24;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const step = plotWidth / ranked.length;
+        const maxShare = (getCount(ranked[0]) / total) * 100;
+
+        let cumulative = 0;
+        const points = [];
+        const columns = ranked.map((result, index) => {
+            const share = (getCount(result) / total) * 100;
+            cumulative += share;
+            const x = left + index * step;
+            const barHeight = (share / maxShare) * plotHeight;
+            points.push(`${x + step / 2},${top + plotHeight - (cumulative / 100) * plotHeight}`);
+
+            // Clicking a column keeps the elements up to and including it
+            const selectors = ranked.slice(0, index + 1).map(item => item.selector);
+            const segment = addSegment({
+                type: 'top',
+                value: index + 1,
+                selectors,
+                label: `Top ${index + 1} elements (${round(cumulative)}% of ${unit})`
+            });
+            const isActive = activeFilter?.type === 'top' && index < activeFilter.value;
+
+            return `
+                <g data-segment="${segment}" class="cursor-pointer">
+                    <title>#${index + 1} ${escapeHtml(result.selector)}: ${round(share)}% of ${unit}, ${round(cumulative)}% cumulative</title>
+                    <rect x="${x}" y="${top}" width="${step}" height="${plotHeight}" fill="transparent"/>
+                    <rect x="${x + step * 0.15}" y="${top + plotHeight - barHeight}" width="${step * 0.7}" height="${barHeight}"
+                          fill="${BAR_COLOR}" opacity="${!activeFilter || isActive ? 1 : 0.35}"/>
+                </g>
+            `;
+        }).join('');
+
+        const eighty = top + plotHeight * 0.2;
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="Pareto chart of ${unit} by element">
+                <line x1="${left}" y1="${top + plotHeight}" x2="${width - right}" y2="${top + plotHeight}" stroke="#d1d5db"/>
+                <line x1="${left}" y1="${eighty}" x2="${width - right}" y2="${eighty}" stroke="#d1d5db" stroke-dasharray="4 4"/>
+                <text x="${width - right + 4}" y="${eighty + 4}" font-size="10" fill="#6b7280">80%</text>
+                <text x="${width - right + 4}" y="${top + 4}" font-size="10" fill="#6b7280">100%</text>
+                <text x="${left - 4}" y="${top + 8}" font-size="10" fill="#6b7280" text-anchor="end">${round(maxShare)}%</text>
+                <text x="${left - 4}" y="${top + plotHeight}" font-size="10" fill="#6b7280" text-anchor="end">0%</text>
+                <text x="${left}" y="${height - 6}" font-size="10" fill="#6b7280">Elements ranked by ${unit} (top ${ranked.length} of ${results.length})</text>
+                ${columns}
+                <polyline points="${points.join(' ')}" fill="none" stroke="${LINE_COLOR}" stroke-width="2" pointer-events="none"/>
+            </svg>
+        `;
+    }
+
+    /**
+     * Draw horizontal bars of grouped counts
+     * @param {Array<{name: string, count: number, elements: number}>} groups - Groups, largest first
+     * @param {number} total - Charted count of all results
+     * @param {string} unit - Charted metric, "clicks" or "moves"
+     * @param {string} type - Segment type of the bars, "section" or "role"
+     * @param {Object|null} activeFilter - Segment currently filtering the results
+     * @returns {string} - SVG markup
+     */
+    function drawBars(groups, total, unit, type, activeFilter) {
+        if (groups.length === 0 || total === 0) {
+            return emptyChart(unit);
+        }
+
+        const width = 300;
+        const rowHeight = 24;
+        const labelWidth = 100;
+        const valueWidth = 44;
+        const barWidth = width - labelWidth - valueWidth;
+        const max = groups[0].count;
+
+        const rows = groups.map((group, index) => {
+            const share = (group.count / total) * 100;
+            const y = index * rowHeight;
+            const segment = addSegment({ type, value: group.name, label: `${capitalize(type)}: ${group.name}` });
+            const isActive = activeFilter?.type === type && activeFilter.value === group.name;
+
+            return `
+                <g data-segment="${segment}" class="cursor-pointer">
+                    <title>${escapeHtml(group.name)}: ${group.count} ${unit} (${round(share)}%), ${group.elements} elements</title>
+                    <rect x="0" y="${y}" width="${width}" height="${rowHeight}" fill="transparent"/>
+                    <text x="${labelWidth - 6}" y="${y + 16}" font-size="11" fill="#374151" text-anchor="end">${escapeHtml(truncate(group.name, 16))}</text>
+                    <rect x="${labelWidth}" y="${y + 5}" width="${Math.max(1, (group.count / max) * barWidth)}" height="${rowHeight - 10}" rx="2"
+                          fill="${BAR_COLOR}" opacity="${!activeFilter || isActive ? 1 : 0.35}"/>
+                    <text x="${width}" y="${y + 16}" font-size="11" fill="#6b7280" text-anchor="end">${round(share)}%</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${width} ${groups.length * rowHeight}" class="w-full h-auto" role="img" aria-label="${unit} by ${type}">
+                ${rows}
+            </svg>
+        `;
+    }
+
+    /**
+     * Draw a two-part share bar, e.g. interactive vs not interactive
+     * @param {Array} results - Analysis results
+     * @param {Function} getCount - Reads the charted count of a result
+     * @param {number} total - Charted count of all results
+     * @param {string} unit - Charted metric, "clicks" or "moves"
+     * @param {string} type - Segment type of the split, "interactive" or "visible"
+     * @param {Function} predicate - Whether a result belongs to the first part
+     * @param {string[]} labels - Labels of the first and second part
+     * @param {Object|null} activeFilter - Segment currently filtering the results
+     * @returns {string} - SVG markup
+     */
+    function drawSplit(results, getCount, total, unit, type, predicate, labels, activeFilter) {
+        if (results.length === 0 || total === 0) {
+            return emptyChart(unit);
+        }
+
+        const width = 300;
+        const count = results.filter(predicate).reduce((acc, result) => acc + getCount(result), 0);
+        const parts = [
+            { value: true, label: labels[0], count },
+            { value: false, label: labels[1], count: total - count }
+        ];
+
+        let x = 0;
+        const shapes = parts.map((part, index) => {
+            const share = (part.count / total) * 100;
+            const partWidth = (share / 100) * width;
+            const segment = addSegment({ type, value: part.value, label: part.label });
+            const isActive = activeFilter?.type === type && activeFilter.value === part.value;
+            const shape = `
+                <g data-segment="${segment}" class="cursor-pointer">
+                    <title>${part.label}: ${part.count} ${unit} (${round(share)}%)</title>
+                    <rect x="${x}" y="0" width="${partWidth}" height="28" fill="${SPLIT_COLORS[index]}"
+                          opacity="${!activeFilter || isActive ? 1 : 0.35}"/>
+                    <rect x="${index * 150}" y="34" width="10" height="10" fill="${SPLIT_COLORS[index]}"/>
+                    <text x="${index * 150 + 14}" y="43" font-size="11" fill="#374151">${part.label} ${round(share)}%</text>
+                </g>
+            `;
+            x += partWidth;
+            return shape;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${width} 48" class="w-full h-auto" role="img" aria-label="${labels[0]} vs ${labels[1].toLowerCase()} share of ${unit}">
+                ${shapes}
+            </svg>
+        `;
+    }
+
+    /**
+     * Remember a clickable segment
+     * @param {Object} segment - Segment filter
+     * @returns {number} - Segment index
+     */
+    function addSegment(segment) {
+        segments.push(segment);
+        return segments.length - 1;
+    }
+
+    /**
+     * Placeholder for a chart without data
+     * @param {string} unit - Charted metric
+     * @returns {string} - HTML markup
+     */
+    function emptyChart(unit) {
+        return `<p class="py-6 text-center text-sm text-gray-400">No ${unit} recorded on matched elements.</p>`;
+    }
+
+    // Return public interface
+    return {
+        renderCharts
+    };
+}
+
+/**
+ * Check whether a result belongs to the chart segment filtering the results
+ * @param {Object} result - Analysis result
+ * @param {Object|null} filter - Selected chart segment
+ * @returns {boolean} - Whether the result is kept
+ */
+export function matchesChartFilter(result, filter) {
+    if (!filter) return true;
+
+    switch (filter.type) {
+        case 'top':
+            return filter.selectors.includes(result.selector);
+        case 'section':
+            return (result.context.pageSection || 'unknown') === filter.value;
+        case 'role':
+            return (result.element.role || 'none') === filter.value;
+        case 'interactive':
+            return Boolean(result.element.isInteractive) === filter.value;
+        case 'visible':
+            return Boolean(result.metrics.isVisible) === filter.value;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Sum a metric per group, largest first
+ * @param {Array} results - Analysis results
+ * @param {Function} getKey - Group name of a result
+ * @param {Function} getCount - Metric of a result
+ * @returns {Array<{name: string, count: number, elements: number}>} - Groups
+ */
+function groupCounts(results, getKey, getCount) {
+    const groups = new Map();
+    results.forEach(result => {
+        const name = getKey(result);
+        const group = groups.get(name) || { name, count: 0, elements: 0 };
+        group.count += getCount(result);
+        group.elements++;
+        groups.set(name, group);
+    });
+    return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Round a percentage for display
+ * @param {number} value - Percentage
+ * @returns {number} - Rounded to one decimal
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Shorten a label to fit the chart
+ * @param {string} text - Label
+ * @param {number} length - Maximum length
+ * @returns {string} - Shortened label
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+// IndexedDB storage shared by the analysis cache and other persisted data
+
+const DB_NAME = 'hotjar-analyzer';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+/**
+ * Open the database, creating or upgrading its stores
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                // Each version only adds what it introduced, so older databases upgrade step by step
+                if (event.oldVersion < 1) {
+                    const cache = db.createObjectStore('analysisCache', { keyPath: 'key' });
+                    cache.createIndex('site', 'site');
+                    cache.createIndex('model', 'model');
+                }
+                if (event.oldVersion < 2) {
+                    const projects = db.createObjectStore('projects', { keyPath: 'id' });
+                    projects.createIndex('updatedAt', 'updatedAt');
+                }
+                if (event.oldVersion < 3) {
+                    const triage = db.createObjectStore('triage', { keyPath: ['page', 'selector'] });
+                    triage.createIndex('page', 'page');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The database is open in another tab with an older version'));
+        }).catch(error => {
+            // Allow another attempt, e.g. after the other tab is closed
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Read one record
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} - Record, if present
+ */
+export async function getRecord(storeName, key) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+/**
+ * Read every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array<Object>>} - Records
+ */
+export async function getAllRecords(storeName) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+/**
+ * Read the records with a given index value
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index name
+ * @param {*} value - Index value
+ * @returns {Promise<Array<Object>>} - Records
+ */
+export async function getRecordsByIndex(storeName, indexName, value) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).index(indexName).getAll(value));
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record to store
+ * @returns {Promise<void>}
+ */
+export async function putRecord(storeName, record) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).put(record);
+    return promisifyTransaction(transaction);
+}
+
+/**
+ * Delete one record
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(storeName, key) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).delete(key);
+    return promisifyTransaction(transaction);
+}
+
+/**
+ * Delete the records matching a predicate
+ * @param {string} storeName - Object store name
+ * @param {Function} predicate - Returns true for records to delete
+ * @returns {Promise<number>} - Number of deleted records
+ */
+export async function deleteRecords(storeName, predicate) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    let deleted = 0;
+
+    store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        if (predicate(cursor.value)) {
+            cursor.delete();
+            deleted++;
+        }
+        cursor.continue();
+    };
+
+    await promisifyTransaction(transaction);
+    return deleted;
+}
+
+/**
+ * Wrap a request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
\ No newline at end of file
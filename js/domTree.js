@@ -0,0 +1,175 @@
+// Searchable tree of the fetched DOM for picking elements by hand
+import { buildUniqueSelector } from './selectorResolver.js';
+import { escapeHtml } from './textFormat.js';
+
+export function setupDomTree() {
+    const modal = document.getElementById('domTreeModal');
+    const targetElement = document.getElementById('domTreeTarget');
+    const searchInput = document.getElementById('domTreeSearch');
+    const treeContainer = document.getElementById('domTree');
+    const cancelButton = document.getElementById('domTreeCancel');
+
+    const maxSearchResults = 200;
+    let currentDoc = null;
+    let resolvePick = null;
+
+    // Setup event listeners
+    searchInput.addEventListener('input', () => renderTree(searchInput.value.trim()));
+    cancelButton.addEventListener('click', () => close(null));
+    modal.addEventListener('click', e => {
+        if (e.target === modal) close(null);
+    });
+
+    /**
+     * Let the user pick the element a Hotjar row should be matched to
+     * @param {Document} doc - Fetched page document
+     * @param {string} selector - Unmatched Hotjar selector
+     * @returns {Promise<string|null>} - Unique selector of the picked element, or null if cancelled
+     */
+    function pickElement(doc, selector) {
+        currentDoc = doc;
+        targetElement.textContent = selector;
+        searchInput.value = '';
+        renderTree('');
+        modal.classList.remove('hidden');
+        searchInput.focus();
+
+        return new Promise(resolve => {
+            resolvePick = resolve;
+        });
+    }
+
+    /**
+     * Close the picker and settle the pending pick
+     * @param {string|null} selector - Picked selector, or null if cancelled
+     */
+    function close(selector) {
+        modal.classList.add('hidden');
+        treeContainer.innerHTML = '';
+        if (resolvePick) {
+            resolvePick(selector);
+            resolvePick = null;
+        }
+    }
+
+    /**
+     * Render the collapsible tree, or a flat list of matches while searching
+     * @param {string} query - Search query
+     */
+    function renderTree(query) {
+        treeContainer.innerHTML = '';
+
+        if (query.length < 2) {
+            treeContainer.appendChild(createNode(currentDoc.body, 0, true));
+            return;
+        }
+
+        const lowerQuery = query.toLowerCase();
+        const matches = Array.from(currentDoc.body.querySelectorAll('*'))
+            .filter(element => getSearchText(element).includes(lowerQuery))
+            .slice(0, maxSearchResults);
+
+        if (matches.length === 0) {
+            treeContainer.innerHTML = '<p class="p-3 text-gray-400">No elements match your search.</p>';
+            return;
+        }
+
+        matches.forEach(element => {
+            const row = createRow(element, 0);
+            const path = document.createElement('p');
+            path.className = 'pl-6 pb-1 text-gray-400 truncate';
+            path.textContent = buildUniqueSelector(element);
+            treeContainer.appendChild(row);
+            treeContainer.appendChild(path);
+        });
+    }
+
+    /**
+     * Create a tree node whose children are rendered when it is expanded
+     * @param {Element} element - DOM element
+     * @param {number} depth - Nesting depth
+     * @param {boolean} expanded - Whether to render children immediately
+     * @returns {HTMLElement} - Tree node
+     */
+    function createNode(element, depth, expanded = false) {
+        const node = document.createElement('div');
+        const row = createRow(element, depth);
+        const children = document.createElement('div');
+        const toggle = row.querySelector('[data-toggle]');
+
+        node.appendChild(row);
+        node.appendChild(children);
+
+        const expand = () => {
+            Array.from(element.children).forEach(child => {
+                children.appendChild(createNode(child, depth + 1));
+            });
+            toggle.textContent = '▾';
+        };
+
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                if (children.childElementCount > 0) {
+                    children.innerHTML = '';
+                    toggle.textContent = '▸';
+                } else {
+                    expand();
+                }
+            });
+            if (expanded) expand();
+        }
+
+        return node;
+    }
+
+    /**
+     * Create a row describing an element with a select button
+     * @param {Element} element - DOM element
+     * @param {number} depth - Nesting depth
+     * @returns {HTMLElement} - Row element
+     */
+    function createRow(element, depth) {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2 py-0.5 hover:bg-gray-50 group';
+        row.style.paddingLeft = `${depth * 12}px`;
+
+        const text = element.children.length === 0 ? element.textContent.trim().slice(0, 40) : '';
+
+        row.innerHTML = `
+            ${element.children.length > 0
+                ? '<button data-toggle class="w-4 text-gray-400 hover:text-gray-700">▸</button>'
+                : '<span class="w-4"></span>'}
+            <span class="text-purple-600">&lt;${element.tagName.toLowerCase()}&gt;</span>
+            ${element.id ? `<span class="text-orange-600">#${escapeHtml(element.id)}</span>` : ''}
+            ${element.classList.length ? `<span class="text-blue-600 truncate max-w-xs">.${escapeHtml(Array.from(element.classList).join('.'))}</span>` : ''}
+            ${text ? `<span class="text-gray-500 truncate max-w-xs">"${escapeHtml(text)}"</span>` : ''}
+            <button data-select class="ml-auto px-2 py-0.5 text-indigo-600 rounded hover:bg-indigo-100 opacity-0 group-hover:opacity-100">
+                Select
+            </button>
+        `;
+
+        row.querySelector('[data-select]').addEventListener('click', () => close(buildUniqueSelector(element)));
+        return row;
+    }
+
+    /**
+     * Get the text an element can be found by
+     * @param {Element} element - DOM element
+     * @returns {string} - Lowercase tag, ID, classes, labels and short text
+     */
+    function getSearchText(element) {
+        return [
+            element.tagName,
+            element.id,
+            element.className && typeof element.className === 'string' ? element.className : '',
+            element.getAttribute('aria-label'),
+            element.getAttribute('title'),
+            element.children.length === 0 ? element.textContent.slice(0, 200) : ''
+        ].filter(Boolean).join(' ').toLowerCase();
+    }
+
+    // Return public interface
+    return {
+        pickElement
+    };
+}
\ No newline at end of file
@@ -1,5 +1,7 @@
 // Element visualization functionality
 import html2canvas from 'https://cdn.skypack.dev/html2canvas';
+import { resolveCascade } from './cssCascade.js';
+import { auditAccessibility } from './accessibilityAudit.js';
 
 export async function visualizeElement(selector, websiteCode) {
     // Create a temporary container for rendering
@@ -22,6 +24,7 @@ export async function visualizeElement(selector, websiteCode) {
         
         // Add website styles
         const styleEl = iframe.contentDocument.createElement('style');
+        styleEl.dataset.source = 'fetched stylesheets';
         styleEl.textContent = websiteCode.css.join('\n');
         iframe.contentDocument.head.appendChild(styleEl);
         
@@ -43,17 +46,21 @@ export async function visualizeElement(selector, websiteCode) {
         // Generate DOM path visualization
         const domPath = generateDOMPath(element);
 
-        // Capture element screenshot
-        const canvas = await html2canvas(element, {
-            backgroundColor: null,
-            scale: 0.5 // Scale down for thumbnail
-        });
+        // Resolve the rules that apply to the element while its styles are live
+        const cascade = resolveCascade(element);
 
-        // Clean up
-        container.remove();
+        // Accessibility checks need the computed styles and layout of the rendered page
+        const accessibility = auditAccessibility(element);
+
+        // Read everything that needs the live document before the container is removed
+        const pageHeight = iframe.contentDocument.documentElement.scrollHeight;
+        const style = getComputedStyles(element);
+
+        // Capture element screenshot
+        const screenshot = await captureScreenshot(element);
 
         return {
-            screenshot: canvas.toDataURL(),
+            screenshot,
             domPath,
             position: {
                 x: rect.x,
@@ -61,13 +68,34 @@ export async function visualizeElement(selector, websiteCode) {
                 width: rect.width,
                 height: rect.height
             },
-            style: getComputedStyles(element),
+            // Full document height, used to place the element on the scroll-depth curve
+            pageHeight,
+            style,
+            cascade,
+            accessibility,
             context: positionInfo
         };
 
     } catch (error) {
         console.error('Visualization error:', error);
+        return null;
+    } finally {
+        // Clean up
         container.remove();
+    }
+}
+
+// html2canvas fails on some real pages, e.g. on colour functions it can't parse,
+// which shouldn't cost the element its audit and cascade
+async function captureScreenshot(element) {
+    try {
+        const canvas = await html2canvas(element, {
+            backgroundColor: null,
+            scale: 0.5 // Scale down for thumbnail
+        });
+        return canvas.toDataURL();
+    } catch (error) {
+        console.warn('Screenshot failed:', error);
         return null;
     }
 }
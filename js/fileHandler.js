@@ -1,21 +1,69 @@
 // File upload and parsing functionality
+import { parseFileMetadata } from './heatmapMetadata.js';
+import { parseHeatmapFile } from './heatmapProcessing.js';
+import { escapeHtml } from './textFormat.js';
 
-export function setupFileHandler(onDataParsed) {
-    const dropZone = document.getElementById('dropZone');
-    const fileInput = document.getElementById('file-upload');
+// Multi-hundred-MB exports are streamed through a worker, so the limit only guards against runaway files
+const MAX_FILE_SIZE = 500 * 1024 * 1024;
+
+// Text files up to this size keep their original text in saved projects
+const MAX_STORED_CSV_SIZE = 10 * 1024 * 1024;
+
+// Hotjar's CSV, and the formats Excel re-saves it in ("Unicode Text" is a tab-delimited .txt)
+const ACCEPTED_EXTENSIONS = ['.csv', '.tsv', '.txt', '.xlsx'];
+
+// Rows shown per file before the import is confirmed
+const PREVIEW_ROWS = 5;
+
+const TYPE_LABELS = {
+    click: 'Click export',
+    move: 'Move export',
+    scroll: 'Scroll-depth export'
+};
+
+export function setupFileHandler(onDataParsed, onComparisonParsed, onParseProgress = () => {}) {
     const errorElement = document.getElementById('fileError');
+    const previewElement = document.getElementById('importPreview');
+    const previewList = document.getElementById('importPreviewList');
+
+    // Resolves the preview waiting for confirmation, if any
+    let resolvePreview = null;
 
-    // Setup event listeners
-    dropZone.addEventListener('dragover', handleDragOver);
-    dropZone.addEventListener('dragleave', handleDragLeave);
-    dropZone.addEventListener('drop', handleDrop);
-    fileInput.addEventListener('change', handleFileSelect);
+    document.getElementById('confirmImportBtn').addEventListener('click', () => closePreview(true));
+    document.getElementById('cancelImportBtn').addEventListener('click', () => closePreview(false));
+
+    // Setup event listeners for the primary and the comparison upload.
+    // The primary upload takes several exports (click, move, scroll) of one page.
+    bindUploadTarget(
+        document.getElementById('dropZone'),
+        document.getElementById('file-upload'),
+        files => processFiles(files, onDataParsed)
+    );
+    bindUploadTarget(
+        document.getElementById('comparisonDropZone'),
+        document.getElementById('comparison-upload'),
+        files => processFiles(files.slice(0, 1), datasets => onComparisonParsed(datasets[0]))
+    );
+
+    /**
+     * Wire drag and drop and file selection for an upload area
+     * @param {HTMLElement} dropZone - The drop zone element
+     * @param {HTMLInputElement} fileInput - The file input inside the drop zone
+     * @param {Function} onFiles - Callback receiving the selected files
+     */
+    function bindUploadTarget(dropZone, fileInput, onFiles) {
+        dropZone.addEventListener('dragover', e => handleDragOver(e, dropZone));
+        dropZone.addEventListener('dragleave', e => handleDragLeave(e, dropZone));
+        dropZone.addEventListener('drop', e => handleDrop(e, dropZone, onFiles));
+        fileInput.addEventListener('change', e => handleFileSelect(e, onFiles));
+    }
 
     /**
      * Handle file drag over event
      * @param {DragEvent} e - The drag event
+     * @param {HTMLElement} dropZone - The drop zone being dragged over
      */
-    function handleDragOver(e) {
+    function handleDragOver(e, dropZone) {
         e.preventDefault();
         e.stopPropagation();
         dropZone.classList.add('drag-active');
@@ -24,8 +72,9 @@ export function setupFileHandler(onDataParsed) {
     /**
      * Handle file drag leave event
      * @param {DragEvent} e - The drag event
+     * @param {HTMLElement} dropZone - The drop zone being left
      */
-    function handleDragLeave(e) {
+    function handleDragLeave(e, dropZone) {
         e.preventDefault();
         e.stopPropagation();
         dropZone.classList.remove('drag-active');
@@ -34,48 +83,66 @@ export function setupFileHandler(onDataParsed) {
     /**
      * Handle file drop event
      * @param {DragEvent} e - The drop event
+     * @param {HTMLElement} dropZone - The drop zone receiving the files
+     * @param {Function} onFiles - Callback receiving the dropped files
      */
-    function handleDrop(e) {
+    function handleDrop(e, dropZone, onFiles) {
         e.preventDefault();
         e.stopPropagation();
         dropZone.classList.remove('drag-active');
 
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-            processFile(files[0]);
+            onFiles(Array.from(files));
         }
     }
 
     /**
      * Handle file selection from input
      * @param {Event} e - The change event
+     * @param {Function} onFiles - Callback receiving the selected files
      */
-    function handleFileSelect(e) {
+    function handleFileSelect(e, onFiles) {
         const files = e.target.files;
         if (files.length > 0) {
-            processFile(files[0]);
+            onFiles(Array.from(files));
         }
     }
 
     /**
-     * Process the uploaded file
-     * @param {File} file - The uploaded file
+     * Process the uploaded files
+     * @param {File[]} files - The uploaded files
+     * @param {Function} onParsed - Callback receiving the parsed datasets
      */
-    async function processFile(file) {
+    async function processFiles(files, onParsed = onDataParsed) {
         try {
-            // Reset error state
+            // Reset error state; a new upload replaces a preview still waiting for confirmation
             hideError();
+            closePreview(false);
 
-            // Validate file
-            if (!isValidFile(file)) {
-                throw new Error('Please upload a valid CSV file');
+            // Parse all files first so several exports are analyzed together
+            const datasets = [];
+            try {
+                for (const [index, file] of files.entries()) {
+                    datasets.push(await processFile(file, progress => onParseProgress({
+                        ...progress,
+                        fileName: file.name,
+                        fileIndex: index,
+                        fileCount: files.length
+                    })));
+                }
+            } finally {
+                // Parsing is over, whether it succeeded or not
+                onParseProgress(null);
+            }
+
+            // Nothing is analyzed until the user has checked how the files were read
+            if (!await confirmImport(datasets)) {
+                return;
             }
 
-            // Parse and validate CSV file
-            const data = await parseHotjarCSV(file);
-            
             // Call the callback with the parsed data
-            await onDataParsed(data);
+            await onParsed(datasets);
 
         } catch (error) {
             showError(error.message);
@@ -83,6 +150,37 @@ export function setupFileHandler(onDataParsed) {
         }
     }
 
+    /**
+     * Process a single uploaded file
+     * @param {File} file - The uploaded file
+     * @param {Function} onProgress - Callback receiving {rowsParsed, bytesParsed, totalBytes}
+     * @returns {Promise<Object>} - Parsed heatmap dataset with file metadata
+     */
+    async function processFile(file, onProgress) {
+        // Validate file
+        if (!isValidFile(file)) {
+            throw new Error('Please upload a valid CSV, TSV or XLSX file');
+        }
+
+        // Parse and validate the file in a worker, streaming text exports in chunks
+        const data = await parseHeatmapFile(file, onProgress);
+
+        // Keep the original text for saved projects, unless it would bloat them
+        const csv = data.format.type !== 'xlsx' && file.size <= MAX_STORED_CSV_SIZE
+            ? new TextDecoder(data.format.encoding).decode(await file.arrayBuffer())
+            : null;
+
+        // Pull market, heatmap ID, type, device and export time from the filename
+        const metadata = parseFileMetadata(file.name);
+
+        // Prefer the detected layout over the type named in the filename
+        return {
+            ...data,
+            csv,
+            metadata: { ...metadata, heatmapType: data.type }
+        };
+    }
+
     /**
      * Validate file type and size
      * @param {File} file - The file to validate
@@ -90,72 +188,119 @@ export function setupFileHandler(onDataParsed) {
      */
     function isValidFile(file) {
         // Check file type
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            throw new Error('Please upload a CSV file');
+        if (!ACCEPTED_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))) {
+            throw new Error('Please upload a CSV, TSV or XLSX file');
         }
 
-        // Check file size (max 10MB)
-        const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-        if (file.size > maxSize) {
-            throw new Error('File size must be less than 10MB');
+        // Check file size
+        if (file.size > MAX_FILE_SIZE) {
+            throw new Error(`File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
         }
 
         return true;
     }
 
     /**
-     * Parse Hotjar CSV file
-     * @param {File} file - The CSV file to parse
-     * @returns {Promise<Array>} - Parsed CSV data
+     * Show the first rows of each parsed file and wait for the user to import or cancel
+     * @param {Array<Object>} datasets - Parsed heatmap datasets
+     * @returns {Promise<boolean>} - Whether to import the files
      */
-    function parseHotjarCSV(file) {
-        return new Promise((resolve, reject) => {
-            Papa.parse(file, {
-                header: true,
-                skipEmptyLines: true,
-                transformHeader: header => header.trim(), // Trim whitespace from headers
-                complete: (results) => {
-                    try {
-                        if (results.errors.length > 0) {
-                            throw new Error('Failed to parse CSV file: ' + results.errors[0].message);
-                        }
-
-                        // Log headers for debugging
-                        console.log('CSV Headers:', results.meta.fields);
-                        
-                        // Check for required columns
-                        const requiredColumns = ['Element CSS selector', 'Total # of clicks'];
-                        const missingColumns = requiredColumns.filter(col => !results.meta.fields.includes(col));
-                        
-                        if (missingColumns.length > 0) {
-                            throw new Error(
-                                'CSV file is missing required columns: ' + missingColumns.join(', ') + '\n' +
-                                'Available columns: ' + results.meta.fields.join(', ')
-                            );
-                        }
-
-                        // Transform the data directly
-                        const transformedData = results.data.map(row => ({
-                            selector: row['Element CSS selector'],
-                            clicks: parseInt(row['Total # of clicks']) || 0,
-                            moves: 0, // We don't have this data
-                            scrolls: 0, // We don't have this data
-                            visible: row['Visible in image'] === 'Yes',
-                            percentage: parseFloat((row['% of total'] || '0').replace(/[^0-9.]/g, '')) || 0
-                        }));
-
-                        resolve(transformedData);
-                    } catch (error) {
-                        reject(error);
-                    }
-                },
-                error: (error) => {
-                    reject(new Error('Failed to parse CSV file: ' + error.message));
-                }
-            });
+    function confirmImport(datasets) {
+        previewList.innerHTML = datasets.map(createPreview).join('');
+        previewElement.classList.remove('hidden');
+        previewElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        return new Promise(resolve => {
+            resolvePreview = resolve;
         });
     }
 
+    /**
+     * Hide the import preview and settle the upload waiting on it
+     * @param {boolean} confirmed - Whether the user chose to import
+     */
+    function closePreview(confirmed) {
+        previewElement.classList.add('hidden');
+        previewList.innerHTML = '';
+        if (resolvePreview) {
+            resolvePreview(confirmed);
+            resolvePreview = null;
+        }
+    }
+
+    /**
+     * Create the preview of one parsed file
+     * @param {Object} dataset - Parsed heatmap dataset
+     * @returns {string} - HTML string
+     */
+    function createPreview(dataset) {
+        const isScroll = dataset.type === 'scroll';
+        const rows = isScroll ? dataset.scrollDepth : dataset.rows;
+        const countKey = dataset.type === 'move' ? 'moves' : 'clicks';
+        const headers = isScroll
+            ? ['Depth', 'Reached']
+            : ['Selector', countKey === 'moves' ? 'Moves' : 'Clicks', 'Visible', 'Share'];
+
+        return `
+            <div class="p-3">
+                <p class="text-sm font-medium text-gray-900 break-all">${escapeHtml(dataset.metadata.fileName)}</p>
+                <p class="mt-1 text-xs text-gray-500">
+                    ${TYPE_LABELS[dataset.type]} · ${rows.length.toLocaleString()} ${rows.length === 1 ? 'row' : 'rows'} · ${escapeHtml(describeFormat(dataset.format))}
+                </p>
+                <div class="mt-2 overflow-x-auto">
+                    <table class="min-w-full text-xs">
+                        <thead>
+                            <tr class="text-left text-gray-500">
+                                ${headers.map(header => `<th class="py-1 pr-4 font-medium">${header}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody class="text-gray-700">
+                            ${rows.slice(0, PREVIEW_ROWS).map(row => `
+                                <tr class="border-t border-gray-100">
+                                    ${isScroll ? `
+                                        <td class="py-1 pr-4">${row.depth}%</td>
+                                        <td class="py-1 pr-4">${row.reached}%</td>
+                                    ` : `
+                                        <td class="py-1 pr-4 font-mono break-all">${escapeHtml(row.selector)}</td>
+                                        <td class="py-1 pr-4">${row[countKey].toLocaleString()}</td>
+                                        <td class="py-1 pr-4">${row.visible ? 'Yes' : 'No'}</td>
+                                        <td class="py-1 pr-4">${row.percentage}%</td>
+                                    `}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe how a file was read, e.g. "CSV, semicolon-delimited, UTF-8 with BOM, decimal comma"
+     * @param {Object} format - Format detected while parsing
+     * @returns {string} - Format description
+     */
+    function describeFormat(format) {
+        const parts = format.type === 'xlsx'
+            ? ['XLSX', `sheet "${format.sheet}"`]
+            : [
+                format.type === 'tsv' ? 'TSV' : `CSV, ${format.delimiter}-delimited`,
+                `${formatEncoding(format.encoding)}${format.hasBom ? ' with BOM' : ''}`
+            ];
+
+        parts.push(format.decimalSeparator === ',' ? 'decimal comma' : 'decimal point');
+        return parts.join(', ');
+    }
+
+    /**
+     * Format an encoding label for display
+     * @param {string} encoding - TextDecoder encoding label
+     * @returns {string} - Display name
+     */
+    function formatEncoding(encoding) {
+        return encoding === 'windows-1252' ? 'Windows-1252' : encoding.toUpperCase();
+    }
+
     function showError(message) {
         errorElement.textContent = message;
         errorElement.classList.remove('hidden');
@@ -168,7 +313,7 @@ export function setupFileHandler(onDataParsed) {
 
     // Return public interface
     return {
-        processFile,
+        processFiles,
         isValidFile
     };
 }
\ No newline at end of file
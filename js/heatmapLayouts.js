@@ -0,0 +1,224 @@
+// Detection, normalization and merging of Hotjar heatmap CSV layouts, and how much of the merged activity was matched
+
+const COLUMN_PATTERNS = {
+    selector: /css selector|^selector$|^element$/i,
+    clicks: /#\s*of\s*clicks|^clicks$|total clicks/i,
+    moves: /#\s*of\s*(moves|hovers)|^moves$|total moves|mouse move/i,
+    visible: /^visible/i,
+    percentage: /% of total|^%$|^percentage$/i,
+    depth: /scroll depth|^depth|% of page|page position/i,
+    reached: /reached|% of (visitors|users|sessions)/i,
+    visitors: /#\s*of\s*(visitors|users|sessions)|^visitors$/i
+};
+
+// Columns holding decimals, whose separator depends on the locale the export was saved in
+const DECIMAL_COLUMNS = ['percentage', 'depth', 'reached'];
+
+// Rows sampled to detect the decimal separator
+const DECIMAL_SAMPLE_ROWS = 200;
+
+/**
+ * Detect which kind of heatmap a CSV export contains
+ * @param {string[]} fields - CSV header fields
+ * @returns {{type: string, columns: Object}|null} - Heatmap type (click, move or scroll) and matched columns
+ */
+export function detectLayout(fields) {
+    const columns = Object.fromEntries(
+        Object.entries(COLUMN_PATTERNS).map(([key, pattern]) => [
+            key,
+            fields.find(field => pattern.test(field)) || null
+        ])
+    );
+
+    if (columns.selector && columns.clicks) {
+        return { type: 'click', columns };
+    }
+    if (columns.selector && columns.moves) {
+        return { type: 'move', columns };
+    }
+    // Scroll-depth exports list reach per page depth instead of selectors
+    if (!columns.selector && columns.depth && (columns.reached || columns.visitors)) {
+        return { type: 'scroll', columns };
+    }
+
+    return null;
+}
+
+/**
+ * Detect whether an export writes decimals as "6.04%" or, as re-saved in many European locales, "6,04 %"
+ * @param {Array<Object>} rows - Rows keyed by CSV header
+ * @param {Object} columns - Matched column names
+ * @returns {string} - Decimal separator, "." or ","
+ */
+export function detectDecimalSeparator(rows, columns) {
+    const values = rows.slice(0, DECIMAL_SAMPLE_ROWS).flatMap(row => DECIMAL_COLUMNS
+        .filter(key => columns[key])
+        .map(key => String(row[columns[key]] || '')));
+
+    // Shares and depths stay below 1000, so a comma between digits can only be a decimal comma
+    const hasDecimalComma = values.some(value => /\d,\d/.test(value));
+    const hasDecimalPoint = values.some(value => /\d\.\d/.test(value));
+    return hasDecimalComma && !hasDecimalPoint ? ',' : '.';
+}
+
+/**
+ * Normalize parsed CSV rows into the shared heatmap data model
+ * @param {Array<Object>} rows - Rows keyed by CSV header
+ * @param {{type: string, columns: Object, decimalSeparator?: string}} layout - Detected layout
+ * @returns {{type: string, rows: Array, scrollDepth: Array}} - Normalized heatmap dataset
+ */
+export function normalizeRows(rows, layout) {
+    const { type, columns, decimalSeparator = '.' } = layout;
+
+    if (type === 'scroll') {
+        return {
+            type,
+            rows: [],
+            scrollDepth: normalizeScrollDepth(rows, columns, decimalSeparator)
+        };
+    }
+
+    return {
+        type,
+        rows: rows.map(row => {
+            const count = parseCount(row[columns[type === 'click' ? 'clicks' : 'moves']]);
+            return {
+                selector: row[columns.selector],
+                clicks: type === 'click' ? count : 0,
+                moves: type === 'move' ? count : 0,
+                scrolls: 0, // Scroll maps have no selectors, reach is estimated per element
+                visible: row[columns.visible] === 'Yes',
+                percentage: parseDecimal(row[columns.percentage], decimalSeparator)
+            };
+        }),
+        scrollDepth: []
+    };
+}
+
+/**
+ * Merge click, move and scroll datasets of one page into per-selector entries
+ * @param {Array<{type: string, rows: Array, scrollDepth: Array}>} datasets - Parsed heatmap datasets
+ * @returns {{entries: Array, scrollDepth: Array, types: string[], clickCounts: number[]}} - Merged Hotjar data, with the clicks of every entry in ascending order
+ */
+export function mergeHeatmapData(datasets) {
+    const types = datasets.map(dataset => dataset.type);
+    const hasClicks = types.includes('click');
+    const entries = new Map();
+
+    datasets.forEach(dataset => {
+        dataset.rows.forEach(row => {
+            const entry = entries.get(row.selector) || {
+                selector: row.selector,
+                clicks: 0,
+                moves: 0,
+                scrolls: 0,
+                visible: false,
+                percentage: 0,
+                movePercentage: 0
+            };
+
+            entry.clicks += row.clicks;
+            entry.moves += row.moves;
+            entry.visible = entry.visible || row.visible;
+            if (dataset.type === 'click') {
+                entry.percentage += row.percentage;
+            } else {
+                entry.movePercentage += row.percentage;
+            }
+
+            entries.set(row.selector, entry);
+        });
+    });
+
+    // Without a click export the move share is the best share we have
+    if (!hasClicks) {
+        entries.forEach(entry => {
+            entry.percentage = entry.movePercentage;
+        });
+    }
+
+    const scrollDataset = datasets.find(dataset => dataset.type === 'scroll');
+    const mergedEntries = Array.from(entries.values());
+
+    return {
+        entries: mergedEntries,
+        scrollDepth: scrollDataset ? scrollDataset.scrollDepth : [],
+        types,
+        // Sorted once here, so percentile thresholds don't sort large exports on every rescore
+        clickCounts: mergedEntries.map(entry => entry.clicks).sort((a, b) => a - b)
+    };
+}
+
+/**
+ * Calculate how much of the recorded activity was matched to DOM elements
+ * @param {Array<{clicks: number, moves: number}>} matched - Counts of the analyzed elements
+ * @param {Array<{clicks: number, moves: number}>} unmatched - Counts of the unmatched rows
+ * @returns {{unit: string, matched: number, total: number, percentage: number}} - Coverage summary
+ */
+export function calculateCoverage(matched, unmatched) {
+    const sum = (rows, unit) => rows.reduce((acc, row) => acc + row[unit], 0);
+    const matchedClicks = sum(matched, 'clicks');
+    const unmatchedClicks = sum(unmatched, 'clicks');
+
+    // Move-only uploads have no clicks, so measure coverage in moves instead
+    const unit = matchedClicks + unmatchedClicks > 0 ? 'clicks' : 'moves';
+    const matchedCount = unit === 'clicks' ? matchedClicks : sum(matched, 'moves');
+    const total = unit === 'clicks'
+        ? matchedClicks + unmatchedClicks
+        : matchedCount + sum(unmatched, 'moves');
+
+    return {
+        unit,
+        matched: matchedCount,
+        total,
+        percentage: total ? Math.round((matchedCount / total) * 100) : 0
+    };
+}
+
+/**
+ * Turn scroll-depth rows into a curve of visitors reached per page depth
+ * @param {Array<Object>} rows - Rows keyed by CSV header
+ * @param {Object} columns - Matched column names
+ * @param {string} decimalSeparator - Decimal separator of the export
+ * @returns {Array<{depth: number, reached: number, visitors: number|null}>} - Curve sorted by depth
+ */
+function normalizeScrollDepth(rows, columns, decimalSeparator) {
+    const points = rows.map(row => ({
+        depth: parseDecimal(row[columns.depth], decimalSeparator),
+        reached: columns.reached ? parseDecimal(row[columns.reached], decimalSeparator) : null,
+        visitors: columns.visitors ? parseCount(row[columns.visitors]) : null
+    })).sort((a, b) => a.depth - b.depth);
+
+    // Derive reach from visitor counts when the export only has absolute numbers
+    if (!columns.reached) {
+        const maxVisitors = Math.max(...points.map(point => point.visitors), 0);
+        points.forEach(point => {
+            point.reached = maxVisitors ? Math.round((point.visitors / maxVisitors) * 10000) / 100 : 0;
+        });
+    }
+
+    return points;
+}
+
+/**
+ * Parse an integer count such as "1,890"
+ * @param {string} value - Raw CSV value
+ * @returns {number} - Parsed count
+ */
+function parseCount(value) {
+    return parseInt(String(value || '0').replace(/[^0-9]/g, '')) || 0;
+}
+
+/**
+ * Parse a decimal value such as "6.04%" or "6,04 %"
+ * @param {string} value - Raw CSV value
+ * @param {string} decimalSeparator - Decimal separator of the export
+ * @returns {number} - Parsed number
+ */
+function parseDecimal(value, decimalSeparator = '.') {
+    const text = decimalSeparator === ','
+        ? String(value || '').replace(/\./g, '').replace(',', '.')
+        : String(value || '');
+    const match = text.match(/[0-9]+(\.[0-9]+)?/);
+    return match ? parseFloat(match[0]) : 0;
+}
\ No newline at end of file
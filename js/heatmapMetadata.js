@@ -0,0 +1,98 @@
+// Heatmap metadata parsed from Hotjar export filenames
+
+// e.g. "[AU] Hotjar - Heatmap - 1606475 - click on desktop - 2025-03-04 14_02_04.csv"
+const EXPORT_FILENAME_PATTERN = /^(?:\[([^\]]+)\]\s*)?Hotjar\s*-\s*Heatmap\s*-\s*(\d+)\s*-\s*(click|move|scroll)s?\s+on\s+(\w+)\s*-\s*(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{2})_(\d{2})_(\d{2}))?/i;
+
+const HEATMAP_TYPE_LABELS = {
+    click: 'clicks',
+    move: 'moves',
+    scroll: 'scrolls'
+};
+
+/**
+ * Parse heatmap metadata from a Hotjar export filename
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {Object} - Market, heatmap ID, heatmap type, device and export timestamp
+ */
+export function parseFileMetadata(fileName) {
+    const metadata = {
+        fileName,
+        market: null,
+        heatmapId: null,
+        heatmapType: null,
+        device: null,
+        exportedAt: null
+    };
+
+    const match = fileName.match(EXPORT_FILENAME_PATTERN);
+    if (!match) {
+        return metadata;
+    }
+
+    const [, market, heatmapId, heatmapType, device, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+
+    return {
+        ...metadata,
+        market: market ? market.trim() : null,
+        heatmapId,
+        heatmapType: heatmapType.toLowerCase(),
+        device: device.toLowerCase(),
+        // Local time without offset, as Hotjar writes it
+        exportedAt: `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`
+    };
+}
+
+/**
+ * Format metadata as a short label, e.g. "AU / desktop / clicks / 4 Mar 2025"
+ * @param {Object|null} metadata - Parsed heatmap metadata
+ * @returns {string} - Human readable label
+ */
+export function formatMetadataLabel(metadata) {
+    if (!metadata) return '';
+
+    const parts = [
+        metadata.market,
+        metadata.device,
+        HEATMAP_TYPE_LABELS[metadata.heatmapType],
+        metadata.exportedAt ? formatExportDate(metadata.exportedAt) : null
+    ].filter(Boolean);
+
+    return parts.length > 0 ? parts.join(' / ') : metadata.fileName;
+}
+
+/**
+ * Find metadata fields on which two uploads disagree
+ * @param {Object|null} first - Metadata of the first upload
+ * @param {Object|null} second - Metadata of the second upload
+ * @returns {Array<{field: string, label: string, first: string, second: string}>} - Conflicting fields
+ */
+export function findMetadataConflicts(first, second) {
+    if (!first || !second) return [];
+
+    const fields = [
+        { field: 'heatmapId', label: 'heatmap ID' },
+        { field: 'device', label: 'device' }
+    ];
+
+    return fields
+        .filter(({ field }) => first[field] && second[field] && first[field] !== second[field])
+        .map(({ field, label }) => ({
+            field,
+            label,
+            first: first[field],
+            second: second[field]
+        }));
+}
+
+/**
+ * Format an export timestamp as a short date
+ * @param {string} exportedAt - Local ISO timestamp
+ * @returns {string} - Date such as "4 Mar 2025"
+ */
+function formatExportDate(exportedAt) {
+    return new Date(exportedAt).toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+}
\ No newline at end of file
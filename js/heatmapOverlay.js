@@ -0,0 +1,219 @@
+// Full-page click heatmap painted over the rendered website
+
+export function setupHeatmapOverlay(onElementSelected) {
+    const viewport = document.getElementById('overlayViewport');
+    const stage = document.getElementById('overlayStage');
+    const frame = document.getElementById('overlayFrame');
+    const layer = document.getElementById('overlayLayer');
+    const zoomLabel = document.getElementById('overlayZoom');
+    const legendMax = document.getElementById('overlayLegendMax');
+    const summary = document.getElementById('overlaySummary');
+
+    // Same width the element previews are rendered at
+    const pageWidth = 1024;
+    const zoomLevels = [0.25, 0.5, 0.75, 1, 1.25, 1.5];
+
+    let renderedCode = null;
+    let frameReady = null;
+    let zoom = null;
+
+    // Setup event listeners
+    document.getElementById('overlayZoomIn').addEventListener('click', () => stepZoom(1));
+    document.getElementById('overlayZoomOut').addEventListener('click', () => stepZoom(-1));
+    document.getElementById('overlayZoomFit').addEventListener('click', () => setZoom(getFitZoom()));
+
+    /**
+     * Paint analyzed elements over the rendered page, coloured by click share
+     * @param {{html: string, css: string[], url?: string}} websiteCode - Website code
+     * @param {Array} results - Analysis results
+     */
+    async function renderOverlay(websiteCode, results) {
+        try {
+            // The page is only rendered again when the website code changes
+            if (websiteCode !== renderedCode) {
+                renderedCode = websiteCode;
+                frameReady = loadPage(websiteCode);
+            }
+
+            const doc = await frameReady;
+            if (websiteCode !== renderedCode) return;
+
+            const boxes = measureElements(doc, results);
+            const maxShare = Math.max(...boxes.map(box => box.share), 0);
+
+            layer.innerHTML = '';
+            // Larger elements first, so smaller ones nested inside stay clickable
+            boxes
+                .sort((a, b) => (b.rect.width * b.rect.height) - (a.rect.width * a.rect.height))
+                .forEach(box => layer.appendChild(createBox(box, maxShare)));
+
+            legendMax.textContent = `${formatShare(maxShare)}%`;
+            summary.textContent = `${boxes.length} of ${results.length} elements placed on the page`;
+
+            if (zoom === null) {
+                setZoom(getFitZoom());
+            }
+
+        } catch (error) {
+            console.error('Heatmap overlay error:', error);
+            summary.textContent = 'The page could not be rendered for the heatmap overlay.';
+        }
+    }
+
+    /**
+     * Render the website code in the sandboxed frame
+     * @param {{html: string, css: string[], url?: string}} websiteCode - Website code
+     * @returns {Promise<Document>} - Rendered document
+     */
+    function loadPage(websiteCode) {
+        const doc = new DOMParser().parseFromString(websiteCode.html, 'text/html');
+
+        // Let relative images and fonts load from the original site
+        if (websiteCode.url && !doc.querySelector('base[href]')) {
+            const base = doc.createElement('base');
+            base.href = websiteCode.url;
+            doc.head.prepend(base);
+        }
+
+        const styleEl = doc.createElement('style');
+        styleEl.textContent = websiteCode.css.join('\n');
+        doc.head.appendChild(styleEl);
+
+        return new Promise(resolve => {
+            frame.onload = () => {
+                const frameDoc = frame.contentDocument;
+                const height = frameDoc.documentElement.scrollHeight;
+                frame.style.height = `${height}px`;
+                layer.style.height = `${height}px`;
+                applyZoom();
+                resolve(frameDoc);
+            };
+            // Sandboxed without scripts, so the page can't navigate or run its own code
+            frame.srcdoc = '<!DOCTYPE html>' + doc.documentElement.outerHTML;
+        });
+    }
+
+    /**
+     * Measure where each analyzed element sits on the rendered page
+     * @param {Document} doc - Rendered document
+     * @param {Array} results - Analysis results
+     * @returns {Array<{result: Object, rect: Object, share: number}>} - Placed elements
+     */
+    function measureElements(doc, results) {
+        const totalClicks = results.reduce((acc, result) => acc + result.metrics.clicks, 0);
+        const scrollX = doc.defaultView.scrollX;
+        const scrollY = doc.defaultView.scrollY;
+
+        return results.map(result => {
+            let element = null;
+            try {
+                element = doc.querySelector(result.match?.selector || result.selector);
+            } catch (error) {
+                console.warn(`Invalid selector for overlay: ${result.selector}`);
+            }
+            if (!element) return null;
+
+            const rect = element.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) return null;
+
+            return {
+                result,
+                rect: {
+                    x: rect.left + scrollX,
+                    y: rect.top + scrollY,
+                    width: rect.width,
+                    height: rect.height
+                },
+                share: totalClicks ? (result.metrics.clicks / totalClicks) * 100 : 0
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Create a translucent box for one element
+     * @param {{result: Object, rect: Object, share: number}} box - Placed element
+     * @param {number} maxShare - Highest click share on the page
+     * @returns {HTMLElement} - Overlay box
+     */
+    function createBox({ result, rect, share }, maxShare) {
+        const intensity = maxShare ? share / maxShare : 0;
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.className = 'absolute rounded-sm border hover:ring-2 hover:ring-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-600';
+        el.style.left = `${rect.x}px`;
+        el.style.top = `${rect.y}px`;
+        el.style.width = `${rect.width}px`;
+        el.style.height = `${rect.height}px`;
+        el.style.backgroundColor = getHeatColor(intensity, 0.25 + intensity * 0.4);
+        el.style.borderColor = getHeatColor(intensity, 0.9);
+        el.title = `${result.selector}\n${result.metrics.clicks} clicks (${formatShare(share)}% of clicks)`;
+        el.addEventListener('click', () => onElementSelected(result));
+        return el;
+    }
+
+    /**
+     * Get the heat colour for an intensity, from blue (cold) to red (hot)
+     * @param {number} intensity - Value between 0 and 1
+     * @param {number} alpha - Opacity
+     * @returns {string} - HSLA colour
+     */
+    function getHeatColor(intensity, alpha) {
+        return `hsla(${Math.round(240 * (1 - intensity))}, 100%, 50%, ${alpha})`;
+    }
+
+    /**
+     * Format a click share for display
+     * @param {number} share - Share in percent
+     * @returns {string} - Share rounded to 1 decimal place
+     */
+    function formatShare(share) {
+        return (Math.round(share * 10) / 10).toString();
+    }
+
+    /**
+     * Get the zoom that fits the page width into the viewport
+     * @returns {number} - Zoom factor
+     */
+    function getFitZoom() {
+        return Math.min(1, viewport.clientWidth / pageWidth) || 1;
+    }
+
+    /**
+     * Move to the next or previous zoom level
+     * @param {number} direction - 1 to zoom in, -1 to zoom out
+     */
+    function stepZoom(direction) {
+        const current = zoom || getFitZoom();
+        const next = direction > 0
+            ? zoomLevels.find(level => level > current + 0.001)
+            : [...zoomLevels].reverse().find(level => level < current - 0.001);
+        if (next) setZoom(next);
+    }
+
+    /**
+     * Set the zoom factor and rescale the page
+     * @param {number} value - Zoom factor
+     */
+    function setZoom(value) {
+        zoom = value;
+        applyZoom();
+    }
+
+    /**
+     * Scale the frame and overlay, and size the stage so the viewport scrolls correctly
+     */
+    function applyZoom() {
+        const scale = zoom || 1;
+        const height = parseFloat(frame.style.height) || 0;
+
+        frame.parentElement.style.transform = `scale(${scale})`;
+        stage.style.width = `${pageWidth * scale}px`;
+        stage.style.height = `${height * scale}px`;
+        zoomLabel.textContent = `${Math.round(scale * 100)}%`;
+    }
+
+    // Return public interface
+    return {
+        renderOverlay
+    };
+}
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Runs heatmap parsing, merging, scoring thresholds and coverage in a Web Worker and hands the results back as promises
+
+// Worker shared by all jobs, started on first use
+let worker = null;
+let nextJobId = 1;
+
+// Pending jobs keyed by ID
+const jobs = new Map();
+
+/**
+ * Parse a Hotjar CSV, TSV or XLSX export in the worker
+ * @param {File} file - The uploaded file
+ * @param {Function} onProgress - Callback receiving {rowsParsed, bytesParsed, totalBytes}
+ * @returns {Promise<{type: string, rows: Array, scrollDepth: Array, format: Object}>} - Parsed heatmap dataset and how the file was read
+ */
+export function parseHeatmapFile(file, onProgress = () => {}) {
+    return runJob({ type: 'parse', file }, onProgress);
+}
+
+/**
+ * Merge click, move and scroll datasets of one page in the worker
+ * @param {Array<{type: string, rows: Array, scrollDepth: Array}>} datasets - Parsed heatmap datasets
+ * @returns {Promise<{entries: Array, scrollDepth: Array, types: string[], clickCounts: number[]}>} - Merged Hotjar data
+ */
+export function mergeHeatmapDatasets(datasets) {
+    // Only what the merge reads is copied to the worker, not the original CSV text
+    return runJob({
+        type: 'merge',
+        datasets: datasets.map(({ type, rows, scrollDepth }) => ({ type, rows, scrollDepth }))
+    });
+}
+
+/**
+ * Resolve the click thresholds of scoring rules in the worker, deriving percentile thresholds from the export
+ * @param {Object} rules - Scoring rules
+ * @param {number[]} clickCounts - Clicks of every row of the export, in ascending order as merged
+ * @returns {Promise<{rules: Object, thresholds: Object}>} - Scoring
+ */
+export function resolveHeatmapScoring(rules, clickCounts) {
+    return runJob({ type: 'scoring', rules, clickCounts });
+}
+
+/**
+ * Calculate in the worker how much of the recorded activity was matched to DOM elements
+ * @param {Array} results - Analysis results
+ * @param {Array} unmatched - Unmatched rows
+ * @returns {Promise<{unit: string, matched: number, total: number, percentage: number}>} - Coverage summary
+ */
+export function calculateHeatmapCoverage(results, unmatched) {
+    // Only the counts are copied to the worker, not the results
+    return runJob({
+        type: 'coverage',
+        matched: results.map(({ metrics }) => ({ clicks: metrics.clicks, moves: metrics.moves })),
+        unmatched: unmatched.map(({ clicks, moves }) => ({ clicks, moves }))
+    });
+}
+
+/**
+ * Send a job to the worker
+ * @param {Object} message - Job type and input
+ * @param {Function} onProgress - Callback receiving progress updates of the job
+ * @returns {Promise<*>} - Job result
+ */
+function runJob(message, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        jobs.set(id, { resolve, reject, onProgress });
+        getWorker().postMessage({ ...message, id });
+    });
+}
+
+/**
+ * Get the worker, starting it when needed
+ * @returns {Worker} - Heatmap worker
+ */
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./heatmapWorker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', handleMessage);
+        worker.addEventListener('error', handleError);
+    }
+    return worker;
+}
+
+/**
+ * Route a worker message to its job
+ * @param {MessageEvent} e - Message with the job ID and a progress update, result or error
+ */
+function handleMessage(e) {
+    const { id, type } = e.data;
+    const job = jobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+        job.onProgress(e.data.progress);
+        return;
+    }
+
+    jobs.delete(id);
+    if (type === 'error') {
+        job.reject(new Error(e.data.message));
+    } else {
+        job.resolve(e.data.result);
+    }
+}
+
+/**
+ * Fail all pending jobs when the worker can't load or crashes, and start a fresh worker next time
+ * @param {ErrorEvent} e - Worker error event
+ */
+function handleError(e) {
+    console.error('Heatmap worker error:', e);
+    const error = new Error('Failed to process the export in the background: ' + (e.message || 'the worker could not be started'));
+    jobs.forEach(job => job.reject(error));
+    jobs.clear();
+    worker.terminate();
+    worker = null;
+}
\ No newline at end of file
@@ -0,0 +1,236 @@
+// Web Worker that parses, merges and scores heatmap exports off the main thread, so large exports don't freeze the page
+import Papa from 'https://cdn.skypack.dev/papaparse@5.4.1';
+// SheetJS publishes current releases on its own CDN only; the npm package stopped at an outdated version
+import * as XLSX from 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+import { detectLayout, detectDecimalSeparator, normalizeRows, mergeHeatmapData, calculateCoverage } from './heatmapLayouts.js';
+import { resolveScoring } from './scoringRules.js';
+
+// Bytes read per chunk; progress is reported after every chunk
+const CHUNK_SIZE = 1024 * 1024;
+
+// Bytes sniffed for the encoding and delimiter
+const SNIFF_SIZE = 64 * 1024;
+
+// Delimiters Hotjar and Excel write, with their labels
+const DELIMITERS = {
+    ',': 'comma',
+    ';': 'semicolon',
+    '\t': 'tab'
+};
+
+const BYTE_ORDER_MARKS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+// Jobs by message type; everything here works on exported rows and counts, never on the page's DOM
+const JOBS = {
+    parse: (data, onProgress) => parseFile(data.file, onProgress),
+    merge: data => mergeHeatmapData(data.datasets),
+    scoring: data => resolveScoring(data.rules, data.clickCounts),
+    coverage: data => calculateCoverage(data.matched, data.unmatched)
+};
+
+self.addEventListener('message', async ({ data }) => {
+    const { id, type } = data;
+
+    try {
+        const result = await JOBS[type](data, progress => self.postMessage({ id, type: 'progress', progress }));
+
+        self.postMessage({ id, type: 'done', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
+
+/**
+ * Parse a Hotjar export as saved by Hotjar or re-saved in Excel
+ * @param {File} file - The uploaded file
+ * @param {Function} onProgress - Callback receiving {rowsParsed, bytesParsed, totalBytes}
+ * @returns {Promise<{type: string, rows: Array, scrollDepth: Array, format: Object}>} - Parsed heatmap dataset and how the file was read
+ */
+async function parseFile(file, onProgress) {
+    if (/\.xlsx$/i.test(file.name)) {
+        return parseWorkbook(file, onProgress);
+    }
+
+    return parseDelimited(file, await sniffText(file), onProgress);
+}
+
+/**
+ * Detect the encoding and delimiter of a text export from its first bytes
+ * @param {File} file - The uploaded file
+ * @returns {Promise<{encoding: string, hasBom: boolean, delimiter: string}>} - Text format
+ */
+async function sniffText(file) {
+    const bytes = new Uint8Array(await file.slice(0, SNIFF_SIZE).arrayBuffer());
+    const bom = BYTE_ORDER_MARKS.find(mark => mark.bytes.every((byte, index) => bytes[index] === byte));
+
+    let encoding = bom ? bom.encoding : 'utf-8';
+    let text;
+    try {
+        // Streaming keeps a character cut off at the end of the sample from counting as invalid
+        text = new TextDecoder(encoding, { fatal: true }).decode(bytes, { stream: true });
+    } catch {
+        // Excel on Windows saves CSV in the system code page rather than UTF-8
+        encoding = 'windows-1252';
+        text = new TextDecoder(encoding).decode(bytes);
+    }
+
+    return { encoding, hasBom: Boolean(bom), delimiter: detectDelimiter(text) };
+}
+
+/**
+ * Pick the delimiter that splits the header row into the most columns
+ * @param {string} text - Start of the export
+ * @returns {string} - Delimiter
+ */
+function detectDelimiter(text) {
+    // Quoted headers may contain any of the delimiters
+    const header = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    const best = Object.keys(DELIMITERS)
+        .map(delimiter => ({ delimiter, count: header.split(delimiter).length - 1 }))
+        .reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.delimiter : ',';
+}
+
+/**
+ * Stream a CSV or TSV export in chunks and normalize its rows as they arrive
+ * @param {File} file - The uploaded file
+ * @param {{encoding: string, hasBom: boolean, delimiter: string}} textFormat - Sniffed text format
+ * @param {Function} onProgress - Callback receiving {rowsParsed, bytesParsed, totalBytes}
+ * @returns {Promise<{type: string, rows: Array, scrollDepth: Array, format: Object}>} - Parsed heatmap dataset and how the file was read
+ */
+function parseDelimited(file, { encoding, hasBom, delimiter }, onProgress) {
+    // The parse cursor counts characters, which take at least two bytes in UTF-16
+    const bytesPerCharacter = encoding.startsWith('utf-16') ? 2 : 1;
+
+    return new Promise((resolve, reject) => {
+        let layout = null;
+        let rowsParsed = 0;
+        // Normalized click or move rows; scroll rows stay raw until the whole curve is known
+        const rows = [];
+
+        Papa.parse(file, {
+            header: true,
+            skipEmptyLines: true,
+            transformHeader: header => header.trim(), // Trim whitespace from headers
+            delimiter,
+            encoding,
+            chunkSize: CHUNK_SIZE,
+            chunk: (results, parser) => {
+                try {
+                    if (results.errors.length > 0) {
+                        throw new Error('Failed to parse CSV file: ' + results.errors[0].message);
+                    }
+
+                    // Detect click, move or scroll-depth layout and the decimal separator from the first chunk
+                    if (!layout) {
+                        layout = detectLayout(results.meta.fields);
+
+                        if (!layout) {
+                            throw new Error(
+                                'File is not a recognized Hotjar click, move or scroll export\n' +
+                                'Available columns: ' + results.meta.fields.join(', ')
+                            );
+                        }
+                        layout.decimalSeparator = detectDecimalSeparator(results.data, layout.columns);
+                    }
+
+                    const chunkRows = layout.type === 'scroll' ? results.data : normalizeRows(results.data, layout).rows;
+                    // Pushed one by one; spreading a large chunk into push overflows the call stack
+                    chunkRows.forEach(row => rows.push(row));
+                    rowsParsed += results.data.length;
+
+                    onProgress({
+                        rowsParsed,
+                        // Characters outside ASCII take more bytes than the cursor counts
+                        bytesParsed: Math.min(results.meta.cursor * bytesPerCharacter, file.size),
+                        totalBytes: file.size
+                    });
+                } catch (error) {
+                    // Rejected first, since aborting completes the parse right away
+                    reject(error);
+                    parser.abort();
+                }
+            },
+            complete: () => {
+                // Also called after an abort, when the promise is already rejected
+                if (!layout) {
+                    reject(new Error('CSV file has no rows to analyze'));
+                    return;
+                }
+
+                onProgress({ rowsParsed, bytesParsed: file.size, totalBytes: file.size });
+
+                // Scroll curves are sorted and scaled over all rows, so they are normalized at the end
+                const dataset = layout.type === 'scroll'
+                    ? normalizeRows(rows, layout)
+                    : { type: layout.type, rows, scrollDepth: [] };
+
+                resolve({
+                    ...dataset,
+                    format: {
+                        type: delimiter === '\t' ? 'tsv' : 'csv',
+                        encoding,
+                        hasBom,
+                        delimiter: DELIMITERS[delimiter],
+                        decimalSeparator: layout.decimalSeparator,
+                        sheet: null
+                    }
+                });
+            },
+            error: (error) => {
+                reject(new Error('Failed to parse CSV file: ' + error.message));
+            }
+        });
+    });
+}
+
+/**
+ * Read the first sheet of an Excel workbook that holds a Hotjar export
+ * @param {File} file - The uploaded file
+ * @param {Function} onProgress - Callback receiving {rowsParsed, bytesParsed, totalBytes}
+ * @returns {Promise<{type: string, rows: Array, scrollDepth: Array, format: Object}>} - Parsed heatmap dataset and how the file was read
+ */
+async function parseWorkbook(file, onProgress) {
+    // Workbooks are zipped, so they can only be read whole
+    onProgress({ rowsParsed: 0, bytesParsed: 0, totalBytes: file.size });
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+
+    // Re-saved exports may gain extra sheets, e.g. for a pivot table
+    for (const sheet of workbook.SheetNames) {
+        // Cells as displayed, so percentages read "6.04%" rather than 0.0604
+        const [header = [], ...values] = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], {
+            header: 1,
+            raw: false,
+            defval: '',
+            blankrows: false
+        });
+        const fields = header.map(field => String(field).trim());
+        const layout = detectLayout(fields);
+        if (!layout) continue;
+
+        const rows = values.map(cells => Object.fromEntries(fields.map((field, index) => [field, cells[index] ?? ''])));
+        layout.decimalSeparator = detectDecimalSeparator(rows, layout.columns);
+        onProgress({ rowsParsed: rows.length, bytesParsed: file.size, totalBytes: file.size });
+
+        return {
+            ...normalizeRows(rows, layout),
+            format: {
+                type: 'xlsx',
+                encoding: null,
+                hasBom: false,
+                delimiter: null,
+                decimalSeparator: layout.decimalSeparator,
+                sheet
+            }
+        };
+    }
+
+    throw new Error(
+        'No sheet of the workbook is a recognized Hotjar click, move or scroll export\n' +
+        'Sheets: ' + workbook.SheetNames.join(', ')
+    );
+}
\ No newline at end of file
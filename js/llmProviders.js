@@ -0,0 +1,213 @@
+// Language model providers used for element analysis
+import { parseRetryAfter } from './requestQueue.js';
+
+export const PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        requiresKey: true,
+        defaults: {
+            endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+            model: 'gemini-1.5-flash',
+            temperature: 0.4,
+            timeout: 30000,
+            concurrency: 2,
+            requestsPerMinute: 15
+        },
+        request: requestGemini
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        requiresKey: true,
+        defaults: {
+            endpoint: 'https://api.openai.com/v1',
+            model: 'gpt-4o-mini',
+            temperature: 0.4,
+            timeout: 30000,
+            concurrency: 4,
+            requestsPerMinute: 60
+        },
+        request: requestChatCompletion
+    },
+    local: {
+        // Ollama and llama.cpp both serve the OpenAI chat completions API
+        label: 'Local model (Ollama / llama.cpp)',
+        requiresKey: false,
+        defaults: {
+            endpoint: 'http://localhost:11434/v1',
+            model: 'llama3.1',
+            temperature: 0.4,
+            timeout: 120000,
+            // A local server works through one prompt at a time
+            concurrency: 1,
+            requestsPerMinute: 0
+        },
+        request: requestChatCompletion
+    },
+    none: {
+        label: 'No AI (rule-based summary)',
+        requiresKey: false,
+        defaults: {},
+        request: null
+    }
+};
+
+/**
+ * Create a provider client from its settings
+ * @param {{provider: string, endpoint: string, model: string, temperature: number, timeout: number, apiKey: string|null}} settings - Provider settings
+ * @returns {{id: string, label: string, model: string|null, isAvailable: boolean, unavailableReason: string|null, generate: Function}} - Provider client
+ */
+export function createProvider(settings) {
+    const definition = PROVIDERS[settings.provider] || PROVIDERS.none;
+    const id = PROVIDERS[settings.provider] ? settings.provider : 'none';
+
+    let unavailableReason = null;
+    if (!definition.request) {
+        unavailableReason = 'AI analysis is turned off';
+    } else if (definition.requiresKey && !settings.apiKey) {
+        unavailableReason = `No API key configured for ${definition.label}`;
+    } else if (!settings.model) {
+        unavailableReason = `No model selected for ${definition.label}`;
+    }
+
+    /**
+     * Send a prompt to the provider
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Request options
+     * @param {boolean} options.json - Ask the model to reply with a JSON object
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @returns {Promise<string>} - Generated text
+     */
+    async function generate(prompt, options = {}) {
+        if (unavailableReason) {
+            throw new Error(unavailableReason);
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeout);
+        const cancel = () => controller.abort();
+        options.signal?.addEventListener('abort', cancel);
+
+        try {
+            const text = await definition.request(prompt, settings, controller.signal, options);
+            if (!text || !text.trim()) {
+                throw new Error(`${definition.label} returned an empty response`);
+            }
+            return text.trim();
+        } catch (error) {
+            if (error.name === 'AbortError' && !options.signal?.aborted) {
+                throw new Error(`${definition.label} did not respond within ${settings.timeout / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', cancel);
+        }
+    }
+
+    return {
+        id,
+        label: definition.label,
+        model: definition.request ? settings.model : null,
+        isAvailable: !unavailableReason,
+        unavailableReason,
+        generate
+    };
+}
+
+/**
+ * Call the Gemini generateContent API
+ * @param {string} prompt - Prompt text
+ * @param {Object} settings - Provider settings
+ * @param {AbortSignal} signal - Abort signal for the timeout
+ * @param {{json?: boolean}} options - Request options
+ * @returns {Promise<string>} - Generated text
+ */
+async function requestGemini(prompt, settings, signal, options) {
+    const response = await fetch(`${trimSlash(settings.endpoint)}/models/${encodeURIComponent(settings.model)}:generateContent`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': settings.apiKey
+        },
+        body: JSON.stringify({
+            contents: [{
+                role: 'user',
+                parts: [{ text: prompt }]
+            }],
+            generationConfig: {
+                temperature: settings.temperature,
+                ...(options.json ? { responseMimeType: 'application/json' } : {})
+            }
+        }),
+        signal
+    });
+
+    const result = await readJson(response, 'Gemini');
+
+    if (result.promptFeedback?.blockReason) {
+        throw new Error(`Gemini blocked the prompt: ${result.promptFeedback.blockReason}`);
+    }
+
+    const parts = result.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+}
+
+/**
+ * Call an OpenAI-compatible chat completions API
+ * @param {string} prompt - Prompt text
+ * @param {Object} settings - Provider settings
+ * @param {AbortSignal} signal - Abort signal for the timeout
+ * @param {{json?: boolean}} options - Request options
+ * @returns {Promise<string>} - Generated text
+ */
+async function requestChatCompletion(prompt, settings, signal, options) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    }
+
+    const response = await fetch(`${trimSlash(settings.endpoint)}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: settings.model,
+            temperature: settings.temperature,
+            messages: [{ role: 'user', content: prompt }],
+            ...(options.json ? { response_format: { type: 'json_object' } } : {})
+        }),
+        signal
+    });
+
+    const result = await readJson(response, 'Chat completion');
+    return result.choices?.[0]?.message?.content || '';
+}
+
+/**
+ * Read a JSON response, turning API errors into readable messages
+ * @param {Response} response - Fetch response
+ * @param {string} apiName - API name for error messages
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function readJson(response, apiName) {
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        const message = body?.error?.message || body?.error || response.statusText;
+        const error = new Error(`${apiName} API error ${response.status}: ${message}`);
+        // Used by the request queue to decide whether and when to retry
+        error.status = response.status;
+        error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        throw error;
+    }
+
+    return body || {};
+}
+
+/**
+ * Remove a trailing slash from an endpoint
+ * @param {string} endpoint - Endpoint URL
+ * @returns {string} - Endpoint without trailing slash
+ */
+function trimSlash(endpoint) {
+    return endpoint.replace(/\/+$/, '');
+}
\ No newline at end of file
@@ -0,0 +1,177 @@
+// AI provider settings, from config.js and the settings panel
+import { PROVIDERS } from './llmProviders.js';
+
+export function setupLlmSettings() {
+    const providerSelect = document.getElementById('llmProvider');
+    const endpointInput = document.getElementById('llmEndpoint');
+    const modelInput = document.getElementById('llmModel');
+    const temperatureInput = document.getElementById('llmTemperature');
+    const timeoutInput = document.getElementById('llmTimeout');
+    const concurrencyInput = document.getElementById('llmConcurrency');
+    const requestsPerMinuteInput = document.getElementById('llmRequestsPerMinute');
+    const keyStatus = document.getElementById('llmKeyStatus');
+    const providerFields = document.getElementById('llmProviderFields');
+
+    // API keys are never stored here, they stay in config.js
+    const storageKey = 'hotjarAnalyzer.llmSettings';
+
+    const stored = loadStoredSettings();
+    const configReady = loadConfig();
+
+    providerSelect.innerHTML = Object.entries(PROVIDERS)
+        .map(([id, provider]) => `<option value="${id}">${provider.label}</option>`)
+        .join('');
+
+    // Setup event listeners
+    providerSelect.addEventListener('change', () => {
+        stored.provider = providerSelect.value;
+        saveStoredSettings();
+        renderFields();
+    });
+    [endpointInput, modelInput, temperatureInput, timeoutInput, concurrencyInput, requestsPerMinuteInput].forEach(input => {
+        input.addEventListener('change', handleFieldChange);
+    });
+
+    configReady.then(config => {
+        if (!stored.provider) {
+            stored.provider = config.provider || 'gemini';
+        }
+        providerSelect.value = stored.provider;
+        renderFields();
+    });
+
+    /**
+     * Get the settings of the selected provider
+     * @returns {Promise<{provider: string, endpoint: string, model: string, temperature: number, timeout: number, concurrency: number, requestsPerMinute: number, apiKey: string|null}>} - Provider settings
+     */
+    async function getSettings() {
+        const config = await configReady;
+        const provider = stored.provider || config.provider || 'gemini';
+        return resolveProviderSettings(provider, config);
+    }
+
+    /**
+     * Merge defaults, config.js and panel overrides for one provider
+     * @param {string} provider - Provider ID
+     * @param {Object} config - Contents of config.js
+     * @returns {Object} - Provider settings
+     */
+    function resolveProviderSettings(provider, config) {
+        const definition = PROVIDERS[provider] || PROVIDERS.none;
+        const configured = config.providers?.[provider] || {};
+        const overrides = stored.providers?.[provider] || {};
+
+        return {
+            provider,
+            ...definition.defaults,
+            ...withoutKey(configured),
+            ...overrides,
+            // Keep reading the original single-key setting for Gemini
+            apiKey: configured.apiKey || (provider === 'gemini' ? config.geminiApiKey : null) || null
+        };
+    }
+
+    /**
+     * Store an edited field for the selected provider
+     */
+    async function handleFieldChange() {
+        const provider = providerSelect.value;
+        const temperature = parseFloat(temperatureInput.value);
+        const timeout = parseFloat(timeoutInput.value);
+        const concurrency = parseInt(concurrencyInput.value);
+        const requestsPerMinute = parseInt(requestsPerMinuteInput.value);
+
+        // Cleared fields fall back to config.js or the provider defaults
+        const overrides = {
+            endpoint: endpointInput.value.trim(),
+            model: modelInput.value.trim(),
+            temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : null,
+            timeout: Number.isFinite(timeout) && timeout > 0 ? timeout * 1000 : null,
+            concurrency: concurrency > 0 ? concurrency : null,
+            requestsPerMinute: requestsPerMinute >= 0 ? requestsPerMinute : null
+        };
+
+        stored.providers = stored.providers || {};
+        stored.providers[provider] = Object.fromEntries(
+            Object.entries(overrides).filter(([, value]) => value !== null && value !== '')
+        );
+        saveStoredSettings();
+        await renderFields();
+    }
+
+    /**
+     * Show the settings of the selected provider
+     */
+    async function renderFields() {
+        const config = await configReady;
+        const provider = providerSelect.value;
+        const definition = PROVIDERS[provider];
+        const settings = resolveProviderSettings(provider, config);
+
+        providerFields.classList.toggle('hidden', !definition.request);
+        endpointInput.value = settings.endpoint || '';
+        modelInput.value = settings.model || '';
+        temperatureInput.value = settings.temperature ?? '';
+        timeoutInput.value = settings.timeout ? settings.timeout / 1000 : '';
+        concurrencyInput.value = settings.concurrency ?? '';
+        requestsPerMinuteInput.value = settings.requestsPerMinute ?? '';
+
+        if (!definition.request) {
+            keyStatus.textContent = 'Elements get a rule-based summary instead of an AI analysis.';
+        } else if (!definition.requiresKey) {
+            keyStatus.textContent = 'No API key needed.';
+        } else {
+            keyStatus.textContent = settings.apiKey
+                ? 'API key found in config.js.'
+                : 'No API key in config.js; elements will get a rule-based summary instead.';
+        }
+    }
+
+    /**
+     * Load config.js, which is optional
+     * @returns {Promise<Object>} - Configuration, or an empty object
+     */
+    async function loadConfig() {
+        try {
+            const module = await import('../config.js');
+            return module.config || {};
+        } catch (error) {
+            console.warn('Config file not found or invalid. AI providers that need a key are unavailable.');
+            return {};
+        }
+    }
+
+    /**
+     * Load panel settings saved in this browser
+     * @returns {Object} - Stored settings
+     */
+    function loadStoredSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Save panel settings in this browser
+     */
+    function saveStoredSettings() {
+        localStorage.setItem(storageKey, JSON.stringify(stored));
+    }
+
+    /**
+     * Drop the API key from a settings object
+     * @param {Object} settings - Settings
+     * @returns {Object} - Settings without the key
+     */
+    function withoutKey(settings) {
+        const { apiKey, ...rest } = settings;
+        return rest;
+    }
+
+    // Return public interface
+    return {
+        getSettings
+    };
+}
\ No newline at end of file
@@ -1,16 +1,43 @@
 // Main application initialization and coordination
 import { setupUrlHandler } from './urlHandler.js';
+import { setupSnapshotHandler } from './snapshotHandler.js';
 import { setupFileHandler } from './fileHandler.js';
 import { setupAnalyzer } from './analyzer.js';
+import { setupLlmSettings } from './llmSettings.js';
+import { setupCacheView } from './cacheView.js';
+import { setupScoringEditor } from './scoringEditor.js';
+import { setupComparison } from './comparison.js';
+import { findMetadataConflicts } from './heatmapMetadata.js';
+import { mergeHeatmapDatasets, calculateHeatmapCoverage } from './heatmapProcessing.js';
+import { setupDomTree } from './domTree.js';
+import { setupHeatmapOverlay } from './heatmapOverlay.js';
+import { setupReportExport } from './reportExport.js';
+import { setupResultsTable } from './resultsTable.js';
+import { setupDashboardCharts, matchesChartFilter } from './dashboardCharts.js';
+import { setupProjectLibrary } from './projectLibrary.js';
+import { getPageKey, getTriageForPage, saveTriage, mergeTriage, createDefaultTriage } from './triageStore.js';
 import { setupUI } from './ui.js';
 
 class HotjarAnalyzer {
     constructor() {
         this.state = {
             websiteCode: null,
+            hotjarDatasets: [],
             hotjarData: null,
+            hotjarMetadata: null,
+            comparisonData: null,
+            comparisonMetadata: null,
             analysisResults: [],
-            currentFilter: 'all'
+            unmatched: [],
+            coverage: null,
+            pageSummary: null,
+            triage: {},
+            manualMatches: {},
+            viewMode: 'rolled-up',
+            layout: 'cards',
+            currentFilter: 'all',
+            chartFilter: null,
+            triageFilter: { review: 'all', owner: 'all', tag: 'all' }
         };
         
         this.init();
@@ -20,15 +47,65 @@ class HotjarAnalyzer {
         try {
             // Initialize all modules
             const { handleUrlSubmit } = setupUrlHandler(this.handleWebsiteCode.bind(this));
-            const { handleFileUpload } = setupFileHandler(this.handleHotjarData.bind(this));
-            const { analyzeData } = setupAnalyzer();
+            setupSnapshotHandler(this.handleWebsiteCode.bind(this));
+            const { handleFileUpload } = setupFileHandler(
+                this.handleHotjarData.bind(this),
+                this.handleComparisonData.bind(this),
+                this.handleParseProgress.bind(this)
+            );
+            const { getSettings } = setupLlmSettings();
+            const cacheView = setupCacheView();
+            const scoringEditor = setupScoringEditor(this.handleScoringChange.bind(this));
+            const {
+                analyzeData, summarizePage, cancelAnalysis, getElementContext, rescoreResults
+            } = setupAnalyzer(
+                getSettings,
+                counts => this.updateQueueProgress(counts)
+            );
+            const { compareExports } = setupComparison(getElementContext);
+            const { pickElement } = setupDomTree();
+            const { renderOverlay } = setupHeatmapOverlay(this.handleOverlaySelect.bind(this));
+            const { renderCharts } = setupDashboardCharts(this.handleChartFilter.bind(this));
+            setupReportExport(this.getExportData.bind(this));
+            const { autosave, detach } = setupProjectLibrary(
+                this.getProjectData.bind(this),
+                this.handleProjectOpened.bind(this)
+            );
             const ui = setupUI();
+            const { renderTable, openDrawer } = setupResultsTable(
+                result => ui.renderResultCard(result, this.state.triage, this.handleTriageChange.bind(this))
+            );
 
             // Store references to key functions
             this.analyzeData = analyzeData;
+            this.summarizePage = summarizePage;
+            this.cancelAnalysis = cancelAnalysis;
+            this.refreshCacheView = cacheView.refresh;
+            this.getScoring = scoringEditor.getScoring;
+            this.setScoring = scoringEditor.setScoring;
+            this.updateScoringDistribution = scoringEditor.updateDistribution;
+            this.rescoreResults = rescoreResults;
+            this.autosaveProject = autosave;
+            this.detachProject = detach;
+            this.pickElement = pickElement;
+            this.renderOverlay = renderOverlay;
+            this.renderCharts = renderCharts;
+            this.compareExports = compareExports;
             this.updateUI = ui.updateResults;
+            this.renderTable = renderTable;
+            this.openResultDrawer = openDrawer;
+            this.updateComparison = ui.updateComparison;
+            this.updateAnalysisHeader = ui.updateAnalysisHeader;
+            this.updateUnmatched = ui.updateUnmatched;
+            this.updatePageSummary = ui.updatePageSummary;
+            this.updateAccessibility = ui.updateAccessibility;
+            this.updateTriageFilters = ui.updateTriageFilters;
+            this.focusResult = ui.focusResult;
             this.showLoading = ui.showLoading;
             this.hideLoading = ui.hideLoading;
+            this.updateParseProgress = ui.updateParseProgress;
+            this.updateAnalysisProgress = ui.updateAnalysisProgress;
+            this.updateQueueProgress = ui.updateQueueProgress;
             this.showError = ui.showError;
 
             // Setup filter event listeners
@@ -36,6 +113,26 @@ class HotjarAnalyzer {
                 btn.addEventListener('click', () => this.handleFilter(btn.dataset.filter));
             });
 
+            // Setup layout event listeners
+            document.querySelectorAll('.layout-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.handleLayout(btn.dataset.layout));
+            });
+
+            // Setup review filter event listeners
+            document.querySelectorAll('.review-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.handleTriageFilter({ review: btn.dataset.review }));
+            });
+            document.getElementById('ownerFilter').addEventListener('change', e => this.handleTriageFilter({ owner: e.target.value }));
+            document.getElementById('tagFilter').addEventListener('change', e => this.handleTriageFilter({ tag: e.target.value }));
+
+            // Remaining elements fall back to rule-based summaries when AI requests are cancelled
+            document.getElementById('cancelAnalysisBtn').addEventListener('click', () => this.cancelAnalysis());
+
+            // Setup view mode event listeners
+            document.querySelectorAll('.view-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.handleViewMode(btn.dataset.view));
+            });
+
         } catch (error) {
             console.error('Initialization error:', error);
             this.showError('Failed to initialize application. Please refresh the page.');
@@ -44,7 +141,16 @@ class HotjarAnalyzer {
 
     async handleWebsiteCode(code) {
         try {
+            const previousPage = this.state.websiteCode ? this.getPageKey() : null;
             this.state.websiteCode = code;
+
+            // Picks and the opened project belong to the previous page
+            if (previousPage && this.getPageKey() !== previousPage) {
+                this.state.manualMatches = {};
+                this.detachProject();
+            }
+
+            this.runComparison();
             await this.runAnalysis();
         } catch (error) {
             console.error('Error handling website code:', error);
@@ -52,9 +158,41 @@ class HotjarAnalyzer {
         }
     }
 
-    async handleHotjarData(data) {
+    async handleHotjarData(datasets) {
         try {
-            this.state.hotjarData = data;
+            let current = this.state.hotjarDatasets;
+            let isOtherHeatmap = false;
+
+            for (const dataset of datasets) {
+                const existing = current.length > 0 ? current[0].metadata : this.state.comparisonMetadata;
+                if (!this.confirmMatchingUploads(existing, dataset.metadata)) {
+                    continue;
+                }
+
+                // An export of another heatmap starts over, otherwise it replaces the same heatmap type
+                if (findMetadataConflicts(current[0]?.metadata, dataset.metadata).length > 0) {
+                    current = [dataset];
+                    isOtherHeatmap = true;
+                } else {
+                    current = [...current.filter(item => item.type !== dataset.type), dataset];
+                }
+            }
+
+            if (current === this.state.hotjarDatasets) {
+                return;
+            }
+
+            // Picks and the opened project belong to the previous heatmap
+            if (isOtherHeatmap) {
+                this.state.manualMatches = {};
+                this.detachProject();
+            }
+
+            this.state.hotjarDatasets = current;
+            this.state.hotjarData = await mergeHeatmapDatasets(current);
+            this.state.hotjarMetadata = current[0].metadata;
+            this.updateScoringDistribution(this.getClickCounts());
+            this.runComparison();
             await this.runAnalysis();
         } catch (error) {
             console.error('Error handling Hotjar data:', error);
@@ -62,6 +200,79 @@ class HotjarAnalyzer {
         }
     }
 
+    handleParseProgress(progress) {
+        // Parsing reports null once it's over, before the datasets are analyzed
+        if (progress) {
+            this.updateParseProgress(progress);
+        } else {
+            this.hideLoading();
+        }
+    }
+
+    async handleComparisonData(dataset) {
+        try {
+            if (dataset.type === 'scroll') {
+                this.showError('Scroll-depth exports have no elements to compare. Please upload a click or move export.');
+                return;
+            }
+
+            if (!this.confirmMatchingUploads(this.state.hotjarMetadata, dataset.metadata)) {
+                return;
+            }
+
+            this.state.comparisonData = dataset;
+            this.state.comparisonMetadata = dataset.metadata;
+            this.runComparison();
+        } catch (error) {
+            console.error('Error handling comparison data:', error);
+            this.showError('Failed to process comparison data. Please check the file format and try again.');
+        }
+    }
+
+    /**
+     * Ask the user to confirm when two uploads disagree on heatmap ID or device
+     * @param {Object|null} existing - Metadata of the upload already loaded
+     * @param {Object|null} incoming - Metadata of the new upload
+     * @returns {boolean} - Whether to keep the new upload
+     */
+    confirmMatchingUploads(existing, incoming) {
+        const conflicts = findMetadataConflicts(existing, incoming);
+        if (conflicts.length === 0) {
+            return true;
+        }
+
+        const details = conflicts
+            .map(conflict => `- ${conflict.label}: ${conflict.first} vs ${conflict.second}`)
+            .join('\n');
+
+        return window.confirm(
+            'The uploaded exports do not look like the same heatmap:\n' + details + '\n\n' +
+            'Continue with this file anyway?'
+        );
+    }
+
+    runComparison() {
+        // Only compare once both exports are loaded; website code is optional context
+        if (!this.state.hotjarData || !this.state.comparisonData) {
+            return;
+        }
+
+        try {
+            const comparison = this.compareExports(
+                this.state.hotjarData.entries,
+                this.state.comparisonData.rows,
+                this.state.websiteCode
+            );
+
+            this.updateComparison(comparison, this.state.hotjarMetadata, this.state.comparisonMetadata);
+            document.getElementById('comparisonSection').classList.remove('hidden');
+
+        } catch (error) {
+            console.error('Comparison error:', error);
+            this.showError('Failed to compare exports. Please try again.');
+        }
+    }
+
     async runAnalysis() {
         // Only run analysis if we have both website code and Hotjar data
         if (!this.state.websiteCode || !this.state.hotjarData) {
@@ -72,16 +283,44 @@ class HotjarAnalyzer {
             this.showLoading('Analyzing data...');
 
             // Run the analysis
-            this.state.analysisResults = await this.analyzeData(
+            const { results, unmatched, coverage } = await this.analyzeData(
                 this.state.websiteCode,
-                this.state.hotjarData
+                this.state.hotjarData,
+                this.state.hotjarMetadata,
+                {
+                    manualMatches: this.state.manualMatches,
+                    rollUp: this.state.viewMode === 'rolled-up',
+                    scoringRules: this.getScoring().rules,
+                    onProgress: progress => this.updateAnalysisProgress(progress)
+                }
             );
+            this.state.analysisResults = results;
+            this.state.unmatched = unmatched;
+            this.state.coverage = coverage;
+
+            // Second stage: the big picture across all analyzed elements
+            await this.runPageSummary();
+
+            // Reviews stay attached to their selectors across analyses of the page
+            await this.loadTriage();
 
             // Update UI with results
-            this.updateUI(this.filterResults(this.state.currentFilter));
+            this.updateAnalysisHeader(this.state.hotjarDatasets.map(dataset => dataset.metadata));
+            this.renderUnmatched();
+            this.updatePageSummary(this.state.pageSummary);
+            this.renderAccessibility();
+            // Chart segments of an earlier analysis may not match the new results
+            this.state.chartFilter = null;
+            this.renderDashboard();
+            this.renderResults();
             
             // Show analysis section
             document.getElementById('analysisSection').classList.remove('hidden');
+
+            // Painted once the section is visible, so the overlay can size itself
+            this.renderOverlay(this.state.websiteCode, this.state.analysisResults);
+            this.refreshCacheView();
+            await this.autosaveProject();
             
         } catch (error) {
             console.error('Analysis error:', error);
@@ -91,22 +330,197 @@ class HotjarAnalyzer {
         }
     }
 
+    async runPageSummary() {
+        this.showLoading('Summarizing page...');
+        this.state.pageSummary = await this.summarizePage(
+            {
+                results: this.state.analysisResults,
+                unmatched: this.state.unmatched,
+                coverage: this.state.coverage
+            },
+            this.state.websiteCode,
+            this.state.hotjarMetadata
+        );
+    }
+
+    renderResults() {
+        const results = this.filterResults(this.state.currentFilter);
+        const isTable = this.state.layout === 'table';
+
+        document.getElementById('resultsContainer').classList.toggle('hidden', isTable);
+        document.getElementById('resultsTable').classList.toggle('hidden', !isTable);
+
+        // Only the active layout is rendered; hundreds of cards are slow to build
+        if (isTable) {
+            this.updateUI([]);
+            this.renderTable(results);
+        } else {
+            this.renderTable([]);
+            this.updateUI(results, this.state.triage, this.handleTriageChange.bind(this));
+        }
+    }
+
+    async handleScoringChange({ rules }) {
+        if (this.state.analysisResults.length === 0) {
+            return;
+        }
+
+        // Scores are recalculated from the stored metrics, without analyzing the page again
+        this.state.analysisResults = await this.rescoreResults(this.state.analysisResults, rules, this.getClickCounts());
+        this.renderResults();
+        await this.autosaveProject();
+    }
+
+    getClickCounts() {
+        return this.state.hotjarData?.clickCounts || [];
+    }
+
+    renderAccessibility() {
+        this.updateAccessibility(this.state.analysisResults, this.handleOverlaySelect.bind(this));
+    }
+
+    renderDashboard() {
+        this.renderCharts(this.state.analysisResults, this.state.coverage?.unit, this.state.chartFilter);
+    }
+
+    handleChartFilter(segment) {
+        // Clicking the active segment again clears it
+        const isActive = segment && this.state.chartFilter &&
+            segment.type === this.state.chartFilter.type && segment.value === this.state.chartFilter.value;
+        this.state.chartFilter = isActive ? null : segment;
+
+        this.renderDashboard();
+        this.renderResults();
+    }
+
+    handleLayout(layout) {
+        this.state.layout = layout;
+        this.updateActiveButtons('.layout-btn', 'layout', layout);
+        this.renderResults();
+    }
+
+    getPageKey() {
+        return getPageKey(this.state.websiteCode?.url, this.state.hotjarMetadata);
+    }
+
+    async loadTriage() {
+        this.state.triage = await getTriageForPage(this.getPageKey());
+        this.updateTriageFilters(this.state.triage, this.state.triageFilter);
+    }
+
+    async handleTriageChange(selector, values) {
+        try {
+            const saved = await saveTriage(this.getPageKey(), selector, values);
+            this.state.triage = { ...this.state.triage, [selector]: saved };
+            this.updateTriageFilters(this.state.triage, this.state.triageFilter);
+            // Project files are exported from the saved project, so reviews are saved with it
+            await this.autosaveProject();
+            return saved;
+        } catch (error) {
+            console.error('Triage save error:', error);
+            this.showError('Failed to save the review. Please try again.');
+            return null;
+        }
+    }
+
+    handleTriageFilter(changes) {
+        this.state.triageFilter = { ...this.state.triageFilter, ...changes };
+        this.updateActiveButtons('.review-btn', 'review', this.state.triageFilter.review);
+        this.renderResults();
+    }
+
+    renderUnmatched() {
+        this.updateUnmatched(this.state.unmatched, this.state.coverage, this.handleManualMatch.bind(this));
+    }
+
+    async handleManualMatch(selector) {
+        try {
+            const doc = new DOMParser().parseFromString(this.state.websiteCode.html, 'text/html');
+            const picked = await this.pickElement(doc, selector);
+            if (!picked) {
+                return;
+            }
+
+            this.state.manualMatches[selector] = picked;
+
+            // The picked element may share an interactive ancestor with rows already rolled up
+            if (this.state.viewMode === 'rolled-up') {
+                await this.runAnalysis();
+                return;
+            }
+
+            this.showLoading('Analyzing matched element...');
+
+            // Only the newly matched row needs analyzing
+            const { results } = await this.analyzeData(
+                this.state.websiteCode,
+                this.state.hotjarData,
+                this.state.hotjarMetadata,
+                { manualMatches: this.state.manualMatches, selectors: [selector], scoringRules: this.getScoring().rules }
+            );
+
+            // The row stays unmatched when its element couldn't be analyzed, so its clicks aren't lost
+            if (results.length === 0) {
+                delete this.state.manualMatches[selector];
+                this.showError('Failed to analyze the selected element. The row stays unmatched; please pick another element.');
+                return;
+            }
+
+            this.state.analysisResults = [...this.state.analysisResults, ...results]
+                .sort((a, b) => b.totalInteractions - a.totalInteractions);
+            this.state.unmatched = this.state.unmatched.filter(row => row.selector !== selector);
+            this.state.coverage = await calculateHeatmapCoverage(this.state.analysisResults, this.state.unmatched);
+            await this.runPageSummary();
+
+            this.renderUnmatched();
+            this.updatePageSummary(this.state.pageSummary);
+            this.renderAccessibility();
+            this.renderDashboard();
+            this.renderResults();
+            this.renderOverlay(this.state.websiteCode, this.state.analysisResults);
+            await this.autosaveProject();
+
+        } catch (error) {
+            console.error('Manual match error:', error);
+            this.showError('Failed to analyze the selected element. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    handleOverlaySelect(result) {
+        if (this.state.layout === 'table') {
+            this.openResultDrawer(result);
+            return;
+        }
+
+        // The card may be hidden by the current filter
+        if (!this.focusResult(result.selector)) {
+            this.handleFilter('all');
+            this.focusResult(result.selector);
+        }
+    }
+
+    async handleViewMode(mode) {
+        if (mode === this.state.viewMode) {
+            return;
+        }
+
+        // Update active view button
+        this.updateActiveButtons('.view-btn', 'view', mode);
+
+        this.state.viewMode = mode;
+        await this.runAnalysis();
+    }
+
     handleFilter(filter) {
         try {
             // Update active filter button
-            document.querySelectorAll('.filter-btn').forEach(btn => {
-                if (btn.dataset.filter === filter) {
-                    btn.classList.add('bg-indigo-100', 'text-indigo-700');
-                    btn.classList.remove('text-gray-700');
-                } else {
-                    btn.classList.remove('bg-indigo-100', 'text-indigo-700');
-                    btn.classList.add('text-gray-700');
-                }
-            });
+            this.updateActiveButtons('.filter-btn', 'filter', filter);
 
             // Update state and refresh results
             this.state.currentFilter = filter;
-            this.updateUI(this.filterResults(filter));
+            this.renderResults();
             
         } catch (error) {
             console.error('Filter error:', error);
@@ -114,11 +528,125 @@ class HotjarAnalyzer {
         }
     }
 
-    filterResults(filter) {
-        if (filter === 'all') {
-            return this.state.analysisResults;
+    updateActiveButtons(selector, dataKey, value) {
+        document.querySelectorAll(selector).forEach(btn => {
+            if (btn.dataset[dataKey] === value) {
+                btn.classList.add('bg-indigo-100', 'text-indigo-700');
+                btn.classList.remove('text-gray-700');
+            } else {
+                btn.classList.remove('bg-indigo-100', 'text-indigo-700');
+                btn.classList.add('text-gray-700');
+            }
+        });
+    }
+
+    getProjectData() {
+        if (!this.state.websiteCode && this.state.hotjarDatasets.length === 0) {
+            return null;
+        }
+
+        // Everything needed to show the analysis again without fetching or calling the AI provider
+        return {
+            url: this.state.websiteCode?.url || null,
+            websiteCode: this.state.websiteCode,
+            datasets: this.state.hotjarDatasets,
+            comparisonData: this.state.comparisonData,
+            manualMatches: this.state.manualMatches,
+            viewMode: this.state.viewMode,
+            filter: this.state.currentFilter,
+            results: this.state.analysisResults,
+            unmatched: this.state.unmatched,
+            coverage: this.state.coverage,
+            pageSummary: this.state.pageSummary,
+            triage: this.state.triage,
+            scoring: this.getScoring()
+        };
+    }
+
+    async handleProjectOpened(project) {
+        const datasets = project.datasets || [];
+        const hotjarData = datasets.length > 0 ? await mergeHeatmapDatasets(datasets) : null;
+
+        this.state = {
+            ...this.state,
+            websiteCode: project.websiteCode || null,
+            hotjarDatasets: datasets,
+            hotjarData,
+            hotjarMetadata: datasets[0]?.metadata || null,
+            comparisonData: project.comparisonData || null,
+            comparisonMetadata: project.comparisonData?.metadata || null,
+            analysisResults: project.results || [],
+            unmatched: project.unmatched || [],
+            coverage: project.coverage || null,
+            pageSummary: project.pageSummary || null,
+            manualMatches: project.manualMatches || {},
+            viewMode: project.viewMode || 'rolled-up',
+            currentFilter: project.filter || 'all'
+        };
+
+        // Results are shown with the rules they were scored with
+        this.setScoring(project.scoring);
+        this.updateScoringDistribution(this.getClickCounts());
+
+        // Reviews from a shared project join the ones already made here, the newest edit winning
+        this.state.triage = await mergeTriage(this.getPageKey(), project.triage || {});
+        this.updateTriageFilters(this.state.triage, this.state.triageFilter);
+
+        document.getElementById('websiteUrl').value = project.url || '';
+        document.getElementById('comparisonSection').classList.add('hidden');
+        this.runComparison();
+
+        const analysisSection = document.getElementById('analysisSection');
+        if (!this.state.coverage) {
+            analysisSection.classList.add('hidden');
+            return;
         }
-        return this.state.analysisResults.filter(result => result.status === filter);
+
+        // Saved results are shown as they were, without re-running the analysis
+        this.updateActiveButtons('.view-btn', 'view', this.state.viewMode);
+        this.updateAnalysisHeader(datasets.map(dataset => dataset.metadata));
+        this.renderUnmatched();
+        this.updatePageSummary(this.state.pageSummary);
+        this.renderAccessibility();
+        this.state.chartFilter = null;
+        this.renderDashboard();
+        this.updateActiveButtons('.review-btn', 'review', this.state.triageFilter.review);
+        this.handleFilter(this.state.currentFilter);
+        analysisSection.classList.remove('hidden');
+        this.renderOverlay(this.state.websiteCode, this.state.analysisResults);
+    }
+
+    getExportData() {
+        // Exports follow the active filters, like the result cards
+        return {
+            results: this.filterResults(this.state.currentFilter),
+            filter: this.state.currentFilter,
+            url: this.state.websiteCode?.url || null,
+            metadataList: this.state.hotjarDatasets.map(dataset => dataset.metadata),
+            coverage: this.state.coverage,
+            pageSummary: this.state.pageSummary,
+            triage: this.state.triage
+        };
+    }
+
+    matchesFilter(result, filter) {
+        if (filter === 'all') return true;
+        // Dead click candidates cut across statuses; results saved before detection have no flags
+        if (filter === 'dead-click') return result.deadClicks?.length > 0;
+        return result.status === filter;
+    }
+
+    filterResults(filter) {
+        const { review, owner, tag } = this.state.triageFilter;
+
+        return this.state.analysisResults.filter(result => {
+            const triage = this.state.triage[result.selector] || createDefaultTriage();
+            return this.matchesFilter(result, filter) &&
+                (review === 'all' || triage.status === review) &&
+                (owner === 'all' || triage.owner === owner) &&
+                (tag === 'all' || triage.tags.includes(tag)) &&
+                matchesChartFilter(result, this.state.chartFilter);
+        });
     }
 }
 
@@ -0,0 +1,319 @@
+// Project library: save, open and share analysis projects
+import {
+    listProjects, getProject, saveProject, renameProject, duplicateProject, deleteProject,
+    serializeProject, parseProjectFile
+} from './projectStore.js';
+import { escapeHtml } from './textFormat.js';
+
+export function setupProjectLibrary(getProjectData, onProjectOpened) {
+    const nameInput = document.getElementById('projectName');
+    const notesInput = document.getElementById('projectNotes');
+    const saveButton = document.getElementById('saveProjectBtn');
+    const importInput = document.getElementById('project-import');
+    const statusElement = document.getElementById('projectStatus');
+    const errorElement = document.getElementById('projectError');
+    const listElement = document.getElementById('projectList');
+    const countElement = document.getElementById('projectCount');
+
+    // Project being edited; null until the first save or open
+    let currentProject = null;
+
+    // Setup event listeners
+    saveButton.addEventListener('click', () => saveCurrentProject());
+    importInput.addEventListener('change', e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            importProject(file);
+        }
+    });
+
+    refreshList();
+
+    /**
+     * Save the current state as the open project, or as a new one
+     * @returns {Promise<boolean>} - Whether the project was saved
+     */
+    async function saveCurrentProject() {
+        hideError();
+
+        const data = getProjectData();
+        if (!data) {
+            showError('Load a website or a Hotjar export before saving a project.');
+            return false;
+        }
+
+        try {
+            currentProject = await saveProject({
+                ...data,
+                id: currentProject?.id,
+                createdAt: currentProject?.createdAt,
+                name: nameInput.value,
+                notes: notesInput.value
+            });
+            nameInput.value = currentProject.name;
+            updateStatus(`Saved ${formatDate(currentProject.updatedAt)}`);
+            await refreshList();
+            return true;
+
+        } catch (error) {
+            console.error('Project save error:', error);
+            showError(`Failed to save the project: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Save again after the analysis changed, but only once the project has been saved before
+     */
+    async function autosave() {
+        if (currentProject) {
+            await saveCurrentProject();
+        }
+    }
+
+    /**
+     * Stop saving to the open project once another page or heatmap is loaded, so its saved results
+     * aren't overwritten; the next save creates a new project
+     */
+    function detach() {
+        if (!currentProject) return;
+
+        currentProject = null;
+        nameInput.value = '';
+        notesInput.value = '';
+        updateStatus('Not saved; another page was loaded than the opened project');
+        refreshList();
+    }
+
+    /**
+     * Open a saved project
+     * @param {string} id - Project ID
+     */
+    async function openProject(id) {
+        hideError();
+
+        try {
+            const project = await getProject(id);
+            currentProject = project;
+            nameInput.value = project.name;
+            notesInput.value = project.notes || '';
+            updateStatus(`Opened, last saved ${formatDate(project.updatedAt)}`);
+            await onProjectOpened(project);
+
+        } catch (error) {
+            console.error('Project open error:', error);
+            showError(`Failed to open the project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename a saved project
+     * @param {string} id - Project ID
+     * @param {string} name - Current name
+     */
+    async function handleRename(id, name) {
+        const newName = window.prompt('Project name', name);
+        if (!newName || newName.trim() === name) {
+            return;
+        }
+
+        await runAction(async () => {
+            const renamed = await renameProject(id, newName);
+            if (currentProject?.id === id) {
+                currentProject = renamed;
+                nameInput.value = renamed.name;
+            }
+        }, 'rename');
+    }
+
+    /**
+     * Delete a saved project after confirmation
+     * @param {string} id - Project ID
+     * @param {string} name - Project name
+     */
+    async function handleDelete(id, name) {
+        if (!window.confirm(`Delete the project "${name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        await runAction(async () => {
+            await deleteProject(id);
+            // The analysis stays on screen and can be saved again as a new project
+            if (currentProject?.id === id) {
+                currentProject = null;
+                updateStatus('Not saved');
+            }
+        }, 'delete');
+    }
+
+    /**
+     * Download a project as a single file
+     * @param {string} id - Project ID
+     */
+    async function exportProject(id) {
+        await runAction(async () => {
+            const project = await getProject(id);
+            const url = URL.createObjectURL(new Blob([serializeProject(project)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${slugify(project.name)}.hotjar-project.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }, 'export');
+    }
+
+    /**
+     * Import a project file as a new project and open it
+     * @param {File} file - Exported project file
+     */
+    async function importProject(file) {
+        hideError();
+
+        try {
+            const project = parseProjectFile(await file.text());
+            const saved = await saveProject(project);
+            await refreshList();
+            await openProject(saved.id);
+
+        } catch (error) {
+            console.error('Project import error:', error);
+            showError(`Failed to import the project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a library action and refresh the list afterwards
+     * @param {Function} action - Async action
+     * @param {string} name - Action name for the error message
+     */
+    async function runAction(action, name) {
+        hideError();
+
+        try {
+            await action();
+        } catch (error) {
+            console.error(`Project ${name} error:`, error);
+            showError(`Failed to ${name} the project: ${error.message}`);
+        }
+        await refreshList();
+    }
+
+    /**
+     * Reload the list of saved projects
+     */
+    async function refreshList() {
+        let projects;
+        try {
+            projects = await listProjects();
+        } catch (error) {
+            console.error('Project list error:', error);
+            listElement.innerHTML = '<p class="p-3 text-sm text-gray-500">Saved projects are not available in this browser.</p>';
+            return;
+        }
+
+        countElement.textContent = projects.length;
+
+        if (projects.length === 0) {
+            listElement.innerHTML = '<p class="p-3 text-sm text-gray-500">No saved projects yet.</p>';
+            return;
+        }
+
+        listElement.innerHTML = projects.map(project => `
+            <div class="flex items-center justify-between gap-4 px-3 py-2 ${project.id === currentProject?.id ? 'bg-indigo-50' : ''}">
+                <div class="min-w-0">
+                    <p class="text-sm font-medium text-gray-800 truncate">${escapeHtml(project.name)}</p>
+                    <p class="text-xs text-gray-500 truncate">
+                        ${project.url ? escapeHtml(project.url) : 'No URL'} · ${formatDate(project.updatedAt)} · ${formatSize(project.size)}
+                    </p>
+                </div>
+                <div class="flex flex-shrink-0 gap-1">
+                    <button data-action="open" data-id="${project.id}" class="px-2 py-1 text-xs font-medium text-indigo-600 rounded hover:bg-indigo-100">Open</button>
+                    <button data-action="rename" data-id="${project.id}" class="px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-100">Rename</button>
+                    <button data-action="duplicate" data-id="${project.id}" class="px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-100">Duplicate</button>
+                    <button data-action="export" data-id="${project.id}" class="px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-100">Export</button>
+                    <button data-action="delete" data-id="${project.id}" class="px-2 py-1 text-xs text-red-600 rounded hover:bg-red-50">Delete</button>
+                </div>
+            </div>
+        `).join('');
+
+        listElement.querySelectorAll('[data-action]').forEach(button => {
+            const project = projects.find(item => item.id === button.dataset.id);
+            button.addEventListener('click', () => {
+                switch (button.dataset.action) {
+                    case 'open':
+                        openProject(project.id);
+                        break;
+                    case 'rename':
+                        handleRename(project.id, project.name);
+                        break;
+                    case 'duplicate':
+                        runAction(() => duplicateProject(project.id), 'duplicate');
+                        break;
+                    case 'export':
+                        exportProject(project.id);
+                        break;
+                    case 'delete':
+                        handleDelete(project.id, project.name);
+                        break;
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the save state of the current project
+     * @param {string} message - Status message
+     */
+    function updateStatus(message) {
+        statusElement.textContent = message;
+    }
+
+    /**
+     * Format an ISO timestamp for display
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} - Localized date and time
+     */
+    function formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Human readable size
+     */
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    /**
+     * Turn a project name into a file name
+     * @param {string} name - Project name
+     * @returns {string} - File-safe name
+     */
+    function slugify(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+    }
+
+    function showError(message) {
+        errorElement.textContent = message;
+        errorElement.classList.remove('hidden');
+    }
+
+    function hideError() {
+        errorElement.textContent = '';
+        errorElement.classList.add('hidden');
+    }
+
+    // Return public interface
+    return {
+        saveCurrentProject,
+        autosave,
+        openProject,
+        detach
+    };
+}
\ No newline at end of file
@@ -0,0 +1,319 @@
+// Saved projects: website code, Hotjar exports and analysis results kept between sessions
+import { getRecord, getAllRecords, putRecord, deleteRecord } from './db.js';
+import { REVIEW_STATUSES } from './triageStore.js';
+
+const STORE = 'projects';
+
+// Marks exported project files, so other JSON files are rejected on import
+const FILE_FORMAT = 'hotjar-analyzer-project';
+const FILE_VERSION = 1;
+
+const RESULT_STATUSES = ['problem', 'success', 'normal'];
+const LEVELS = ['low', 'medium', 'high'];
+const SEVERITIES = ['none', ...LEVELS];
+
+// Validation errors listed in the import error message
+const MAX_REPORTED_ERRORS = 3;
+
+/**
+ * List saved projects, most recently updated first
+ * @returns {Promise<Array<{id: string, name: string, url: string|null, createdAt: string, updatedAt: string, size: number}>>} - Project summaries
+ */
+export async function listProjects() {
+    const projects = await getAllRecords(STORE);
+    return projects
+        .map(({ id, name, url, createdAt, updatedAt, size }) => ({ id, name, url, createdAt, updatedAt, size }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Load a saved project
+ * @param {string} id - Project ID
+ * @returns {Promise<Object>} - Project
+ */
+export async function getProject(id) {
+    const project = await getRecord(STORE, id);
+    if (!project) {
+        throw new Error('Project not found. It may have been deleted in another tab.');
+    }
+    return project;
+}
+
+/**
+ * Create or update a project
+ * @param {Object} project - Project data; saved as a new project when it has no ID
+ * @returns {Promise<Object>} - Saved project with its ID and timestamps
+ */
+export async function saveProject(project) {
+    const now = new Date().toISOString();
+    const saved = {
+        ...project,
+        id: project.id || crypto.randomUUID(),
+        name: project.name?.trim() || 'Untitled project',
+        createdAt: project.createdAt || now,
+        updatedAt: now
+    };
+    saved.size = JSON.stringify(saved).length;
+
+    await putRecord(STORE, saved);
+    return saved;
+}
+
+/**
+ * Rename a project
+ * @param {string} id - Project ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} - Renamed project
+ */
+export async function renameProject(id, name) {
+    const project = await getProject(id);
+    return saveProject({ ...project, name });
+}
+
+/**
+ * Save a copy of a project under a new ID
+ * @param {string} id - Project ID
+ * @returns {Promise<Object>} - The copy
+ */
+export async function duplicateProject(id) {
+    const project = await getProject(id);
+    return saveProject({ ...project, id: null, createdAt: null, name: `${project.name} (copy)` });
+}
+
+/**
+ * Delete a project
+ * @param {string} id - Project ID
+ * @returns {Promise<void>}
+ */
+export function deleteProject(id) {
+    return deleteRecord(STORE, id);
+}
+
+/**
+ * Serialize a project as a single shareable file
+ * @param {Object} project - Project
+ * @returns {string} - JSON text
+ */
+export function serializeProject(project) {
+    return JSON.stringify({
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project
+    });
+}
+
+/**
+ * Read a project file exported by serializeProject
+ * @param {string} text - File content
+ * @returns {Object} - Project without ID, to be saved as a new project
+ */
+export function parseProjectFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not a project export (invalid JSON)');
+    }
+
+    if (file?.format !== FILE_FORMAT || !file.project) {
+        throw new Error('The file is not a project export');
+    }
+    if (file.version > FILE_VERSION) {
+        throw new Error('The project was exported by a newer version of the analyzer');
+    }
+
+    // Shared files are rendered into the page, so anything off the expected shape could inject markup
+    const errors = validateProject(file.project);
+    if (errors.length > 0) {
+        throw new Error(`The project file is invalid: ${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}` +
+            (errors.length > MAX_REPORTED_ERRORS ? ` and ${errors.length - MAX_REPORTED_ERRORS} more` : ''));
+    }
+
+    // An import never overwrites a project of the same origin
+    const { id, createdAt, updatedAt, size, ...project } = file.project;
+    return project;
+}
+
+/**
+ * Check the results and triage of an imported project against the shapes the analyzer produces
+ * @param {Object} project - Project from the file
+ * @returns {string[]} - Validation errors
+ */
+function validateProject(project) {
+    const errors = [];
+
+    if (project.results !== undefined && !Array.isArray(project.results)) {
+        errors.push('"results" must be an array');
+    } else {
+        (project.results || []).forEach((result, index) => validateResult(result, `results[${index}]`, errors));
+    }
+
+    if (project.triage !== undefined && !isObject(project.triage)) {
+        errors.push('"triage" must be an object keyed by selector');
+    } else {
+        Object.entries(project.triage || {}).forEach(([selector, triage]) => validateTriage(triage, `triage[${JSON.stringify(selector)}]`, errors));
+    }
+
+    return errors;
+}
+
+/**
+ * Check one analysis result
+ * @param {*} result - Result from the file
+ * @param {string} path - Path of the result, for error messages
+ * @param {string[]} errors - Errors to add to
+ */
+function validateResult(result, path, errors) {
+    if (!isObject(result)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+
+    const { element, metrics, analysis } = result;
+    expect(errors, `${path}.selector`, isString(result.selector), 'a string');
+    expect(errors, `${path}.status`, RESULT_STATUSES.includes(result.status), `one of ${RESULT_STATUSES.join(', ')}`);
+    expect(errors, `${path}.context.pageSection`, isString(result.context?.pageSection), 'a string');
+
+    if (!isObject(element)) {
+        errors.push(`${path}.element must be an object`);
+    } else {
+        ['tagName', 'className', 'id', 'innerText', 'location', 'role'].forEach(field =>
+            expect(errors, `${path}.element.${field}`, isString(element[field]), 'a string'));
+        expect(errors, `${path}.element.preview`, isMissing(element.preview) || (isString(element.preview) && element.preview.startsWith('data:image/')), 'a data:image/ URL');
+        expect(errors, `${path}.element.domPath`, isMissing(element.domPath) || isArrayOf(element.domPath, node =>
+            isObject(node) && isString(node.tag) && isString(node.classes) && isString(node.id)), 'an array of {tag, classes, id} strings');
+    }
+
+    if (!isObject(metrics)) {
+        errors.push(`${path}.metrics must be an object`);
+    } else {
+        ['clicks', 'moves', 'percentage', 'engagementScore'].forEach(field =>
+            expect(errors, `${path}.metrics.${field}`, isNumber(metrics[field]), 'a number'));
+        expect(errors, `${path}.metrics.scrollReach`, isMissing(metrics.scrollReach) || isNumber(metrics.scrollReach), 'a number or null');
+    }
+
+    if (!isObject(analysis)) {
+        errors.push(`${path}.analysis must be an object`);
+    } else {
+        expect(errors, `${path}.analysis.status`, RESULT_STATUSES.includes(analysis.status), `one of ${RESULT_STATUSES.join(', ')}`);
+        expect(errors, `${path}.analysis.severity`, SEVERITIES.includes(analysis.severity), `one of ${SEVERITIES.join(', ')}`);
+        expect(errors, `${path}.analysis.summary`, isString(analysis.summary), 'a string');
+        expect(errors, `${path}.analysis.findings`, isArrayOf(analysis.findings, isString), 'an array of strings');
+        expect(errors, `${path}.analysis.actions`, isArrayOf(analysis.actions, action =>
+            isObject(action) && isString(action.action) && LEVELS.includes(action.impact) && isString(action.expectedImpact)),
+            'an array of {action, impact, expectedImpact}');
+        expect(errors, `${path}.analysis.confidence`, analysis.confidence === null || isNumber(analysis.confidence), 'a number or null');
+    }
+
+    expect(errors, `${path}.match`, isMissing(result.match) || (isObject(result.match) && isString(result.match.label) &&
+        isString(result.match.matchedBy) && isNumber(result.match.confidence) && isNumber(result.match.matchCount)),
+        'an object with label, matchedBy, confidence and matchCount');
+    expect(errors, `${path}.rollUp`, isMissing(result.rollUp) || (isObject(result.rollUp) && isArrayOf(result.rollUp.children, child =>
+        isObject(child) && isString(child.selector) && isNumber(child.clicks) && isNumber(child.percentage))),
+        'an object with an array of {selector, clicks, percentage} children');
+    ['deadClicks', 'deadClickCandidates'].forEach(field =>
+        expect(errors, `${path}.${field}`, isMissing(result[field]) || isArrayOf(result[field], flag =>
+            isObject(flag) && isString(flag.type) && isString(flag.label) && isString(flag.explanation)),
+            'an array of {type, label, explanation} strings'));
+    expect(errors, `${path}.accessibility`, isMissing(result.accessibility) || (isObject(result.accessibility) &&
+        isStringOrNull(result.accessibility.control) && isString(result.accessibility.name) && isString(result.accessibility.role) &&
+        isArrayOf(result.accessibility.issues, issue => isObject(issue) && LEVELS.includes(issue.severity) &&
+            ['type', 'label', 'wcag', 'detail'].every(field => isString(issue[field])))),
+        'an accessibility audit');
+    expect(errors, `${path}.styles`, isMissing(result.styles) || (isObject(result.styles) && isArrayOf(result.styles.rules, rule =>
+        isObject(rule) && isString(rule.selector) && isString(rule.source) && isStringOrNull(rule.media) &&
+        isStringOrNull(rule.inheritedFrom) && isArrayOf(rule.specificity, isNumber) &&
+        isArrayOf(rule.declarations, declaration => isObject(declaration) && isString(declaration.property) && isString(declaration.value)))),
+        'a resolved cascade');
+    expect(errors, `${path}.analysisSource`, isMissing(result.analysisSource) || (isObject(result.analysisSource) &&
+        ['label', 'model', 'reason', 'cachedAt'].every(field => isMissing(result.analysisSource[field]) || isString(result.analysisSource[field]))),
+        'an object of strings');
+}
+
+/**
+ * Check the review state of one selector
+ * @param {*} triage - Triage from the file
+ * @param {string} path - Path of the triage, for error messages
+ * @param {string[]} errors - Errors to add to
+ */
+function validateTriage(triage, path, errors) {
+    if (!isObject(triage)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+
+    expect(errors, `${path}.status`, REVIEW_STATUSES.includes(triage.status), `one of ${REVIEW_STATUSES.join(', ')}`);
+    expect(errors, `${path}.owner`, isString(triage.owner), 'a string');
+    expect(errors, `${path}.tags`, isArrayOf(triage.tags, isString), 'an array of strings');
+    expect(errors, `${path}.notes`, isString(triage.notes), 'a string');
+    expect(errors, `${path}.updatedAt`, isStringOrNull(triage.updatedAt), 'a string or null');
+}
+
+/**
+ * Record an error when a check fails
+ * @param {string[]} errors - Errors to add to
+ * @param {string} path - Path of the checked field
+ * @param {boolean} valid - Result of the check
+ * @param {string} expected - Description of the expected value
+ */
+function expect(errors, path, valid, expected) {
+    if (!valid) {
+        errors.push(`${path} must be ${expected}`);
+    }
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is an object and not an array
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check for a string
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a string
+ */
+function isString(value) {
+    return typeof value === 'string';
+}
+
+/**
+ * Check for a string or null
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a string or null
+ */
+function isStringOrNull(value) {
+    return value === null || isString(value);
+}
+
+/**
+ * Check for a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a finite number
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check for an absent optional field
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is undefined or null
+ */
+function isMissing(value) {
+    return value === undefined || value === null;
+}
+
+/**
+ * Check for an array whose items all pass a check
+ * @param {*} value - Value to check
+ * @param {Function} check - Check of one item
+ * @returns {boolean} - Whether the value is an array of valid items
+ */
+function isArrayOf(value, check) {
+    return Array.isArray(value) && value.every(check);
+}
\ No newline at end of file
@@ -0,0 +1,405 @@
+// Export of analysis results as an HTML report, CSV and JSON, plus the accessibility issues as CSV
+import { formatMetadataLabel } from './heatmapMetadata.js';
+import { rankAccessibilityIssues } from './accessibilityAudit.js';
+import { formatCascade } from './cssCascade.js';
+import { escapeHtml } from './textFormat.js';
+
+const STATUS_LABELS = {
+    all: 'All results',
+    problem: 'Problems',
+    success: 'Successes',
+    normal: 'Normal',
+    'dead-click': 'Dead click candidates'
+};
+
+const ACCESSIBILITY_CSV_FIELDS = [
+    'Rank', 'Selector', 'Control', 'Role', 'Accessible Name', 'Clicks', 'Click Share %',
+    'Issue', 'Severity', 'WCAG', 'Detail', 'Page URL'
+];
+
+// Self-contained styles, so the report needs nothing but the file itself
+const REPORT_STYLES = `
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 32px; font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; background: #f9fafb; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    h2 { margin: 32px 0 12px; font-size: 18px; }
+    h3 { margin: 0 0 8px; font-size: 15px; }
+    h4 { margin: 12px 0 4px; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; }
+    code { font: 12px/1.4 Menlo, Consolas, monospace; background: #f3f4f6; padding: 2px 4px; border-radius: 4px; word-break: break-all; }
+    pre { margin: 0; white-space: pre-wrap; }
+    pre code { display: block; padding: 8px 12px; }
+    ul, ol { margin: 0; padding-left: 20px; }
+    li { margin: 2px 0; }
+    table { border-collapse: collapse; }
+    td, th { padding: 4px 12px 4px 0; text-align: left; vertical-align: top; }
+    th { font-weight: 500; color: #6b7280; }
+    .muted { color: #6b7280; font-size: 12px; }
+    .panel { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px 20px; margin-bottom: 16px; }
+    .card { page-break-inside: avoid; break-inside: avoid; }
+    .card-body { display: flex; gap: 20px; }
+    .card-body > div { flex: 1; min-width: 0; }
+    .preview { max-width: 240px; max-height: 160px; border: 1px solid #e5e7eb; border-radius: 4px; }
+    .badge { display: inline-block; padding: 1px 8px; border-radius: 4px; font-size: 12px; background: #f3f4f6; }
+    .problem { background: #fee2e2; color: #991b1b; }
+    .success { background: #dbeafe; color: #1e40af; }
+    .normal { background: #d1fae5; color: #065f46; }
+    .high { background: #fee2e2; color: #991b1b; }
+    .medium { background: #fef3c7; color: #92400e; }
+    .print-button { float: right; padding: 6px 14px; border: 1px solid #d1d5db; border-radius: 6px; background: #fff; cursor: pointer; }
+    @media print {
+        body { padding: 0; background: #fff; }
+        .print-button { display: none; }
+        .panel { border-color: #d1d5db; }
+    }
+`;
+
+export function setupReportExport(getExportData) {
+    const exportHtmlButton = document.getElementById('exportHtmlBtn');
+    const exportCsvButton = document.getElementById('exportCsvBtn');
+    const exportJsonButton = document.getElementById('exportJsonBtn');
+    const exportAccessibilityButton = document.getElementById('exportA11yBtn');
+
+    // Setup event listeners
+    exportHtmlButton.addEventListener('click', () => exportHtml());
+    exportCsvButton.addEventListener('click', () => exportCsv());
+    exportJsonButton.addEventListener('click', () => exportJson());
+    exportAccessibilityButton.addEventListener('click', () => exportAccessibility());
+
+    /**
+     * Download a self-contained HTML report, printable to PDF
+     */
+    function exportHtml() {
+        const data = getExportData();
+        download(buildHtmlReport(data), 'text/html', getFileName(data, 'html'));
+    }
+
+    /**
+     * Download one CSV row per result
+     */
+    function exportCsv() {
+        const data = getExportData();
+        // Leading BOM so Excel opens the file as UTF-8
+        download('\uFEFF' + buildCsv(data), 'text/csv', getFileName(data, 'csv'));
+    }
+
+    /**
+     * Download the full result objects with the export metadata
+     */
+    function exportJson() {
+        const data = getExportData();
+        download(JSON.stringify(buildJson(data), null, 2), 'application/json', getFileName(data, 'json'));
+    }
+
+    /**
+     * Download one CSV row per accessibility issue, most clicked elements first
+     */
+    function exportAccessibility() {
+        const data = getExportData();
+        download('\uFEFF' + buildAccessibilityCsv(data), 'text/csv', getFileName(data, 'accessibility.csv'));
+    }
+
+    /**
+     * Save text as a file
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     * @param {string} fileName - Suggested file name
+     */
+    function download(content, type, fileName) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke after the click has been handled
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Return public interface
+    return {
+        exportHtml,
+        exportCsv,
+        exportJson,
+        exportAccessibility
+    };
+}
+
+/**
+ * Build the JSON export
+ * @param {Object} data - Export data
+ * @returns {Object} - Export metadata, page summary and results
+ */
+export function buildJson(data) {
+    return {
+        generatedAt: new Date().toISOString(),
+        filter: data.filter,
+        page: {
+            url: data.url,
+            heatmaps: data.metadataList
+        },
+        coverage: data.coverage,
+        pageSummary: data.pageSummary,
+        results: data.results.map(result => ({ ...result, triage: data.triage[result.selector] || null }))
+    };
+}
+
+/**
+ * Build the CSV export, one row per result
+ * @param {Object} data - Export data
+ * @returns {string} - CSV text
+ */
+export function buildCsv(data) {
+    const heatmapLabel = getHeatmapLabel(data.metadataList);
+
+    const rows = data.results.map(result => {
+        const triage = data.triage[result.selector];
+        return {
+            'Selector': result.selector,
+            'Matched Selector': result.match?.selector || '',
+            'Match Strategy': result.match?.label || '',
+            'Match Confidence': result.match ? Math.round(result.match.confidence * 100) / 100 : '',
+            'Tag': result.element.tagName,
+            'Role': result.element.role,
+            'Section': result.context.pageSection,
+            'Text': result.element.innerText,
+            'Clicks': result.metrics.clicks,
+            'Moves': result.metrics.moves,
+            'Click Share %': result.metrics.percentage,
+            'Scroll Reach %': result.metrics.scrollReach ?? '',
+            'Engagement Score': result.metrics.engagementScore,
+            'Interaction Quality': result.metrics.interactionQuality,
+            'Visible': result.metrics.isVisible ? 'yes' : 'no',
+            'Dead Click Flags': (result.deadClicks || []).map(flag => flag.label).join(' | '),
+            'Accessibility Issues': (result.accessibility?.issues || []).map(issue => issue.label).join(' | '),
+            'Status': result.status,
+            'Severity': result.analysis.severity,
+            'Summary': result.analysis.summary,
+            'Findings': result.analysis.findings.join(' | '),
+            'Actions': result.analysis.actions
+                .map(action => `${action.action} (${action.impact} impact: ${action.expectedImpact})`)
+                .join(' | '),
+            'Confidence': result.analysis.confidence ?? '',
+            'Analysis Source': formatSource(result.analysisSource),
+            'Review Status': triage?.status || 'new',
+            'Owner': triage?.owner || '',
+            'Tags': triage ? triage.tags.join(', ') : '',
+            'Notes': triage?.notes || '',
+            'Page URL': data.url || '',
+            'Heatmap': heatmapLabel
+        };
+    });
+
+    return Papa.unparse(rows);
+}
+
+/**
+ * Build the accessibility CSV export, one row per issue ranked by clicks
+ * @param {Object} data - Export data
+ * @returns {string} - CSV text
+ */
+export function buildAccessibilityCsv(data) {
+    const rows = rankAccessibilityIssues(data.results).map(({ selector, clicks, percentage, issue }, index) => {
+        const { accessibility } = data.results.find(result => result.selector === selector);
+        return {
+            'Rank': index + 1,
+            'Selector': selector,
+            'Control': accessibility.control || '',
+            'Role': accessibility.role,
+            'Accessible Name': accessibility.name,
+            'Clicks': clicks,
+            'Click Share %': percentage,
+            'Issue': issue.label,
+            'Severity': issue.severity,
+            'WCAG': issue.wcag,
+            'Detail': issue.detail,
+            'Page URL': data.url || ''
+        };
+    });
+
+    // Explicit fields keep the header row when no issue was found
+    return Papa.unparse({ fields: ACCESSIBILITY_CSV_FIELDS, data: rows });
+}
+
+/**
+ * Build the standalone HTML report
+ * @param {Object} data - Export data
+ * @returns {string} - HTML document
+ */
+export function buildHtmlReport(data) {
+    const { results, filter, url, metadataList, coverage, pageSummary, triage } = data;
+    const title = `Heatmap analysis${url ? ` – ${url}` : ''}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+<h1>Heatmap analysis</h1>
+<p class="muted">Generated ${escapeHtml(new Date().toLocaleString())}</p>
+
+<div class="panel">
+    <table>
+        <tr><th>Page</th><td>${url ? escapeHtml(url) : 'Pasted snapshot'}</td></tr>
+        ${metadataList.map(metadata => `
+            <tr><th>Heatmap</th><td>${escapeHtml(formatMetadataLabel(metadata))}<br><span class="muted">${escapeHtml(metadata.fileName)}${metadata.heatmapId ? ` · ID ${escapeHtml(metadata.heatmapId)}` : ''}</span></td></tr>
+        `).join('')}
+        <tr><th>Results</th><td>${results.length} elements · ${escapeHtml(STATUS_LABELS[filter] || filter)}</td></tr>
+        ${coverage ? `<tr><th>Coverage</th><td>${coverage.percentage}% of ${coverage.unit} matched to elements (${coverage.matched} of ${coverage.total})</td></tr>` : ''}
+    </table>
+</div>
+
+${pageSummary ? renderPageSummary(pageSummary) : ''}
+
+${renderAccessibility(results)}
+
+<h2>Elements</h2>
+${results.map(result => renderResult(result, triage[result.selector])).join('\n')}
+</body>
+</html>`;
+}
+
+/**
+ * Render the page summary section of the report
+ * @param {{analysis: Object, source: Object}} pageSummary - Page summary
+ * @returns {string} - HTML markup
+ */
+function renderPageSummary({ analysis, source }) {
+    return `
+<h2>Page summary</h2>
+<div class="panel card">
+    <p>${escapeHtml(analysis.summary)}</p>
+    <p class="muted">${escapeHtml(formatSource(source))}</p>
+    <h4>Main themes</h4>
+    <ul>${analysis.themes.map(theme => `<li>${escapeHtml(theme)}</li>`).join('')}</ul>
+    <h4>Top recommendations</h4>
+    <ol>${analysis.recommendations.map(item => `
+        <li>${escapeHtml(item.recommendation)} <span class="badge ${escapeHtml(item.impact)}">${escapeHtml(item.impact)} impact</span><br><span class="muted">${escapeHtml(item.rationale)}</span></li>
+    `).join('')}</ol>
+    ${analysis.problems.length > 0 ? `
+        <h4>Suspected UX problems</h4>
+        <ul>${analysis.problems.map(problem => `
+            <li>${escapeHtml(problem.problem)} <span class="badge ${escapeHtml(problem.severity)}">${escapeHtml(problem.severity)}</span><br><span class="muted">${escapeHtml(problem.evidence)}</span></li>
+        `).join('')}</ul>
+    ` : ''}
+</div>`;
+}
+
+/**
+ * Render the accessibility issues of the report, most clicked elements first
+ * @param {Array} results - Analysis results
+ * @returns {string} - HTML markup, empty when nothing was audited
+ */
+function renderAccessibility(results) {
+    if (!results.some(result => result.accessibility)) return '';
+
+    const rows = rankAccessibilityIssues(results);
+    return `
+<h2>Accessibility issues</h2>
+<div class="panel">
+    ${rows.length === 0 ? '<p>No issues found by the automated checks.</p>' : `
+        <table>
+            <tr><th>Element</th><th>Clicks</th><th>Issue</th><th>WCAG</th></tr>
+            ${rows.map(({ selector, clicks, issue }) => `
+                <tr>
+                    <td><code>${escapeHtml(selector)}</code></td>
+                    <td>${clicks}</td>
+                    <td><span class="badge ${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span> ${escapeHtml(issue.label)}<br><span class="muted">${escapeHtml(issue.detail)}</span></td>
+                    <td>${escapeHtml(issue.wcag)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `}
+</div>`;
+}
+
+/**
+ * Render one result of the report
+ * @param {Object} result - Analysis result
+ * @param {Object|undefined} triage - Review state of the result
+ * @returns {string} - HTML markup
+ */
+function renderResult(result, triage) {
+    const { element, metrics, analysis } = result;
+
+    return `
+<div class="panel card">
+    <h3><span class="badge ${escapeHtml(result.status)}">${escapeHtml(result.status)}</span> &lt;${escapeHtml(element.tagName)}&gt; ${escapeHtml(element.innerText)}</h3>
+    <p><code>${escapeHtml(result.selector)}</code></p>
+    <div class="card-body">
+        ${element.preview ? `<img class="preview" src="${escapeHtml(element.preview)}" alt="Element preview" style="flex: none;">` : ''}
+        <div>
+            <table>
+                <tr><th>Clicks</th><td>${metrics.clicks} (${metrics.percentage}%)</td></tr>
+                <tr><th>Moves</th><td>${metrics.moves}</td></tr>
+                ${metrics.scrollReach !== null ? `<tr><th>Scroll reach</th><td>${metrics.scrollReach}%</td></tr>` : ''}
+                <tr><th>Engagement</th><td>${metrics.engagementScore}/100</td></tr>
+                <tr><th>Section</th><td>${escapeHtml(result.context.pageSection)} · ${escapeHtml(element.role || '')}</td></tr>
+                ${result.match ? `<tr><th>Match</th><td>${escapeHtml(result.match.label)} (${Math.round(result.match.confidence * 100)}%)</td></tr>` : ''}
+                <tr><th>Review</th><td>${escapeHtml(triage?.status || 'new')}${triage?.owner ? ` · ${escapeHtml(triage.owner)}` : ''}${triage?.tags.length ? ` · ${escapeHtml(triage.tags.join(', '))}` : ''}</td></tr>
+                ${triage?.notes ? `<tr><th>Notes</th><td>${escapeHtml(triage.notes)}</td></tr>` : ''}
+            </table>
+        </div>
+    </div>
+    ${result.deadClicks?.length ? `
+        <h4>Dead click candidate</h4>
+        <ul>${result.deadClicks.map(flag => `<li>${escapeHtml(flag.label)}<br><span class="muted">${escapeHtml(flag.explanation)}</span></li>`).join('')}</ul>
+    ` : ''}
+    ${result.styles?.rules.length ? `
+        <h4>CSS rules</h4>
+        <pre><code>${escapeHtml(formatCascade(result.styles))}</code></pre>
+    ` : ''}
+    <h4>Analysis</h4>
+    <p>${escapeHtml(analysis.summary)}</p>
+    <p class="muted">${escapeHtml(formatSource(result.analysisSource))}${analysis.confidence !== null ? ` · ${Math.round(analysis.confidence * 100)}% confidence` : ''}</p>
+    <ul>${analysis.findings.map(finding => `<li>${escapeHtml(finding)}</li>`).join('')}</ul>
+    ${analysis.actions.length > 0 ? `
+        <h4>Recommended actions</h4>
+        <ol>${analysis.actions.map(action => `
+            <li>${escapeHtml(action.action)} <span class="badge ${escapeHtml(action.impact)}">${escapeHtml(action.impact)} impact</span><br><span class="muted">${escapeHtml(action.expectedImpact)}</span></li>
+        `).join('')}</ol>
+    ` : ''}
+</div>`;
+}
+
+/**
+ * Describe what produced an analysis
+ * @param {Object|undefined} source - Analysis source
+ * @returns {string} - Source label
+ */
+function formatSource(source) {
+    if (source?.type === 'ai') {
+        return `AI · ${source.label}${source.model ? ` · ${source.model}` : ''}${source.cached ? ' (cached)' : ''}`;
+    }
+    return 'Rule-based summary, not AI';
+}
+
+/**
+ * Label the heatmaps an export was built from
+ * @param {Array<Object>} metadataList - Heatmap metadata
+ * @returns {string} - Combined label
+ */
+function getHeatmapLabel(metadataList) {
+    return metadataList.map(formatMetadataLabel).filter(Boolean).join(' + ');
+}
+
+/**
+ * Build a download file name from the page and export date
+ * @param {Object} data - Export data
+ * @param {string} extension - File extension
+ * @returns {string} - File name
+ */
+function getFileName(data, extension) {
+    let site = 'page';
+    try {
+        site = new URL(data.url).hostname;
+    } catch {
+        // Snapshots without a URL keep the generic name
+    }
+    const filter = data.filter === 'all' ? '' : `-${data.filter}`;
+    return `heatmap-analysis-${site}${filter}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
\ No newline at end of file
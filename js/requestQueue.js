@@ -0,0 +1,238 @@
+// Rate-limited request queue with retries, used for AI provider calls
+
+const RATE_WINDOW_MS = 60000;
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * Create a queue that runs tasks with limited concurrency and requests per minute
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum tasks running at once
+ * @param {number} options.requestsPerMinute - Maximum task starts per minute, 0 for no limit
+ * @param {number} options.maxRetries - Retries for rate-limited or failed server responses
+ * @param {number} options.baseDelay - First backoff delay in milliseconds
+ * @param {Function} options.onProgress - Called with the queue counts whenever they change
+ * @returns {{enqueue: Function, cancel: Function, getCounts: Function}} - Queue interface
+ */
+export function createRequestQueue(options = {}) {
+    const {
+        concurrency = 2,
+        requestsPerMinute = 0,
+        maxRetries = 4,
+        baseDelay = 1000,
+        onProgress = () => {}
+    } = options;
+
+    const controller = new AbortController();
+    const waiting = [];
+    const startTimes = [];
+    const counts = { queued: 0, inFlight: 0, done: 0, failed: 0 };
+    let wakeTimer = null;
+    // Set when the provider rate-limits us; no task starts before it
+    let pausedUntil = 0;
+
+    /**
+     * Add a task to the queue
+     * @param {Function} task - Receives an AbortSignal and returns a promise
+     * @returns {Promise<*>} - Settles with the task's result once it has run
+     */
+    function enqueue(task) {
+        if (controller.signal.aborted) {
+            return Promise.reject(createCancelError());
+        }
+
+        return new Promise((resolve, reject) => {
+            waiting.push({ task, resolve, reject, attempt: 0, notBefore: 0 });
+            counts.queued++;
+            report();
+            pump();
+        });
+    }
+
+    /**
+     * Cancel every queued task and abort the running ones
+     */
+    function cancel() {
+        if (controller.signal.aborted) return;
+
+        controller.abort();
+        clearTimeout(wakeTimer);
+
+        waiting.splice(0).forEach(job => {
+            counts.queued--;
+            counts.failed++;
+            job.reject(createCancelError());
+        });
+        report();
+    }
+
+    /**
+     * Get the current queue counts
+     * @returns {{queued: number, inFlight: number, done: number, failed: number}} - Task counts
+     */
+    function getCounts() {
+        return { ...counts };
+    }
+
+    /**
+     * Start as many waiting tasks as the limits allow
+     */
+    function pump() {
+        clearTimeout(wakeTimer);
+        wakeTimer = null;
+        if (controller.signal.aborted) return;
+
+        while (counts.inFlight < concurrency && waiting.length > 0) {
+            const now = Date.now();
+            const wait = Math.max(getRateLimitWait(now), pausedUntil - now, getBackoffWait(now));
+
+            if (wait > 0) {
+                wakeTimer = setTimeout(pump, wait);
+                return;
+            }
+
+            const index = waiting.findIndex(job => job.notBefore <= now);
+            run(waiting.splice(index, 1)[0]);
+        }
+    }
+
+    /**
+     * Run one task, retrying it when the provider asks to back off
+     * @param {Object} job - Queued job
+     */
+    async function run(job) {
+        counts.queued--;
+        counts.inFlight++;
+        startTimes.push(Date.now());
+        report();
+
+        try {
+            const result = await job.task(controller.signal);
+            counts.inFlight--;
+            counts.done++;
+            job.resolve(result);
+
+        } catch (error) {
+            counts.inFlight--;
+
+            if (!controller.signal.aborted && isRetryable(error) && job.attempt < maxRetries) {
+                job.attempt++;
+                const retryAt = Date.now() + getRetryDelay(error, job.attempt);
+                if (isRateLimited(error)) {
+                    // The limit applies to the whole API key, so every task waits, not only this one
+                    pausedUntil = Math.max(pausedUntil, retryAt);
+                } else {
+                    job.notBefore = retryAt;
+                }
+                console.warn(`Request failed (${error.message}), retry ${job.attempt} of ${maxRetries}`);
+                waiting.unshift(job);
+                counts.queued++;
+            } else {
+                counts.failed++;
+                job.reject(controller.signal.aborted ? createCancelError() : error);
+            }
+        }
+
+        report();
+        pump();
+    }
+
+    /**
+     * Time to wait before the requests-per-minute limit allows another start
+     * @param {number} now - Current time
+     * @returns {number} - Milliseconds to wait
+     */
+    function getRateLimitWait(now) {
+        while (startTimes.length > 0 && startTimes[0] <= now - RATE_WINDOW_MS) {
+            startTimes.shift();
+        }
+
+        if (!requestsPerMinute || startTimes.length < requestsPerMinute) {
+            return 0;
+        }
+        return startTimes[startTimes.length - requestsPerMinute] + RATE_WINDOW_MS - now;
+    }
+
+    /**
+     * Time until the earliest waiting task is out of its server error backoff
+     * @param {number} now - Current time
+     * @returns {number} - Milliseconds to wait
+     */
+    function getBackoffWait(now) {
+        return Math.max(0, Math.min(...waiting.map(job => job.notBefore)) - now);
+    }
+
+    /**
+     * Calculate the delay before a retry
+     * @param {Error} error - Failed request error
+     * @param {number} attempt - Retry number, starting at 1
+     * @returns {number} - Delay in milliseconds
+     */
+    function getRetryDelay(error, attempt) {
+        // The provider's Retry-After wins over our own backoff
+        if (typeof error.retryAfter === 'number') {
+            return Math.min(error.retryAfter * 1000, MAX_BACKOFF_MS);
+        }
+
+        const exponential = baseDelay * 2 ** (attempt - 1);
+        const jitter = Math.random() * baseDelay;
+        return Math.min(exponential + jitter, MAX_BACKOFF_MS);
+    }
+
+    /**
+     * Notify the listener of the current counts
+     */
+    function report() {
+        onProgress(getCounts());
+    }
+
+    return {
+        enqueue,
+        cancel,
+        getCounts
+    };
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value, in seconds or as an HTTP date
+ * @returns {number|null} - Seconds to wait, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} - True for rate limiting and server errors
+ */
+function isRetryable(error) {
+    return error.status === 429 || (error.status >= 500 && error.status < 600);
+}
+
+/**
+ * Check whether the provider asked to slow down, rather than failing on its side
+ * @param {Error} error - Request error
+ * @returns {boolean} - True for 429 responses and responses with Retry-After
+ */
+function isRateLimited(error) {
+    return error.status === 429 || typeof error.retryAfter === 'number';
+}
+
+/**
+ * Create the error used for cancelled tasks
+ * @returns {Error} - Cancellation error
+ */
+function createCancelError() {
+    const error = new Error('Analysis cancelled');
+    error.name = 'CancelError';
+    return error;
+}
\ No newline at end of file
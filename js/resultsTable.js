@@ -0,0 +1,230 @@
+// Virtualized, sortable and searchable table of analysis results
+import { escapeHtml } from './textFormat.js';
+
+const ROW_HEIGHT = 40;
+
+// Rows rendered above and below the viewport, so fast scrolling doesn't show gaps
+const OVERSCAN = 10;
+
+const GRID_TEMPLATE = 'minmax(16rem, 3fr) 5rem 5rem 6rem minmax(7rem, 1fr) minmax(6rem, 1fr) 6rem 5rem 6rem';
+
+const COLUMNS = [
+    { key: 'selector', label: 'Element', getValue: result => result.selector },
+    { key: 'clicks', label: 'Clicks', numeric: true, getValue: result => result.metrics.clicks },
+    { key: 'percentage', label: '% of total', numeric: true, getValue: result => result.metrics.percentage },
+    { key: 'engagement', label: 'Engagement', numeric: true, getValue: result => result.metrics.engagementScore },
+    { key: 'section', label: 'Section', getValue: result => result.context.pageSection },
+    { key: 'role', label: 'Role', getValue: result => result.element.role || '' },
+    { key: 'interactive', label: 'Interactive', getValue: result => (result.element.isInteractive ? 1 : 0) },
+    { key: 'visible', label: 'Visible', getValue: result => (result.metrics.isVisible ? 1 : 0) },
+    { key: 'status', label: 'Status', getValue: result => result.status }
+];
+
+export function setupResultsTable(renderCard) {
+    const searchInput = document.getElementById('tableSearch');
+    const sectionFilter = document.getElementById('tableSectionFilter');
+    const roleFilter = document.getElementById('tableRoleFilter');
+    const interactiveFilter = document.getElementById('tableInteractiveFilter');
+    const visibleFilter = document.getElementById('tableVisibleFilter');
+    const countElement = document.getElementById('tableCount');
+    const header = document.getElementById('tableHeader');
+    const viewport = document.getElementById('tableViewport');
+    const spacer = document.getElementById('tableSpacer');
+    const rowsElement = document.getElementById('tableRows');
+    const drawer = document.getElementById('resultDrawer');
+    const drawerContent = document.getElementById('resultDrawerContent');
+
+    let allResults = [];
+    let visibleResults = [];
+    let sort = { key: 'clicks', descending: true };
+    let renderedRange = null;
+
+    // Setup event listeners
+    searchInput.addEventListener('input', () => applyFilters());
+    [sectionFilter, roleFilter, interactiveFilter, visibleFilter].forEach(select => {
+        select.addEventListener('change', () => applyFilters());
+    });
+    viewport.addEventListener('scroll', () => renderRows());
+    rowsElement.addEventListener('click', e => {
+        const row = e.target.closest('[data-row-index]');
+        if (row) {
+            openDrawer(visibleResults[row.dataset.rowIndex]);
+        }
+    });
+    document.getElementById('closeDrawerBtn').addEventListener('click', () => closeDrawer());
+    document.getElementById('resultDrawerBackdrop').addEventListener('click', () => closeDrawer());
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && !drawer.classList.contains('hidden')) {
+            closeDrawer();
+        }
+    });
+
+    renderHeader();
+
+    /**
+     * Show a new set of results, keeping search, facets and sort order
+     * @param {Array} results - Analysis results
+     */
+    function renderTable(results) {
+        allResults = results;
+        updateFacetOptions(sectionFilter, results.map(result => result.context.pageSection), 'Any section');
+        updateFacetOptions(roleFilter, results.map(result => result.element.role || ''), 'Any role');
+        applyFilters();
+    }
+
+    /**
+     * Filter by search text and facets, then sort
+     */
+    function applyFilters() {
+        const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const section = sectionFilter.value;
+        const role = roleFilter.value;
+        const interactive = interactiveFilter.value;
+        const visible = visibleFilter.value;
+
+        visibleResults = allResults.filter(result => {
+            const text = `${result.selector} ${result.element.innerText}`.toLowerCase();
+            return terms.every(term => text.includes(term)) &&
+                (section === 'all' || result.context.pageSection === section) &&
+                (role === 'all' || (result.element.role || '') === role) &&
+                (interactive === 'all' || result.element.isInteractive === (interactive === 'yes')) &&
+                (visible === 'all' || result.metrics.isVisible === (visible === 'yes'));
+        });
+
+        sortResults();
+        countElement.textContent = visibleResults.length === allResults.length
+            ? `${allResults.length} elements`
+            : `${visibleResults.length} of ${allResults.length} elements`;
+
+        // A new order or subset starts at the top
+        spacer.style.height = `${visibleResults.length * ROW_HEIGHT}px`;
+        viewport.scrollTop = 0;
+        renderedRange = null;
+        renderRows();
+    }
+
+    /**
+     * Sort the filtered results by the active column
+     */
+    function sortResults() {
+        const column = COLUMNS.find(item => item.key === sort.key);
+        const direction = sort.descending ? -1 : 1;
+
+        visibleResults.sort((a, b) => {
+            const first = column.getValue(a);
+            const second = column.getValue(b);
+            const order = column.numeric || typeof first === 'number'
+                ? first - second
+                : String(first).localeCompare(String(second));
+            // Ties keep the most clicked element first
+            return order * direction || b.metrics.clicks - a.metrics.clicks;
+        });
+    }
+
+    /**
+     * Render the column headers with the active sort direction
+     */
+    function renderHeader() {
+        header.style.gridTemplateColumns = GRID_TEMPLATE;
+        header.innerHTML = COLUMNS.map(column => `
+            <button data-sort="${column.key}" class="flex items-center gap-1 px-3 py-2 text-left hover:text-gray-800 ${column.numeric ? 'justify-end' : ''}">
+                ${column.label}
+                <span class="text-indigo-600">${column.key === sort.key ? (sort.descending ? '▼' : '▲') : ''}</span>
+            </button>
+        `).join('');
+
+        header.querySelectorAll('[data-sort]').forEach(button => {
+            button.addEventListener('click', () => {
+                const key = button.dataset.sort;
+                const column = COLUMNS.find(item => item.key === key);
+                // Numbers start with the largest value, text with A
+                sort = key === sort.key
+                    ? { key, descending: !sort.descending }
+                    : { key, descending: Boolean(column.numeric) };
+                renderHeader();
+                applyFilters();
+            });
+        });
+    }
+
+    /**
+     * Render only the rows inside the scrolled viewport
+     */
+    function renderRows() {
+        const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const last = Math.min(
+            visibleResults.length,
+            Math.ceil((viewport.scrollTop + viewport.clientHeight) / ROW_HEIGHT) + OVERSCAN
+        );
+
+        if (renderedRange && renderedRange.first === first && renderedRange.last === last) {
+            return;
+        }
+        renderedRange = { first, last };
+
+        rowsElement.style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+        rowsElement.innerHTML = visibleResults.slice(first, last).map((result, offset) => `
+            <div data-row-index="${first + offset}"
+                 class="grid items-center border-b border-gray-100 text-sm text-gray-700 cursor-pointer hover:bg-indigo-50"
+                 style="grid-template-columns: ${GRID_TEMPLATE}; height: ${ROW_HEIGHT}px;">
+                <div class="px-3 min-w-0">
+                    <p class="truncate font-mono text-xs text-gray-800" title="${escapeHtml(result.selector)}">${escapeHtml(result.selector)}</p>
+                    <p class="truncate text-xs text-gray-500">${escapeHtml(result.element.innerText)}</p>
+                </div>
+                <div class="px-3 text-right">${result.metrics.clicks}</div>
+                <div class="px-3 text-right">${result.metrics.percentage}%</div>
+                <div class="px-3 text-right">${result.metrics.engagementScore}</div>
+                <div class="px-3 truncate">${escapeHtml(result.context.pageSection)}</div>
+                <div class="px-3 truncate">${escapeHtml(result.element.role || '')}</div>
+                <div class="px-3">${result.element.isInteractive ? 'Yes' : 'No'}</div>
+                <div class="px-3">${result.metrics.isVisible ? 'Yes' : 'No'}</div>
+                <div class="px-3 flex items-center">
+                    <span class="status-indicator status-${escapeHtml(result.status)}"></span>${escapeHtml(result.status)}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Offer the values present in the results as facet options
+     * @param {HTMLSelectElement} select - Facet filter
+     * @param {string[]} values - Values of all results
+     * @param {string} allLabel - Label of the unfiltered option
+     */
+    function updateFacetOptions(select, values, allLabel) {
+        const selected = select.value;
+        const options = [...new Set(values)].sort();
+
+        select.innerHTML = `
+            <option value="all">${allLabel}</option>
+            ${options.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value || 'none')}</option>`).join('')}
+        `;
+        select.value = options.includes(selected) ? selected : 'all';
+    }
+
+    /**
+     * Show the full card of a result in the side drawer
+     * @param {Object} result - Analysis result
+     */
+    function openDrawer(result) {
+        drawerContent.innerHTML = '';
+        drawerContent.appendChild(renderCard(result));
+        drawerContent.scrollTop = 0;
+        drawer.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the side drawer
+     */
+    function closeDrawer() {
+        drawer.classList.add('hidden');
+        drawerContent.innerHTML = '';
+    }
+
+    // Return public interface
+    return {
+        renderTable,
+        openDrawer,
+        closeDrawer
+    };
+}
\ No newline at end of file
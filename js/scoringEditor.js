@@ -0,0 +1,199 @@
+// Scoring rules panel: edit thresholds and weights, and save them as profiles
+import {
+    DEFAULT_PROFILE_ID, DEFAULT_SCORING_RULES, normalizeScoringRules, resolveScoring,
+    listScoringProfiles, saveScoringProfile, deleteScoringProfile
+} from './scoringRules.js';
+import { escapeHtml } from './textFormat.js';
+
+// Editable rules; fields with a mode only apply to that threshold mode
+const SCORING_FIELDS = [
+    { key: 'highEngagementClicks', label: 'High engagement above (clicks)', step: 1, mode: 'fixed' },
+    { key: 'lowVisibleClicks', label: 'Low engagement below (clicks)', step: 1, mode: 'fixed' },
+    { key: 'missedOpportunityClicks', label: 'Missed opportunity below (clicks)', step: 1, mode: 'fixed' },
+    { key: 'highEngagementPercentile', label: 'High engagement above (percentile)', step: 1, mode: 'percentile', threshold: 'highEngagementClicks' },
+    { key: 'lowVisiblePercentile', label: 'Low engagement below (percentile)', step: 1, mode: 'percentile', threshold: 'lowVisibleClicks' },
+    { key: 'missedOpportunityPercentile', label: 'Missed opportunity below (percentile)', step: 1, mode: 'percentile', threshold: 'missedOpportunityClicks' },
+    { key: 'hoverMinMoves', label: 'Hover without click from (moves)', step: 1 },
+    { key: 'hoverMoveRatio', label: 'Hover without click at moves per click', step: 1 },
+    { key: 'rarelyReachedPercent', label: 'Rarely seen below (% reached)', step: 1 },
+    { key: 'deadClickMinShare', label: 'Dead clicks on non-interactive elements from (% of clicks)', step: 0.5 },
+    { key: 'fullScoreShare', label: 'Full score at click share (%)', step: 0.5 },
+    { key: 'hiddenFactor', label: 'Not visible multiplier', step: 0.05 },
+    { key: 'highImportanceFactor', label: 'High importance section multiplier', step: 0.05 },
+    { key: 'mediumImportanceFactor', label: 'Medium importance section multiplier', step: 0.05 },
+    { key: 'interactiveFactor', label: 'Interactive element multiplier', step: 0.05 }
+];
+
+export function setupScoringEditor(onRulesChange) {
+    const profileSelect = document.getElementById('scoringProfile');
+    const modeSelect = document.getElementById('scoringThresholdMode');
+    const fieldsElement = document.getElementById('scoringFields');
+    const statusElement = document.getElementById('scoringStatus');
+    const saveButton = document.getElementById('saveScoringBtn');
+    const saveAsButton = document.getElementById('saveScoringAsBtn');
+    const deleteButton = document.getElementById('deleteScoringBtn');
+    const resetButton = document.getElementById('resetScoringBtn');
+
+    let profiles = listScoringProfiles();
+    let profileId = DEFAULT_PROFILE_ID;
+    let rules = { ...DEFAULT_SCORING_RULES };
+
+    // Clicks of the current export, for the thresholds percentiles resolve to
+    let clickCounts = [];
+
+    // Setup event listeners
+    profileSelect.addEventListener('change', () => {
+        const profile = profiles.find(item => item.id === profileSelect.value);
+        applyRules(profile.id, profile.rules);
+    });
+    modeSelect.addEventListener('change', () => {
+        applyRules(profileId, { ...rules, thresholdMode: modeSelect.value });
+    });
+    fieldsElement.addEventListener('change', e => {
+        const input = e.target.closest('[data-rule]');
+        if (input) {
+            applyRules(profileId, { ...rules, [input.dataset.rule]: input.value });
+        }
+    });
+    saveButton.addEventListener('click', () => saveProfile(profileId === DEFAULT_PROFILE_ID));
+    saveAsButton.addEventListener('click', () => saveProfile(true));
+    deleteButton.addEventListener('click', () => deleteProfile());
+    resetButton.addEventListener('click', () => {
+        const profile = profiles.find(item => item.id === profileId);
+        applyRules(profileId, profile.rules);
+    });
+
+    render();
+
+    /**
+     * Get the active profile and rules, e.g. to store them with a project
+     * @returns {{profileId: string, rules: Object}} - Active scoring
+     */
+    function getScoring() {
+        return { profileId, rules: { ...rules } };
+    }
+
+    /**
+     * Show the scoring of an opened project without rescoring its results
+     * @param {{profileId: string, rules: Object}|undefined} scoring - Scoring saved with the project
+     */
+    function setScoring(scoring) {
+        if (!scoring) return;
+        profiles = listScoringProfiles();
+        // Profiles deleted since the project was saved leave their rules on the default profile
+        profileId = profiles.some(profile => profile.id === scoring.profileId) ? scoring.profileId : DEFAULT_PROFILE_ID;
+        rules = normalizeScoringRules(scoring.rules);
+        render();
+    }
+
+    /**
+     * Use the click distribution of a new export for percentile thresholds
+     * @param {number[]} counts - Clicks of every row of the export, in ascending order
+     */
+    function updateDistribution(counts) {
+        clickCounts = counts;
+        render();
+    }
+
+    /**
+     * Switch to new rules and let the results follow them
+     * @param {string} id - Profile ID
+     * @param {Object} newRules - Edited rules
+     */
+    function applyRules(id, newRules) {
+        profileId = id;
+        rules = normalizeScoringRules(newRules);
+        render();
+        onRulesChange(getScoring());
+    }
+
+    /**
+     * Save the rules to the selected profile, or as a new profile
+     * @param {boolean} asNew - Whether to ask for a name and save a new profile
+     */
+    function saveProfile(asNew) {
+        const current = profiles.find(item => item.id === profileId);
+        let name = current.name;
+        if (asNew) {
+            name = window.prompt('Profile name', profileId !== DEFAULT_PROFILE_ID ? `${current.name} (copy)` : '');
+            if (!name?.trim()) return;
+        }
+
+        try {
+            const saved = saveScoringProfile({ id: asNew ? null : profileId, name, rules });
+            profiles = listScoringProfiles();
+            profileId = saved.id;
+            render();
+            // Projects store the profile they use
+            onRulesChange(getScoring());
+        } catch (error) {
+            console.error('Scoring profile save error:', error);
+            statusElement.textContent = `Failed to save the profile: ${error.message}`;
+        }
+    }
+
+    /**
+     * Delete the selected profile after confirmation, keeping its rules as unsaved edits of the default
+     */
+    function deleteProfile() {
+        const current = profiles.find(item => item.id === profileId);
+        if (profileId === DEFAULT_PROFILE_ID || !window.confirm(`Delete the scoring profile "${current.name}"?`)) {
+            return;
+        }
+
+        deleteScoringProfile(profileId);
+        profiles = listScoringProfiles();
+        applyRules(DEFAULT_PROFILE_ID, rules);
+    }
+
+    /**
+     * Render the profile list, the rule fields and the save state
+     */
+    function render() {
+        const current = profiles.find(item => item.id === profileId);
+        const isModified = SCORING_FIELDS.some(field => current.rules[field.key] !== rules[field.key]) ||
+            current.rules.thresholdMode !== rules.thresholdMode;
+        const { thresholds } = resolveScoring(rules, clickCounts);
+
+        profileSelect.innerHTML = profiles
+            .map(profile => `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`)
+            .join('');
+        profileSelect.value = profileId;
+        modeSelect.value = rules.thresholdMode;
+        deleteButton.disabled = profileId === DEFAULT_PROFILE_ID;
+        resetButton.disabled = !isModified;
+        statusElement.textContent = isModified ? 'Unsaved changes' : '';
+
+        fieldsElement.innerHTML = SCORING_FIELDS
+            .filter(field => !field.mode || field.mode === rules.thresholdMode)
+            .map(field => `
+                <div>
+                    <label for="scoring-${field.key}" class="block text-sm text-gray-600 mb-1">${field.label}</label>
+                    <input type="number" id="scoring-${field.key}" data-rule="${field.key}" min="0" step="${field.step}"
+                           value="${rules[field.key]}"
+                           class="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">
+                    ${field.threshold ? `
+                        <p class="mt-1 text-xs text-gray-500">
+                            ${clickCounts.length > 0 ? `${formatClicks(thresholds[field.threshold])} in the current export` : 'Resolved once an export is loaded'}
+                        </p>
+                    ` : ''}
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Format a click count
+     * @param {number} count - Clicks
+     * @returns {string} - Count with its unit
+     */
+    function formatClicks(count) {
+        return `${count} click${count === 1 ? '' : 's'}`;
+    }
+
+    // Return public interface
+    return {
+        getScoring,
+        setScoring,
+        updateDistribution
+    };
+}
\ No newline at end of file
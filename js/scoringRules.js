@@ -0,0 +1,144 @@
+// Scoring rules: thresholds and weights of the interaction quality and engagement score, and saved profiles of them
+
+const STORAGE_KEY = 'hotjarAnalyzer.scoringProfiles';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const DEFAULT_SCORING_RULES = {
+    // "fixed" compares clicks with the counts below, "percentile" with the export's own distribution
+    thresholdMode: 'fixed',
+    highEngagementClicks: 100,
+    lowVisibleClicks: 10,
+    missedOpportunityClicks: 5,
+    highEngagementPercentile: 90,
+    lowVisiblePercentile: 25,
+    missedOpportunityPercentile: 10,
+    hoverMinMoves: 20,
+    hoverMoveRatio: 10,
+    rarelyReachedPercent: 25,
+    // Share of all clicks from which clicks on a non-interactive element count as dead clicks
+    deadClickMinShare: 1,
+    // Share of all clicks that earns the full base score of 100
+    fullScoreShare: 20,
+    hiddenFactor: 0.7,
+    highImportanceFactor: 1.2,
+    mediumImportanceFactor: 1.1,
+    interactiveFactor: 1.2
+};
+
+/**
+ * Fill in missing or invalid rules with their defaults
+ * @param {Object} rules - Possibly partial rules, e.g. from an older project
+ * @returns {Object} - Complete rules
+ */
+export function normalizeScoringRules(rules = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_SCORING_RULES).map(([key, fallback]) => {
+        if (key === 'thresholdMode') {
+            return [key, ['fixed', 'percentile'].includes(rules[key]) ? rules[key] : fallback];
+        }
+        const value = Number(rules[key]);
+        return [key, Number.isFinite(value) && value >= 0 ? value : fallback];
+    }));
+}
+
+/**
+ * Resolve the click thresholds of the rules, deriving percentile thresholds from the export
+ * @param {Object} rules - Scoring rules
+ * @param {number[]} clickCounts - Clicks of every row of the current export, in ascending order as merged
+ * @returns {{rules: Object, thresholds: {highEngagementClicks: number, lowVisibleClicks: number, missedOpportunityClicks: number}}} - Scoring
+ */
+export function resolveScoring(rules, clickCounts = []) {
+    const normalized = normalizeScoringRules(rules);
+
+    if (normalized.thresholdMode !== 'percentile') {
+        return {
+            rules: normalized,
+            thresholds: {
+                highEngagementClicks: normalized.highEngagementClicks,
+                lowVisibleClicks: normalized.lowVisibleClicks,
+                missedOpportunityClicks: normalized.missedOpportunityClicks
+            }
+        };
+    }
+
+    return {
+        rules: normalized,
+        thresholds: {
+            highEngagementClicks: getPercentile(clickCounts, normalized.highEngagementPercentile),
+            lowVisibleClicks: getPercentile(clickCounts, normalized.lowVisiblePercentile),
+            missedOpportunityClicks: getPercentile(clickCounts, normalized.missedOpportunityPercentile)
+        }
+    };
+}
+
+/**
+ * List the saved scoring profiles, with the built-in default first
+ * @returns {Array<{id: string, name: string, rules: Object}>} - Profiles
+ */
+export function listScoringProfiles() {
+    return [
+        { id: DEFAULT_PROFILE_ID, name: 'Default', rules: { ...DEFAULT_SCORING_RULES } },
+        ...loadProfiles()
+    ];
+}
+
+/**
+ * Create or update a saved scoring profile
+ * @param {{id?: string|null, name: string, rules: Object}} profile - Profile; saved as a new profile when it has no ID
+ * @returns {{id: string, name: string, rules: Object}} - Saved profile
+ */
+export function saveScoringProfile(profile) {
+    if (profile.id === DEFAULT_PROFILE_ID) {
+        throw new Error('The default profile cannot be changed');
+    }
+
+    const saved = {
+        id: profile.id || crypto.randomUUID(),
+        name: profile.name.trim() || 'Untitled profile',
+        rules: normalizeScoringRules(profile.rules)
+    };
+    const profiles = loadProfiles().filter(item => item.id !== saved.id);
+    storeProfiles([...profiles, saved]);
+    return saved;
+}
+
+/**
+ * Delete a saved scoring profile
+ * @param {string} id - Profile ID
+ */
+export function deleteScoringProfile(id) {
+    storeProfiles(loadProfiles().filter(profile => profile.id !== id));
+}
+
+/**
+ * Get the value below which a share of sorted values falls (nearest rank)
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} - Value at the percentile, 0 without values
+ */
+function getPercentile(sorted, percentile) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((Math.min(percentile, 100) / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Load the profiles saved in this browser
+ * @returns {Array<Object>} - Saved profiles
+ */
+function loadProfiles() {
+    try {
+        const profiles = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        return profiles.map(profile => ({ ...profile, rules: normalizeScoringRules(profile.rules) }));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Save the profiles in this browser
+ * @param {Array<Object>} profiles - Profiles without the default
+ */
+function storeProfiles(profiles) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
\ No newline at end of file
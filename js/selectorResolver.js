@@ -0,0 +1,528 @@
+// Resolution of Hotjar selectors against the fetched HTML
+
+// Wrappers that only exist after client-side hydration
+const HYDRATION_WRAPPER_IDS = ['__layout'];
+
+// State classes added by scripts, e.g. "pressing", "is-sticky", "nuxt-link-active"
+const VOLATILE_CLASS_PATTERNS = [
+    /^(is|has|js)-/,
+    /^enabled-/,
+    /^(nuxt|router)-link-(exact-)?active$/,
+    /--(ssr|active|open|opened|expanded|visible|hidden|selected|current|sticky|loading|loaded)$/,
+    /-(active|visible|current)$/,
+    /^(active|open|opened|closed|expanded|collapsed|focus|focused|hover|hovered|pressing|pressed|selected|current|visible|hidden|show|showing|loaded|loading|sticky|scrolled|animated|wow|aos-animate)$/
+];
+
+// Generated tokens such as "23722252796195" or a UUID
+const GENERATED_TOKEN_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d{5,}/i;
+
+// Words in class names and IDs that say nothing about what an element is
+const GENERIC_WORDS = new Set([
+    'wrapper', 'container', 'content', 'inner', 'outer', 'block', 'item', 'items', 'list',
+    'flex', 'grid', 'relative', 'absolute', 'hidden', 'full', 'auto', 'center',
+    'render', 'storyblok', 'outline', 'section', 'sections', 'shopify', 'theme', 'injected',
+    'layout', 'desktop', 'mobile', 'text', 'icon', 'pure', 'button', 'link', 'header', 'footer'
+]);
+
+// Selector parts that point at markup rendered by client-side scripts
+const CLIENT_RENDERED_MARKERS = [/#__layout\b/, /#__nuxt\b/, /#__next\b/, /\.ais-/, /-injected\b/, /\.swiper-/, /\.slick-/];
+
+const MISMATCH_REASONS = {
+    'invalid-selector': 'Invalid selector syntax',
+    'client-rendered': 'Rendered client-side',
+    missing: 'Missing from static HTML',
+    'analysis-error': 'Matched, but analysis failed'
+};
+
+const STRATEGY_LABELS = {
+    exact: 'Exact selector',
+    escaped: 'Re-escaped selector',
+    'volatile-classes': 'Volatile classes removed',
+    'wildcard-id': 'Generated IDs wildcarded',
+    'ancestor-trimmed': 'Ancestor chain trimmed',
+    'text-match': 'Text or aria-label match',
+    'rolled-up': 'Rolled up to interactive ancestor',
+    manual: 'Manual match'
+};
+
+/**
+ * Resolve a Hotjar selector to an element, relaxing the selector step by step
+ * @param {Document} doc - Document to search
+ * @param {string} selector - Selector from the Hotjar export
+ * @param {string|null} manualSelector - Selector of an element the user picked for this row
+ * @returns {{element: Element, strategy: string, label: string, confidence: number, selector: string, matchCount: number}|null} - Match, or null if nothing was found
+ */
+export function resolveSelector(doc, selector, manualSelector = null) {
+    const { base, index } = splitOccurrence(selector);
+
+    // A manual match from the user wins over every heuristic
+    if (manualSelector) {
+        const picked = queryAll(doc, manualSelector);
+        if (picked.length > 0) {
+            return createMatch(picked, 1, 'manual', 1, manualSelector);
+        }
+    }
+
+    // Strategy 1: the selector exactly as exported
+    const exact = queryAll(doc, base);
+    if (exact.length > 0) {
+        return createMatch(exact, index, 'exact', 1, base);
+    }
+
+    const compounds = parseSelector(base);
+    if (!compounds) {
+        return null;
+    }
+
+    // Strategies 2-4: re-escape, drop volatile classes, wildcard generated IDs
+    const variants = [
+        { strategy: 'escaped', confidence: 0.95, compounds },
+        { strategy: 'volatile-classes', confidence: 0.85, compounds: stripVolatile(compounds) },
+        { strategy: 'wildcard-id', confidence: 0.75, compounds: wildcardGenerated(stripVolatile(compounds)) }
+    ];
+
+    for (const variant of variants) {
+        const candidate = serializeSelector(variant.compounds);
+        const matches = queryAll(doc, candidate);
+        if (matches.length > 0) {
+            return createMatch(matches, index, variant.strategy, variant.confidence, candidate);
+        }
+    }
+
+    // Strategy 5: drop ancestors from the top until something matches
+    const relaxed = variants[variants.length - 1].compounds;
+    for (let start = 1; start < relaxed.length; start++) {
+        const trimmed = relaxed.slice(start);
+        if (trimmed.length < 2 && !isSpecific(trimmed[0])) {
+            break;
+        }
+
+        const candidate = serializeSelector(trimmed);
+        const matches = queryAll(doc, candidate);
+        if (matches.length > 0) {
+            const confidence = 0.4 + 0.3 * (trimmed.length / relaxed.length);
+            return createMatch(matches, index, 'ancestor-trimmed', confidence, candidate);
+        }
+    }
+
+    // Strategy 6: look for an element whose text or aria-label names the same thing
+    const textMatch = findByText(doc, compounds);
+    if (textMatch) {
+        return createMatch([textMatch.element], 1, 'text-match', textMatch.confidence, `text "${textMatch.keyword}"`);
+    }
+
+    return null;
+}
+
+/**
+ * Explain why a selector could not be matched to the fetched HTML
+ * @param {Document} doc - Document that was searched
+ * @param {string} selector - Selector from the Hotjar export
+ * @returns {{reason: string, label: string}} - Likely reason and its description
+ */
+export function explainMismatch(doc, selector) {
+    const describe = reason => ({ reason, label: MISMATCH_REASONS[reason] });
+    const { base } = splitOccurrence(selector);
+    const compounds = parseSelector(base);
+
+    if (!isValidSelector(doc, selector) && !compounds) {
+        return describe('invalid-selector');
+    }
+    if (resolveSelector(doc, selector)) {
+        return describe('analysis-error');
+    }
+    if (CLIENT_RENDERED_MARKERS.some(marker => marker.test(base))) {
+        return describe('client-rendered');
+    }
+
+    // When the outer part of the chain exists, the inner markup was most likely added by scripts
+    const relaxed = wildcardGenerated(stripVolatile(compounds || []));
+    for (let end = relaxed.length - 1; end > 0; end--) {
+        const prefix = relaxed.slice(0, end);
+        if (prefix.some(isSpecific) && queryAll(doc, serializeSelector(prefix)).length > 0) {
+            return describe('client-rendered');
+        }
+    }
+
+    return describe('missing');
+}
+
+/**
+ * Check whether a selector can be parsed by the browser
+ * @param {Document} doc - Document to query
+ * @param {string} selector - Selector from the Hotjar export
+ * @returns {boolean} - Whether the selector is valid CSS
+ */
+export function isValidSelector(doc, selector) {
+    try {
+        doc.querySelector(splitOccurrence(selector).base);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Build a selector that uniquely identifies an element in its document
+ * @param {Element} element - DOM element
+ * @returns {string} - Selector using IDs and :nth-of-type steps
+ */
+export function buildUniqueSelector(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === 1) {
+        const tag = current.tagName.toLowerCase();
+
+        if (current.id && current.ownerDocument.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+            steps.unshift(`#${CSS.escape(current.id)}`);
+            break;
+        }
+        if (!current.parentElement) {
+            steps.unshift(tag);
+            break;
+        }
+
+        const sameTag = Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName);
+        steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+        current = current.parentElement;
+    }
+
+    return steps.join('>');
+}
+
+/**
+ * Get a readable label for a resolution strategy
+ * @param {string} strategy - Strategy key
+ * @returns {string} - Strategy label
+ */
+export function getStrategyLabel(strategy) {
+    return STRATEGY_LABELS[strategy] || strategy;
+}
+
+/**
+ * Split Hotjar's occurrence suffix, e.g. "div>img (3)" is the third match of "div>img"
+ * @param {string} selector - Selector from the Hotjar export
+ * @returns {{base: string, index: number}} - Selector without suffix and 1-based occurrence
+ */
+function splitOccurrence(selector) {
+    const match = selector.match(/^(.*\S)\s+\((\d+)\)$/);
+    return match
+        ? { base: match[1], index: parseInt(match[2]) }
+        : { base: selector.trim(), index: 1 };
+}
+
+/**
+ * Run querySelectorAll, treating invalid selectors as no match
+ * @param {Document} doc - Document to query
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} - Matching elements
+ */
+function queryAll(doc, selector) {
+    try {
+        return Array.from(doc.querySelectorAll(selector));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Create a match result for the chosen occurrence
+ * @param {Element[]} matches - Matching elements
+ * @param {number} index - 1-based occurrence from the export
+ * @param {string} strategy - Strategy that found the element
+ * @param {number} confidence - Base confidence of the strategy
+ * @param {string} matchedBy - Selector or text that matched
+ * @returns {Object} - Match result
+ */
+function createMatch(matches, index, strategy, confidence, matchedBy) {
+    const element = matches[Math.min(index, matches.length) - 1];
+
+    // Several candidates for a single occurrence make the match less certain
+    const ambiguity = matches.length > index ? 0.9 : 1;
+
+    return {
+        element,
+        strategy,
+        label: getStrategyLabel(strategy),
+        confidence: Math.round(confidence * ambiguity * 100) / 100,
+        matchedBy,
+        selector: buildUniqueSelector(element),
+        matchCount: matches.length
+    };
+}
+
+/**
+ * Parse a selector into compound selectors joined by combinators
+ * @param {string} selector - CSS selector
+ * @returns {Array<Object>|null} - Compounds, or null if the selector cannot be parsed
+ */
+function parseSelector(selector) {
+    const compounds = [];
+    let combinator = '';
+    let i = 0;
+
+    while (i < selector.length) {
+        const ch = selector[i];
+
+        if (ch === '>' || ch === '+' || ch === '~') {
+            combinator = ch;
+            i++;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            combinator = combinator || ' ';
+            i++;
+            continue;
+        }
+
+        const compound = { combinator: compounds.length > 0 ? combinator || ' ' : '', tag: '', id: null, idPattern: null, classes: [], classPatterns: [], extras: [] };
+        combinator = '';
+
+        if (ch === '*' || /[a-zA-Z]/.test(ch)) {
+            const { value, end } = ch === '*' ? { value: '*', end: i + 1 } : readIdentifier(selector, i);
+            compound.tag = value;
+            i = end;
+        }
+
+        while (i < selector.length && !/[\s>+~]/.test(selector[i])) {
+            const marker = selector[i];
+
+            if (marker === '#' || marker === '.') {
+                const { value, end } = readIdentifier(selector, i + 1);
+                if (!value) return null;
+                if (marker === '#') compound.id = value;
+                else compound.classes.push(value);
+                i = end;
+            } else if (marker === '[' || marker === ':') {
+                const end = findExtraEnd(selector, i);
+                if (end === -1) return null;
+                compound.extras.push(selector.slice(i, end));
+                i = end;
+            } else {
+                return null;
+            }
+        }
+
+        compounds.push(compound);
+    }
+
+    return compounds.length > 0 ? compounds : null;
+}
+
+/**
+ * Read a CSS identifier, decoding backslash escapes such as "\:" or "\34 8"
+ * @param {string} source - Selector source
+ * @param {number} start - Start index
+ * @returns {{value: string, end: number}} - Decoded identifier and end index
+ */
+function readIdentifier(source, start) {
+    let value = '';
+    let i = start;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (ch === '\\') {
+            const hex = source.slice(i + 1).match(/^[0-9a-fA-F]{1,6}/);
+            if (hex) {
+                value += String.fromCodePoint(parseInt(hex[0], 16));
+                i += 1 + hex[0].length;
+                if (/\s/.test(source[i] || '')) i++; // A single space terminates a hex escape
+            } else {
+                value += source[i + 1] || '';
+                i += 2;
+            }
+            continue;
+        }
+
+        if (!/[a-zA-Z0-9_\-\u00a0-\uffff]/.test(ch)) break;
+        value += ch;
+        i++;
+    }
+
+    return { value, end: i };
+}
+
+/**
+ * Find the end of an attribute selector or pseudo-class
+ * @param {string} source - Selector source
+ * @param {number} start - Index of "[" or ":"
+ * @returns {number} - End index, or -1 if unbalanced
+ */
+function findExtraEnd(source, start) {
+    let depth = 0;
+    let i = start;
+
+    if (source[i] === ':') {
+        i++;
+        if (source[i] === ':') i++;
+        i = readIdentifier(source, i).end;
+        if (source[i] !== '(') return i;
+    }
+
+    for (; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '[' || ch === '(') {
+            depth++;
+        } else if (ch === ']' || ch === ')') {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Serialize compounds back into a selector with correct escaping
+ * @param {Array<Object>} compounds - Parsed compounds
+ * @returns {string} - CSS selector
+ */
+function serializeSelector(compounds) {
+    return compounds.map((compound, index) => {
+        const parts = [
+            compound.tag,
+            compound.id ? `#${CSS.escape(compound.id)}` : '',
+            compound.idPattern ? serializePattern('id', compound.idPattern) : '',
+            ...compound.classes.map(name => `.${CSS.escape(name)}`),
+            ...compound.classPatterns.map(pattern => serializePattern('class', pattern)),
+            ...compound.extras
+        ].join('');
+
+        const combinator = index === 0 ? '' : compound.combinator === ' ' ? ' ' : compound.combinator;
+        return combinator + (parts || '*');
+    }).join('');
+}
+
+/**
+ * Serialize a wildcard pattern as attribute selectors
+ * @param {string} attribute - Attribute name
+ * @param {{prefix: string, suffix: string}} pattern - Fixed parts around the generated token
+ * @returns {string} - Attribute selectors
+ */
+function serializePattern(attribute, { prefix, suffix }) {
+    if (attribute === 'class') {
+        return [prefix, suffix].filter(Boolean).map(part => `[class*="${CSS.escape(part)}"]`).join('');
+    }
+    return (prefix ? `[id^="${CSS.escape(prefix)}"]` : '') + (suffix ? `[id$="${CSS.escape(suffix)}"]` : '');
+}
+
+/**
+ * Remove hydration-only wrappers and script-added state classes
+ * @param {Array<Object>} compounds - Parsed compounds
+ * @returns {Array<Object>} - Relaxed compounds
+ */
+function stripVolatile(compounds) {
+    const wrapperIndex = compounds.findIndex(compound => HYDRATION_WRAPPER_IDS.includes(compound.id));
+
+    return compounds
+        .slice(wrapperIndex + 1)
+        .map(compound => ({
+            ...compound,
+            classes: compound.classes.filter(name => !VOLATILE_CLASS_PATTERNS.some(pattern => pattern.test(name)))
+        }));
+}
+
+/**
+ * Replace generated IDs and classes with prefix/suffix wildcards
+ * @param {Array<Object>} compounds - Parsed compounds
+ * @returns {Array<Object>} - Relaxed compounds
+ */
+function wildcardGenerated(compounds) {
+    return compounds.map(compound => {
+        const next = { ...compound, classes: [], classPatterns: [...compound.classPatterns] };
+
+        if (compound.id && GENERATED_TOKEN_PATTERN.test(compound.id)) {
+            const pattern = splitGenerated(compound.id);
+            next.id = null;
+            next.idPattern = pattern.prefix || pattern.suffix ? pattern : null;
+        }
+
+        compound.classes.forEach(name => {
+            if (GENERATED_TOKEN_PATTERN.test(name)) {
+                const pattern = splitGenerated(name);
+                if (pattern.prefix || pattern.suffix) next.classPatterns.push(pattern);
+            } else {
+                next.classes.push(name);
+            }
+        });
+
+        return next;
+    });
+}
+
+/**
+ * Split a value around its generated token
+ * @param {string} value - ID or class name
+ * @returns {{prefix: string, suffix: string}} - Fixed parts around the token
+ */
+function splitGenerated(value) {
+    const match = value.match(GENERATED_TOKEN_PATTERN);
+    return {
+        prefix: value.slice(0, match.index),
+        suffix: value.slice(match.index + match[0].length)
+    };
+}
+
+/**
+ * Check whether a compound narrows the match beyond its tag name
+ * @param {Object} compound - Parsed compound
+ * @returns {boolean} - Whether it has an ID, class or attribute
+ */
+function isSpecific(compound) {
+    return Boolean(compound.id || compound.idPattern || compound.classes.length || compound.classPatterns.length || compound.extras.length);
+}
+
+/**
+ * Find an element whose text, aria-label, title or alt text matches words from the selector
+ * @param {Document} doc - Document to search
+ * @param {Array<Object>} compounds - Parsed compounds
+ * @returns {{element: Element, keyword: string, confidence: number}|null} - Best text match
+ */
+function findByText(doc, compounds) {
+    const keywords = getKeywords(compounds.slice(-3));
+    if (keywords.length === 0) return null;
+
+    const candidates = doc.querySelectorAll('a, button, input, select, textarea, label, img[alt], [aria-label], [title], [role]');
+    let best = null;
+
+    candidates.forEach(element => {
+        const text = [
+            element.getAttribute('aria-label'),
+            element.getAttribute('title'),
+            element.getAttribute('alt'),
+            element.getAttribute('placeholder'),
+            element.textContent.length <= 80 ? element.textContent : ''
+        ].filter(Boolean).join(' ').toLowerCase();
+
+        const found = keywords.filter(keyword => text.includes(keyword));
+        if (found.length > 0 && (!best || found.length > best.score)) {
+            best = { element, keyword: found[0], score: found.length };
+        }
+    });
+
+    return best
+        ? { element: best.element, keyword: best.keyword, confidence: Math.min(0.45, 0.25 + best.score * 0.1) }
+        : null;
+}
+
+/**
+ * Extract descriptive words from IDs and class names, e.g. "sf-header__action--search" gives "search"
+ * @param {Array<Object>} compounds - Parsed compounds, innermost last
+ * @returns {string[]} - Keywords, innermost first
+ */
+function getKeywords(compounds) {
+    const words = compounds
+        .slice()
+        .reverse()
+        .flatMap(compound => [compound.id, ...compound.classes])
+        .filter(Boolean)
+        .flatMap(name => name.split(/[^a-zA-Z]+|(?=[A-Z])/))
+        .map(word => word.toLowerCase())
+        .filter(word => word.length >= 4 && !GENERIC_WORDS.has(word));
+
+    return Array.from(new Set(words));
+}
\ No newline at end of file
@@ -0,0 +1,381 @@
+// Saved page snapshot loading (pasted HTML, .html, .mhtml and HAR files)
+import { resolveUrl, rewriteCssUrls } from './assetUrls.js';
+
+// Chrome and IE mark saved pages with e.g. "<!-- saved from url=(0023)https://example.com/ -->"
+const SAVED_FROM_PATTERN = /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i;
+
+const JS_MIME_PATTERN = /javascript|ecmascript/i;
+
+export function setupSnapshotHandler(onCodeLoaded) {
+    const htmlInput = document.getElementById('snapshotHtml');
+    const loadButton = document.getElementById('loadSnapshotBtn');
+    const fileInput = document.getElementById('snapshot-upload');
+    const errorElement = document.getElementById('snapshotError');
+    const statusElement = document.getElementById('snapshotStatus');
+
+    const MAX_SNAPSHOT_SIZE = 100 * 1024 * 1024; // 100MB, HAR files with content get large
+    const validExtensions = ['.html', '.htm', '.mhtml', '.mht', '.har'];
+
+    // Setup event listeners
+    loadButton.addEventListener('click', () => handlePastedHtml(htmlInput.value));
+    fileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            handleSnapshotFile(e.target.files[0]);
+        }
+        // Allow loading the same file again
+        e.target.value = '';
+    });
+
+    /**
+     * Load HTML pasted into the snapshot box
+     * @param {string} html - Pasted HTML document
+     */
+    function handlePastedHtml(html) {
+        try {
+            hideMessages();
+
+            if (!html.trim()) {
+                throw new Error('Please paste the HTML source of the page');
+            }
+
+            loadSnapshot(parseHtmlSnapshot(html, new Map(), null), 'pasted HTML');
+
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Load a saved .html, .mhtml or HAR file
+     * @param {File} file - Uploaded snapshot file
+     */
+    async function handleSnapshotFile(file) {
+        try {
+            hideMessages();
+
+            const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+            if (!validExtensions.includes(extension)) {
+                throw new Error('Please upload an .html, .mhtml or .har file');
+            }
+            if (file.size > MAX_SNAPSHOT_SIZE) {
+                throw new Error('Snapshot must be smaller than 100MB');
+            }
+
+            const text = await file.text();
+            let code;
+            if (extension === '.har') {
+                code = parseHar(text);
+            } else if (extension === '.mhtml' || extension === '.mht') {
+                code = parseMhtml(text);
+            } else {
+                code = parseHtmlSnapshot(text, new Map(), null);
+            }
+
+            loadSnapshot(code, file.name);
+
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Report what the snapshot contained and hand it to the application
+     * @param {{html: string, url: string|null, css: string[], js: string[], assets: Array}} code - Website code
+     * @param {string} sourceName - Where the snapshot came from
+     */
+    function loadSnapshot(code, sourceName) {
+        const missing = code.assets.filter(asset => asset.status === 'missing').length;
+
+        statusElement.textContent = [
+            `Loaded ${sourceName}${code.url ? ` (${code.url})` : ''}`,
+            `${code.css.length} stylesheet${code.css.length === 1 ? '' : 's'}`,
+            `${code.js.length} script${code.js.length === 1 ? '' : 's'}`,
+            missing > 0 ? `${missing} linked file${missing === 1 ? '' : 's'} not in the snapshot` : null
+        ].filter(Boolean).join(' · ');
+        statusElement.classList.remove('hidden');
+
+        onCodeLoaded(code);
+    }
+
+    /**
+     * Display error message
+     * @param {string} message - Error message to display
+     */
+    function showError(message) {
+        errorElement.textContent = message;
+        errorElement.classList.remove('hidden');
+    }
+
+    /**
+     * Hide error and status messages
+     */
+    function hideMessages() {
+        errorElement.textContent = '';
+        errorElement.classList.add('hidden');
+        statusElement.classList.add('hidden');
+    }
+
+    // Return public interface
+    return {
+        handlePastedHtml,
+        handleSnapshotFile
+    };
+}
+
+/**
+ * Turn an HTML document into website code, taking linked files from the snapshot's resources
+ * @param {string} html - HTML document
+ * @param {Map<string, {mimeType: string, content: string}>} resources - Snapshot resources keyed by absolute URL
+ * @param {string|null} pageUrl - Original URL of the page, if known
+ * @returns {{html: string, url: string|null, css: string[], js: string[], assets: Array}} - Website code
+ */
+function parseHtmlSnapshot(html, resources, pageUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const url = pageUrl || html.match(SAVED_FROM_PATTERN)?.[1] || null;
+
+    if (!doc.body || doc.body.childElementCount === 0) {
+        throw new Error('The snapshot does not contain a page body');
+    }
+
+    // Relative asset URLs resolve against <base href> or the page itself
+    const baseHref = doc.querySelector('base[href]')?.getAttribute('href');
+    const baseUrl = resolveUrl(baseHref, url) || url;
+
+    const assets = [];
+    const css = [];
+    doc.querySelectorAll('link[rel~="stylesheet"][href], style').forEach(node => {
+        if (node.tagName === 'STYLE') {
+            css.push(rewriteCssUrls(node.textContent, baseUrl));
+            return;
+        }
+
+        const href = resolveUrl(node.getAttribute('href'), baseUrl) || node.getAttribute('href');
+        const resource = findResource(resources, href);
+        if (resource) {
+            const media = node.getAttribute('media');
+            const content = rewriteCssUrls(resource.content, href);
+            css.push(media && media !== 'all' ? `@media ${media} {\n${content}\n}` : content);
+        }
+        assets.push({ url: href, type: 'css', status: resource ? 'loaded' : 'missing' });
+    });
+
+    const js = [];
+    doc.querySelectorAll('script[src]').forEach(node => {
+        const src = resolveUrl(node.getAttribute('src'), baseUrl) || node.getAttribute('src');
+        const resource = findResource(resources, src);
+        if (resource) {
+            js.push(resource.content);
+        }
+        assets.push({ url: src, type: 'js', status: resource ? 'loaded' : 'missing' });
+    });
+
+    return { html, url, css, js, assets };
+}
+
+/**
+ * Parse an MHTML archive as saved by Chrome or Edge
+ * @param {string} text - MHTML file content
+ * @returns {Object} - Website code
+ */
+function parseMhtml(text) {
+    const [rawHeaders] = text.split(/\r?\n\r?\n/, 1);
+    const headers = parseMimeHeaders(rawHeaders);
+    const boundary = headers['content-type']?.match(/boundary="?([^";]+)"?/i)?.[1];
+
+    if (!boundary) {
+        throw new Error('This does not look like an MHTML archive (no multipart boundary found)');
+    }
+
+    const parts = text.split(`--${boundary}`)
+        .slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map(parseMimePart)
+        .filter(Boolean);
+
+    const documentPart = parts.find(part => part.mimeType === 'text/html');
+    if (!documentPart) {
+        throw new Error('The MHTML archive does not contain an HTML document');
+    }
+
+    const resources = new Map(parts
+        .filter(part => part !== documentPart && part.location)
+        .map(part => [stripHash(part.location), part]));
+
+    const pageUrl = headers['snapshot-content-location'] || documentPart.location || null;
+    return parseHtmlSnapshot(documentPart.content, resources, pageUrl);
+}
+
+/**
+ * Parse one part of a multipart MIME archive
+ * @param {string} rawPart - Part text between boundaries
+ * @returns {{mimeType: string, location: string|null, content: string}|null} - Decoded text part, or null for binary parts
+ */
+function parseMimePart(rawPart) {
+    const body = rawPart.replace(/^\r?\n/, '');
+    const separator = body.search(/\r?\n\r?\n/);
+    if (separator < 0) return null;
+
+    const headers = parseMimeHeaders(body.slice(0, separator));
+    const [mimeType = '', ...params] = (headers['content-type'] || '').split(';').map(value => value.trim());
+    if (!/^text\/|javascript|ecmascript/i.test(mimeType)) return null;
+
+    const charset = params.find(param => /^charset=/i.test(param))?.split('=')[1].replace(/"/g, '') || 'utf-8';
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    const content = body.slice(separator).replace(/^\r?\n\r?\n/, '');
+
+    let bytes;
+    if (encoding === 'base64') {
+        bytes = decodeBase64(content);
+    } else if (encoding === 'quoted-printable') {
+        bytes = decodeQuotedPrintable(content);
+    } else {
+        return { mimeType: mimeType.toLowerCase(), location: headers['content-location'] || null, content };
+    }
+
+    return {
+        mimeType: mimeType.toLowerCase(),
+        location: headers['content-location'] || null,
+        content: decodeText(bytes, charset)
+    };
+}
+
+/**
+ * Parse MIME headers, unfolding continuation lines
+ * @param {string} rawHeaders - Header block
+ * @returns {Object<string, string>} - Header values keyed by lowercase name
+ */
+function parseMimeHeaders(rawHeaders) {
+    return rawHeaders
+        .replace(/\r?\n[ \t]+/g, ' ')
+        .split(/\r?\n/)
+        .reduce((acc, line) => {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                acc[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+            return acc;
+        }, {});
+}
+
+/**
+ * Parse a HAR file exported from the browser's network panel
+ * @param {string} text - HAR file content
+ * @returns {Object} - Website code
+ */
+function parseHar(text) {
+    let har;
+    try {
+        har = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The HAR file is not valid JSON');
+    }
+
+    const entries = (har.log?.entries || []).filter(entry => entry.response?.content?.text);
+    const documentEntries = entries.filter(entry => /text\/html/i.test(entry.response.content.mimeType || ''));
+    if (documentEntries.length === 0) {
+        throw new Error('The HAR file contains no HTML response. Export it with content included.');
+    }
+
+    // Chrome records the page URL as the page title
+    const pageTitle = har.log.pages?.[0]?.title;
+    const documentEntry = documentEntries.find(entry => entry.request.url === pageTitle) || documentEntries[0];
+
+    const resources = new Map(entries
+        .filter(entry => entry !== documentEntry)
+        .map(entry => {
+            const { mimeType = '', text: content, encoding } = entry.response.content;
+            return [stripHash(entry.request.url), {
+                mimeType,
+                content: encoding === 'base64' ? decodeText(decodeBase64(content), 'utf-8') : content
+            }];
+        }));
+
+    const code = parseHtmlSnapshot(getHarContent(documentEntry), resources, documentEntry.request.url);
+
+    // Scripts loaded after the initial render aren't linked from the HTML, but are part of the recording
+    const linked = new Set(code.assets.map(asset => asset.url));
+    resources.forEach((resource, url) => {
+        if (!linked.has(url) && JS_MIME_PATTERN.test(resource.mimeType)) {
+            code.js.push(resource.content);
+            code.assets.push({ url, type: 'js', status: 'loaded' });
+        }
+    });
+
+    return code;
+}
+
+/**
+ * Get the decoded response body of a HAR entry
+ * @param {Object} entry - HAR entry
+ * @returns {string} - Response body
+ */
+function getHarContent(entry) {
+    const { text, encoding } = entry.response.content;
+    return encoding === 'base64' ? decodeText(decodeBase64(text), 'utf-8') : text;
+}
+
+/**
+ * Look up a linked file among the snapshot resources
+ * @param {Map<string, Object>} resources - Resources keyed by URL
+ * @param {string|null} url - Linked URL
+ * @returns {Object|null} - Resource, if the snapshot has it
+ */
+function findResource(resources, url) {
+    if (!url) return null;
+    return resources.get(stripHash(url)) || null;
+}
+
+/**
+ * Remove the fragment from a URL
+ * @param {string} url - URL
+ * @returns {string} - URL without fragment
+ */
+function stripHash(url) {
+    return url.split('#')[0];
+}
+
+/**
+ * Decode base64 text into bytes
+ * @param {string} text - Base64 text, possibly wrapped over several lines
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function decodeBase64(text) {
+    const binary = atob(text.replace(/\s+/g, ''));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+/**
+ * Decode quoted-printable text into bytes
+ * @param {string} text - Quoted-printable text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+    const unfolded = text.replace(/=\r?\n/g, '');
+    const bytes = [];
+
+    for (let i = 0; i < unfolded.length; i++) {
+        if (unfolded[i] === '=' && /^[0-9A-F]{2}$/i.test(unfolded.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(unfolded.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(unfolded.charCodeAt(i) & 0xff);
+        }
+    }
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {string} charset - Declared charset
+ * @returns {string} - Decoded text
+ */
+function decodeText(bytes, charset) {
+    try {
+        return new TextDecoder(charset).decode(bytes);
+    } catch {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+// Shared text helpers: HTML escaping and short labels
+
+/**
+ * Escape HTML special characters, including quotes so the result is also safe in attributes
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped string
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+/**
+ * Capitalize first letter of a string
+ * @param {string} str - String to capitalize
+ * @returns {string} - Capitalized string
+ */
+export function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Describe an element by its tag and first class, e.g. "div.search-wrapper"
+ * @param {Element} element - DOM element
+ * @returns {string} - Short description
+ */
+export function describeElement(element) {
+    const tagName = element.tagName.toLowerCase();
+    const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+    return className ? `${tagName}.${className}` : tagName;
+}
\ No newline at end of file
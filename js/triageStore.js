@@ -0,0 +1,106 @@
+// Review state of results (status, owner, tags, notes), kept per page and selector across analyses
+import { getRecordsByIndex, putRecord } from './db.js';
+
+const STORE = 'triage';
+
+export const REVIEW_STATUSES = ['new', 'accepted', 'dismissed', 'fixed'];
+
+/**
+ * Identify the analyzed page, so triage survives new exports and re-analyses of it
+ * @param {string|null} url - URL of the analyzed page
+ * @param {Object|null} metadata - Heatmap metadata of the primary export
+ * @returns {string} - Page key
+ */
+export function getPageKey(url, metadata) {
+    try {
+        // Query strings and fragments usually don't change the page that was mapped
+        const { origin, pathname } = new URL(url);
+        return `${origin}${pathname}`;
+    } catch {
+        return metadata?.heatmapId ? `heatmap:${metadata.heatmapId}` : 'unknown page';
+    }
+}
+
+/**
+ * Create the triage of a result nobody has reviewed yet
+ * @returns {{status: string, owner: string, tags: string[], notes: string, updatedAt: null}} - Default triage
+ */
+export function createDefaultTriage() {
+    return { status: 'new', owner: '', tags: [], notes: '', updatedAt: null };
+}
+
+/**
+ * Load the triage of every reviewed selector of a page
+ * @param {string} page - Page key
+ * @returns {Promise<Object<string, Object>>} - Triage keyed by selector
+ */
+export async function getTriageForPage(page) {
+    try {
+        const records = await getRecordsByIndex(STORE, 'page', page);
+        return Object.fromEntries(records.map(({ page: _page, selector, ...triage }) => [selector, triage]));
+    } catch (error) {
+        // Without storage every result simply starts as new
+        console.warn('Triage unavailable:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the triage of one selector
+ * @param {string} page - Page key
+ * @param {string} selector - Result selector
+ * @param {{status: string, owner: string, tags: string[], notes: string}} triage - Review state
+ * @returns {Promise<Object>} - Saved triage with its update time
+ */
+export async function saveTriage(page, selector, triage) {
+    if (!REVIEW_STATUSES.includes(triage.status)) {
+        throw new Error(`Unknown review status: ${triage.status}`);
+    }
+
+    const saved = {
+        status: triage.status,
+        owner: triage.owner.trim(),
+        tags: normalizeTags(triage.tags),
+        notes: triage.notes.trim(),
+        updatedAt: new Date().toISOString()
+    };
+
+    await putRecord(STORE, { page, selector, ...saved });
+    return saved;
+}
+
+/**
+ * Merge triage from a project file, keeping whichever side was updated last
+ * @param {string} page - Page key
+ * @param {Object<string, Object>} entries - Triage keyed by selector
+ * @returns {Promise<Object<string, Object>>} - Triage of the page after the merge
+ */
+export async function mergeTriage(page, entries) {
+    const current = await getTriageForPage(page);
+
+    for (const [selector, triage] of Object.entries(entries)) {
+        const existing = current[selector];
+        if (!existing || (triage.updatedAt || '') > (existing.updatedAt || '')) {
+            try {
+                // Only the review fields are stored, whatever else the file carries
+                const { status, owner, tags, notes, updatedAt } = triage;
+                await putRecord(STORE, { page, selector, status, owner, tags, notes, updatedAt });
+                current[selector] = { status, owner, tags, notes, updatedAt };
+            } catch (error) {
+                console.warn('Failed to merge triage:', error);
+            }
+        }
+    }
+
+    return current;
+}
+
+/**
+ * Trim, de-duplicate and drop empty tags
+ * @param {string[]|string} tags - Tags, or a comma-separated list
+ * @returns {string[]} - Clean tags
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : tags.split(',');
+    return [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+}
\ No newline at end of file
@@ -1,16 +1,61 @@
 // UI updates and rendering functionality
+import { formatMetadataLabel } from './heatmapMetadata.js';
+import { REVIEW_STATUSES, createDefaultTriage } from './triageStore.js';
+import { rankAccessibilityIssues } from './accessibilityAudit.js';
+import { escapeHtml, capitalize } from './textFormat.js';
 
 export function setupUI() {
     const loadingState = document.getElementById('loadingState');
     const loadingText = document.getElementById('loadingText');
+    const queueStatus = document.getElementById('queueStatus');
+    const loadingProgress = document.getElementById('loadingProgress');
+    const loadingProgressBar = document.getElementById('loadingProgressBar');
+    const loadingProgressText = document.getElementById('loadingProgressText');
+    const cancelAnalysisButton = document.getElementById('cancelAnalysisBtn');
     const resultsContainer = document.getElementById('resultsContainer');
+    const comparisonContainer = document.getElementById('comparisonContainer');
+    const analysisLabel = document.getElementById('analysisLabel');
+    const unmatchedPanel = document.getElementById('unmatchedPanel');
+    const coverageSummary = document.getElementById('coverageSummary');
+    const unmatchedCount = document.getElementById('unmatchedCount');
+    const unmatchedList = document.getElementById('unmatchedList');
+    const pageSummaryPanel = document.getElementById('pageSummary');
+    const accessibilityPanel = document.getElementById('accessibilityPanel');
+    const accessibilityCount = document.getElementById('accessibilityCount');
+    const accessibilityClicks = document.getElementById('accessibilityClicks');
+    const accessibilityList = document.getElementById('accessibilityList');
+    const ownerFilter = document.getElementById('ownerFilter');
+    const tagFilter = document.getElementById('tagFilter');
+
+    // Review state of the displayed results and where changes to it go
+    let triageBySelector = {};
+    let onTriageChange = null;
+
+    const reviewClasses = {
+        new: 'bg-gray-100 text-gray-700',
+        accepted: 'bg-yellow-100 text-yellow-800',
+        dismissed: 'bg-gray-200 text-gray-500',
+        fixed: 'bg-green-100 text-green-800'
+    };
+
+    // Badge colours of severity and impact levels
+    const levelClasses = {
+        none: 'bg-green-100 text-green-800',
+        low: 'bg-gray-100 text-gray-800',
+        medium: 'bg-yellow-100 text-yellow-800',
+        high: 'bg-red-100 text-red-800'
+    };
 
     /**
      * Update the results display
      * @param {Array} results - Analysis results to display
+     * @param {Object<string, Object>} triage - Review state keyed by selector
+     * @param {Function|null} onChange - Callback receiving a selector and its edited review state
      */
-    function updateResults(results) {
+    function updateResults(results, triage = {}, onChange = null) {
         resultsContainer.innerHTML = ''; // Clear existing results
+        triageBySelector = triage;
+        onTriageChange = onChange;
 
         if (!results || results.length === 0) {
             showNoResults();
@@ -30,6 +75,21 @@ export function setupUI() {
         Prism.highlightAll();
     }
 
+    /**
+     * Render the full card of a single result, e.g. for the table view's drawer
+     * @param {Object} result - Analysis result
+     * @param {Object<string, Object>} triage - Review state keyed by selector
+     * @param {Function|null} onChange - Callback receiving a selector and its edited review state
+     * @returns {HTMLElement} - Result card element
+     */
+    function renderResultCard(result, triage = {}, onChange = null) {
+        triageBySelector = triage;
+        onTriageChange = onChange;
+        const card = createResultCard(result);
+        Prism.highlightAllUnder(card);
+        return card;
+    }
+
     /**
      * Group results by their status
      * @param {Array} results - Results to group
@@ -59,8 +119,8 @@ export function setupUI() {
         const header = document.createElement('h3');
         header.className = 'text-lg font-semibold mb-4 flex items-center';
         header.innerHTML = `
-            <span class="status-indicator status-${status}"></span>
-            ${capitalizeFirst(status)} Interactions (${items.length})
+            <span class="status-indicator status-${escapeHtml(status)}"></span>
+            ${escapeHtml(capitalize(status))} Interactions (${items.length})
         `;
         
         // Create results grid
@@ -84,7 +144,8 @@ export function setupUI() {
      */
     function createResultCard(result) {
         const card = document.createElement('div');
-        card.className = 'result-card bg-white rounded-lg shadow-sm p-6 border border-gray-200';
+        card.id = getResultCardId(result.selector);
+        card.className = 'result-card bg-white rounded-lg shadow-sm p-6 border border-gray-200 scroll-mt-4';
         
         // Get the metrics
         const clicks = result.metrics.clicks;
@@ -96,13 +157,40 @@ export function setupUI() {
                 <div>
                     <h4 class="font-semibold text-gray-900">Element Details</h4>
                     <div class="flex items-center mt-1">
-                        <code class="text-sm text-gray-600 bg-gray-50 px-2 py-1 rounded">${result.selector}</code>
+                        <code class="text-sm text-gray-600 bg-gray-50 px-2 py-1 rounded">${escapeHtml(result.selector)}</code>
                         <span class="ml-2 px-2 py-1 text-xs ${result.metrics.isVisible ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'} rounded">
                             ${result.metrics.isVisible ? 'Visible in heatmap' : 'Not visible in heatmap'}
                         </span>
                     </div>
+                    ${result.match ? `
+                        <p class="mt-2 text-xs text-gray-500" title="${escapeHtml(result.match.matchedBy)}">
+                            Matched via <span class="font-medium text-gray-700">${escapeHtml(result.match.label)}</span>
+                            <span class="ml-1 px-1.5 py-0.5 rounded ${getConfidenceClass(result.match.confidence)}">
+                                ${Math.round(result.match.confidence * 100)}% confidence
+                            </span>
+                            ${result.match.matchCount > 1 ? `<span class="ml-1 text-gray-400">${result.match.matchCount} candidates</span>` : ''}
+                        </p>
+                    ` : ''}
+                    ${result.rollUp ? `
+                        <details class="mt-2 text-xs">
+                            <summary class="cursor-pointer text-indigo-600 hover:text-indigo-800">
+                                Rolled up from ${result.rollUp.children.length} selectors
+                            </summary>
+                            <ul class="mt-2 space-y-1">
+                                ${result.rollUp.children.map(child => `
+                                    <li class="flex items-center justify-between gap-2 bg-gray-50 rounded px-2 py-1">
+                                        <code class="truncate text-gray-600" title="${escapeHtml(child.selector)}">${escapeHtml(child.selector)}</code>
+                                        <span class="flex-shrink-0 text-gray-500">${child.clicks} clicks &middot; ${child.percentage}%</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </details>
+                    ` : ''}
+                </div>
+                <div class="flex items-center flex-shrink-0">
+                    <span data-review-badge class="mr-2 px-2 py-0.5 text-xs rounded"></span>
+                    <span class="status-indicator status-${escapeHtml(result.status)} mt-1"></span>
                 </div>
-                <span class="status-indicator status-${result.status} mt-1"></span>
             </div>
 
             <div class="mb-4">
@@ -124,7 +212,7 @@ export function setupUI() {
                                             ${result.element.location.split('/').map((part, i, arr) => `
                                                 <span class="px-1.5 py-0.5 text-xs ${
                                                     i === arr.length - 1 ? 'bg-blue-50 text-blue-600' : 'bg-gray-50 text-gray-600'
-                                                } rounded whitespace-nowrap">${part}</span>
+                                                } rounded whitespace-nowrap">${escapeHtml(part)}</span>
                                                 ${i < arr.length - 1 ? '<span class="text-gray-400">/</span>' : ''}
                                             `).join('')}
                                         </div>
@@ -133,7 +221,7 @@ export function setupUI() {
                                 ${result.element.preview ? `
                                     <div class="rounded-lg border border-gray-200 overflow-hidden">
                                         <div class="relative bg-gray-50">
-                                            <img src="${result.element.preview}"
+                                            <img src="${escapeHtml(result.element.preview)}"
                                                  alt="Element preview"
                                                  class="w-full object-contain max-h-32"
                                             />
@@ -157,7 +245,7 @@ export function setupUI() {
                                     <svg class="w-4 h-4 mr-1 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
                                     </svg>
-                                    <span class="font-medium">Location:</span> <span class="ml-1">${result.element.location}</span>
+                                    <span class="font-medium">Location:</span> <span class="ml-1">${escapeHtml(result.element.location)}</span>
                                 </p>
                                 <div class="space-y-2">
                                     <div class="flex items-center space-x-2 text-sm">
@@ -168,7 +256,7 @@ export function setupUI() {
                                         </div>
                                         <div class="flex-1">
                                             <p class="text-gray-700">
-                                                <span class="font-medium">Page Section:</span> ${result.element.location}
+                                                <span class="font-medium">Page Section:</span> ${escapeHtml(result.element.location)}
                                             </p>
                                         </div>
                                     </div>
@@ -177,24 +265,24 @@ export function setupUI() {
                                     <div class="bg-gray-50 rounded-lg border border-gray-200 p-2">
                                         <div class="flex items-center space-x-2 overflow-x-auto">
                                             <code class="text-xs font-mono whitespace-nowrap">
-                                                <span class="text-purple-600">&lt;${result.element.tagName.toLowerCase()}</span>
+                                                <span class="text-purple-600">&lt;${escapeHtml(result.element.tagName.toLowerCase())}</span>
                                                 ${result.element.className ? `
                                                     <span class="text-gray-500"> class=</span>
-                                                    <span class="text-blue-600">"${result.element.className}"</span>
+                                                    <span class="text-blue-600">"${escapeHtml(result.element.className)}"</span>
                                                 ` : ''}
                                                 ${result.element.id ? `
                                                     <span class="text-gray-500"> id=</span>
-                                                    <span class="text-orange-600">"${result.element.id}"</span>
+                                                    <span class="text-orange-600">"${escapeHtml(result.element.id)}"</span>
                                                 ` : ''}
                                                 <span class="text-purple-600">&gt;</span>
                                             </code>
                                             ${result.element.className || result.element.id ? `
                                                 <div class="flex items-center gap-1">
                                                     ${result.element.className ? `
-                                                        <span class="px-1.5 py-0.5 text-xs bg-blue-50 text-blue-600 rounded whitespace-nowrap">class: ${result.element.className}</span>
+                                                        <span class="px-1.5 py-0.5 text-xs bg-blue-50 text-blue-600 rounded whitespace-nowrap">class: ${escapeHtml(result.element.className)}</span>
                                                     ` : ''}
                                                     ${result.element.id ? `
-                                                        <span class="px-1.5 py-0.5 text-xs bg-orange-50 text-orange-600 rounded whitespace-nowrap">id: ${result.element.id}</span>
+                                                        <span class="px-1.5 py-0.5 text-xs bg-orange-50 text-orange-600 rounded whitespace-nowrap">id: ${escapeHtml(result.element.id)}</span>
                                                     ` : ''}
                                                 </div>
                                             ` : ''}
@@ -206,7 +294,7 @@ export function setupUI() {
                                     <div class="mt-2">
                                         <p class="text-xs text-gray-500 mb-1">Content Preview:</p>
                                         <div class="text-sm bg-gray-50 p-2 rounded border border-gray-100">
-                                            "${result.element.innerText}"
+                                            "${escapeHtml(result.element.innerText)}"
                                         </div>
                                     </div>
                                 ` : ''}
@@ -230,13 +318,13 @@ export function setupUI() {
                                                         }
                                                     </div>
                                                     <div class="flex-1 flex items-center ml-2 text-xs">
-                                                        <span class="font-mono text-gray-600">&lt;${node.tag}&gt;</span>
+                                                        <span class="font-mono text-gray-600">&lt;${escapeHtml(node.tag)}&gt;</span>
                                                         ${node.classes ?
-                                                            `<span class="ml-2 px-1.5 py-0.5 bg-blue-50 text-blue-600 rounded">${node.classes}</span>` :
+                                                            `<span class="ml-2 px-1.5 py-0.5 bg-blue-50 text-blue-600 rounded">${escapeHtml(node.classes)}</span>` :
                                                             ''
                                                         }
                                                         ${node.id ?
-                                                            `<span class="ml-2 px-1.5 py-0.5 bg-orange-50 text-orange-600 rounded">#${node.id}</span>` :
+                                                            `<span class="ml-2 px-1.5 py-0.5 bg-orange-50 text-orange-600 rounded">#${escapeHtml(node.id)}</span>` :
                                                             ''
                                                         }
                                                         ${index === array.length - 1 ?
@@ -324,6 +412,20 @@ export function setupUI() {
                             </div>
                         </div>
                     </div>
+                    ${result.metrics.moves || result.metrics.scrollReach !== null ? `
+                        <div class="grid grid-cols-2 gap-4 mb-4">
+                            <div class="bg-gray-50 rounded-lg p-3 border border-gray-100">
+                                <p class="text-xs text-gray-500">Mouse Moves</p>
+                                <p class="text-lg font-semibold text-gray-900">${result.metrics.moves}</p>
+                            </div>
+                            <div class="bg-gray-50 rounded-lg p-3 border border-gray-100">
+                                <p class="text-xs text-gray-500">Scroll Reach</p>
+                                <p class="text-lg font-semibold text-gray-900">
+                                    ${result.metrics.scrollReach !== null ? `${result.metrics.scrollReach}% of visitors` : 'No scroll data'}
+                                </p>
+                            </div>
+                        </div>
+                    ` : ''}
                     <div class="bg-blue-50 rounded-lg p-3 border border-blue-100">
                         <div class="flex items-start">
                             <svg class="w-5 h-5 text-blue-500 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -347,22 +449,691 @@ export function setupUI() {
                 </div>
             </div>
 
-            ${result.styles ? `
+            ${result.deadClicks?.length ? createDeadClickView(result.deadClicks) : ''}
+
+            ${result.accessibility ? createAccessibilityView(result.accessibility) : ''}
+
+            ${result.styles && result.styles.rules.length > 0 ? `
                 <div class="mb-4">
                     <h5 class="text-sm font-medium text-gray-700 mb-2">CSS Styles</h5>
-                    <pre class="text-xs"><code class="language-css">${escapeHtml(result.styles)}</code></pre>
+                    ${createCascadeView(result.styles)}
                 </div>
             ` : ''}
 
             <div>
-                <h5 class="text-sm font-medium text-gray-700 mb-2">Analysis</h5>
-                <p class="text-sm text-gray-600">${result.analysis}</p>
+                <div class="flex items-center justify-between gap-2 mb-2">
+                    <h5 class="text-sm font-medium text-gray-700">Analysis</h5>
+                    ${createAnalysisSourceBadge(result.analysisSource)}
+                </div>
+                ${createAnalysisView(result.analysis)}
             </div>
+
+            ${createTriageView(triageBySelector[result.selector] || createDefaultTriage())}
         `;
 
+        bindTriage(card, result.selector);
         return card;
     }
 
+    /**
+     * Render the dead click flags of a result, each with its explanation
+     * @param {Array<{type: string, label: string, explanation: string}>} flags - Dead click flags
+     * @returns {string} - HTML markup
+     */
+    function createDeadClickView(flags) {
+        return `
+            <div class="mb-4 bg-amber-50 rounded-lg p-3 border border-amber-200">
+                <p class="text-sm font-medium text-amber-800">Dead click candidate</p>
+                <ul class="mt-2 space-y-2">
+                    ${flags.map(flag => `
+                        <li>
+                            <p class="text-sm font-medium text-amber-800">${escapeHtml(flag.label)}</p>
+                            <p class="text-xs text-amber-700">${escapeHtml(flag.explanation)}</p>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the accessibility audit of a result
+     * @param {{control: string|null, name: string, role: string, issues: Array<Object>}} accessibility - Audit result
+     * @returns {string} - HTML markup
+     */
+    function createAccessibilityView(accessibility) {
+        return `
+            <div class="mb-4">
+                <h5 class="text-sm font-medium text-gray-700 mb-2">Accessibility</h5>
+                <p class="text-xs text-gray-500 mb-2">
+                    ${accessibility.control ? `Inside ${escapeHtml(accessibility.control)} · ` : ''}Role <span class="font-medium text-gray-700">${escapeHtml(accessibility.role)}</span>
+                    · Name ${accessibility.name ? `<span class="font-medium text-gray-700">"${escapeHtml(accessibility.name)}"</span>` : '<span class="italic">none</span>'}
+                </p>
+                ${accessibility.issues.length === 0 ? `
+                    <p class="text-sm text-green-700">No issues found by the automated checks.</p>
+                ` : `
+                    <ul class="space-y-2">
+                        ${accessibility.issues.map(issue => `
+                            <li class="text-sm">
+                                <span class="px-1.5 py-0.5 text-xs rounded ${levelClasses[issue.severity]}">${escapeHtml(issue.severity)}</span>
+                                <span class="font-medium text-gray-800">${escapeHtml(issue.label)}</span>
+                                <span class="text-xs text-gray-500">WCAG ${escapeHtml(issue.wcag)}</span>
+                                <p class="mt-0.5 text-xs text-gray-600">${escapeHtml(issue.detail)}</p>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the review controls of a result card
+     * @param {{status: string, owner: string, tags: string[], notes: string, updatedAt: string|null}} triage - Review state
+     * @returns {string} - HTML markup
+     */
+    function createTriageView(triage) {
+        const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500';
+
+        return `
+            <div class="mt-4 pt-4 border-t border-gray-200">
+                <div class="flex items-center justify-between mb-2">
+                    <h5 class="text-sm font-medium text-gray-700">Review</h5>
+                    <span data-review-updated class="text-xs text-gray-400">${formatTriageUpdate(triage)}</span>
+                </div>
+                <div class="grid grid-cols-2 gap-2 mb-2">
+                    <select data-triage-field="status" class="${inputClass}" aria-label="Review status">
+                        ${REVIEW_STATUSES.map(status => `
+                            <option value="${status}" ${status === triage.status ? 'selected' : ''}>${capitalize(status)}</option>
+                        `).join('')}
+                    </select>
+                    <input type="text" data-triage-field="owner" class="${inputClass}" placeholder="Owner" aria-label="Owner"
+                           value="${escapeHtml(triage.owner)}">
+                </div>
+                <input type="text" data-triage-field="tags" class="${inputClass} mb-2" placeholder="Tags, comma separated" aria-label="Tags"
+                       value="${escapeHtml(triage.tags.join(', '))}">
+                <textarea data-triage-field="notes" rows="2" class="${inputClass}" placeholder="Notes" aria-label="Notes">${escapeHtml(triage.notes)}</textarea>
+            </div>
+        `;
+    }
+
+    /**
+     * Save review edits of a card and keep its badge in sync
+     * @param {HTMLElement} card - Result card
+     * @param {string} selector - Selector of the result
+     */
+    function bindTriage(card, selector) {
+        const fields = card.querySelectorAll('[data-triage-field]');
+        const badge = card.querySelector('[data-review-badge]');
+        const updated = card.querySelector('[data-review-updated]');
+
+        const renderBadge = status => {
+            badge.className = `mr-2 px-2 py-0.5 text-xs rounded ${reviewClasses[status]}`;
+            badge.textContent = capitalize(status);
+        };
+        renderBadge((triageBySelector[selector] || createDefaultTriage()).status);
+
+        if (!onTriageChange) {
+            fields.forEach(field => { field.disabled = true; });
+            return;
+        }
+
+        const handleChange = onTriageChange;
+        fields.forEach(field => {
+            field.addEventListener('change', async () => {
+                const values = Object.fromEntries(
+                    Array.from(fields).map(input => [input.dataset.triageField, input.value])
+                );
+                renderBadge(values.status);
+
+                const saved = await handleChange(selector, values);
+                if (saved) {
+                    updated.textContent = formatTriageUpdate(saved);
+                }
+            });
+        });
+    }
+
+    /**
+     * Describe when a result was last reviewed
+     * @param {{updatedAt: string|null}} triage - Review state
+     * @returns {string} - Update label
+     */
+    function formatTriageUpdate(triage) {
+        return triage.updatedAt
+            ? `Updated ${new Date(triage.updatedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`
+            : 'Not reviewed';
+    }
+
+    /**
+     * Offer the owners and tags in use as filter options
+     * @param {Object<string, Object>} triage - Review state keyed by selector
+     * @param {{owner: string, tag: string}} active - Selected owner and tag filters
+     */
+    function updateTriageFilters(triage, active) {
+        const entries = Object.values(triage);
+        const owners = [...new Set(entries.map(entry => entry.owner).filter(Boolean))].sort();
+        const tags = [...new Set(entries.flatMap(entry => entry.tags))].sort();
+
+        const renderOptions = (select, values, allLabel, selected) => {
+            // Keep the active filter selectable even when nobody uses its value any more
+            const options = selected !== 'all' && !values.includes(selected) ? [...values, selected] : values;
+            select.innerHTML = `
+                <option value="all">${allLabel}</option>
+                ${options.map(value => `
+                    <option value="${escapeHtml(value)}">${escapeHtml(value)}</option>
+                `).join('')}
+            `;
+            select.value = selected;
+        };
+
+        renderOptions(ownerFilter, owners, 'Any owner', active.owner);
+        renderOptions(tagFilter, tags, 'Any tag', active.tag);
+    }
+
+    /**
+     * Render a structured analysis with its findings and recommended actions
+     * @param {Object} analysis - Structured analysis
+     * @returns {string} - HTML markup
+     */
+    function createAnalysisView(analysis) {
+        return `
+            <div class="flex flex-wrap items-center gap-2 mb-2 text-xs">
+                <span class="px-2 py-0.5 rounded ${levelClasses[analysis.severity]}">
+                    ${analysis.severity === 'none' ? 'No issues' : `${escapeHtml(capitalize(analysis.severity))} severity`}
+                </span>
+                ${analysis.confidence !== null ? `
+                    <span class="text-gray-500">${Math.round(analysis.confidence * 100)}% confidence</span>
+                ` : ''}
+            </div>
+            <p class="text-sm text-gray-700 mb-3">${escapeHtml(analysis.summary)}</p>
+
+            <h6 class="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Findings</h6>
+            <ul class="list-disc pl-5 mb-3 space-y-1 text-sm text-gray-600">
+                ${analysis.findings.map(finding => `<li>${escapeHtml(finding)}</li>`).join('')}
+            </ul>
+
+            ${analysis.actions.length > 0 ? `
+                <h6 class="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Recommended actions</h6>
+                <ol class="list-decimal pl-5 space-y-2 text-sm text-gray-600">
+                    ${analysis.actions.map(action => `
+                        <li>
+                            <span class="text-gray-800">${escapeHtml(action.action)}</span>
+                            <span class="ml-1 px-1.5 py-0.5 text-xs rounded ${levelClasses[action.impact]}">${escapeHtml(action.impact)} impact</span>
+                            <p class="text-xs text-gray-500">${escapeHtml(action.expectedImpact)}</p>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Update the page-level summary panel
+     * @param {{stats: Object, analysis: Object, source: Object}|null} pageSummary - Output of summarizePage, or null to hide the panel
+     */
+    function updatePageSummary(pageSummary) {
+        pageSummaryPanel.classList.toggle('hidden', !pageSummary);
+        if (!pageSummary) {
+            pageSummaryPanel.innerHTML = '';
+            return;
+        }
+
+        const { stats, analysis, source } = pageSummary;
+
+        pageSummaryPanel.innerHTML = `
+            <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h3 class="text-lg font-medium text-gray-800">Page Summary</h3>
+                <div class="flex items-center gap-2 text-xs">
+                    ${analysis.confidence !== null ? `
+                        <span class="text-gray-500">${Math.round(analysis.confidence * 100)}% confidence</span>
+                    ` : ''}
+                    ${createAnalysisSourceBadge(source)}
+                </div>
+            </div>
+            <p class="text-sm text-gray-700 mb-4">${escapeHtml(analysis.summary)}</p>
+
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                ${createShareList(`${capitalize(stats.unit)} by section`, stats.bySection)}
+                ${createShareList(`${capitalize(stats.unit)} by role`, stats.byRole)}
+                <div>
+                    <h6 class="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Unmatched</h6>
+                    <p class="text-2xl font-semibold text-gray-800">${stats.unmatched.share}%</p>
+                    <p class="text-xs text-gray-500">of ${stats.unit}, from ${stats.unmatched.rows} selectors not found in the page</p>
+                </div>
+            </div>
+
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                    <h6 class="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Main themes</h6>
+                    <ul class="list-disc pl-5 mb-4 space-y-1 text-sm text-gray-600">
+                        ${analysis.themes.map(theme => `<li>${escapeHtml(theme)}</li>`).join('')}
+                    </ul>
+
+                    <h6 class="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Suspected UX problems</h6>
+                    ${analysis.problems.length > 0 ? `
+                        <ul class="space-y-2 text-sm text-gray-600">
+                            ${analysis.problems.map(problem => `
+                                <li>
+                                    <span class="mr-1 px-1.5 py-0.5 text-xs rounded ${levelClasses[problem.severity]}">${escapeHtml(problem.severity)}</span>
+                                    <span class="text-gray-800">${escapeHtml(problem.problem)}</span>
+                                    <p class="text-xs text-gray-500">${escapeHtml(problem.evidence)}</p>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="text-sm text-gray-500">None suspected.</p>'}
+                </div>
+                <div>
+                    <h6 class="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Top recommendations</h6>
+                    <ol class="list-decimal pl-5 space-y-2 text-sm text-gray-600">
+                        ${analysis.recommendations.map(item => `
+                            <li>
+                                <span class="text-gray-800">${escapeHtml(item.recommendation)}</span>
+                                <span class="ml-1 px-1.5 py-0.5 text-xs rounded ${levelClasses[item.impact]}">${escapeHtml(item.impact)} impact</span>
+                                <p class="text-xs text-gray-500">${escapeHtml(item.rationale)}</p>
+                            </li>
+                        `).join('')}
+                    </ol>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the largest groups of a distribution as share bars
+     * @param {string} title - List heading
+     * @param {Array<{name: string, share: number}>} groups - Groups, largest first
+     * @returns {string} - HTML markup
+     */
+    function createShareList(title, groups) {
+        return `
+            <div>
+                <h6 class="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">${title}</h6>
+                <ul class="space-y-1 text-xs text-gray-600">
+                    ${groups.slice(0, 5).map(group => `
+                        <li>
+                            <div class="flex justify-between">
+                                <span class="truncate">${escapeHtml(group.name)}</span>
+                                <span>${group.share}%</span>
+                            </div>
+                            <div class="h-1.5 rounded bg-gray-100">
+                                <div class="h-1.5 rounded bg-indigo-500" style="width: ${Math.min(100, group.share)}%"></div>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Show which provider produced an analysis, or that it is a rule-based summary
+     * @param {Object|undefined} source - Analysis source
+     * @returns {string} - HTML markup
+     */
+    function createAnalysisSourceBadge(source) {
+        if (source?.type === 'ai') {
+            return `
+                <span class="flex items-center gap-1">
+                    ${source.cached ? `
+                        <span class="px-2 py-0.5 text-xs rounded bg-amber-100 text-amber-800" title="Served from the analysis cache, analyzed ${new Date(source.cachedAt).toLocaleString()}">
+                            Cached
+                        </span>
+                    ` : ''}
+                    <span class="px-2 py-0.5 text-xs rounded bg-indigo-100 text-indigo-800" title="Generated by ${escapeHtml(source.label)}${source.repaired ? ' after one repair prompt' : ''}">
+                        AI · ${escapeHtml(source.label)}${source.model ? ` · ${escapeHtml(source.model)}` : ''}
+                    </span>
+                </span>
+            `;
+        }
+
+        return `
+            <span class="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-700" title="${escapeHtml(source?.reason || '')}">
+                Rule-based summary, not AI${source?.reason ? ` · ${escapeHtml(source.reason)}` : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * Build a stable element ID for a result card
+     * @param {string} selector - Hotjar selector of the result
+     * @returns {string} - Element ID
+     */
+    function getResultCardId(selector) {
+        // Selectors contain characters that don't belong in IDs, so use a short hash
+        let hash = 0;
+        for (let i = 0; i < selector.length; i++) {
+            hash = ((hash << 5) - hash + selector.charCodeAt(i)) | 0;
+        }
+        return `result-${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Scroll to a result card and highlight it briefly
+     * @param {string} selector - Hotjar selector of the result
+     * @returns {boolean} - Whether the card is currently displayed
+     */
+    function focusResult(selector) {
+        const card = document.getElementById(getResultCardId(selector));
+        if (!card) {
+            return false;
+        }
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        card.classList.add('ring-2', 'ring-indigo-500');
+        setTimeout(() => card.classList.remove('ring-2', 'ring-indigo-500'), 2000);
+        return true;
+    }
+
+    /**
+     * Render matched CSS rules like a devtools Styles pane
+     * @param {{rules: Array<Object>}} cascade - Resolved cascade, highest priority first
+     * @returns {string} - HTML markup
+     */
+    function createCascadeView(cascade) {
+        let lastInheritedFrom = null;
+
+        return `
+            <div class="max-h-64 overflow-y-auto rounded border border-gray-200 divide-y divide-gray-100 font-mono text-xs">
+                ${cascade.rules.map(rule => {
+                    // Head each group of inherited rules with the ancestor they come from
+                    const heading = rule.inheritedFrom && rule.inheritedFrom !== lastInheritedFrom
+                        ? `<div class="px-2 py-1 bg-gray-50 text-gray-500">Inherited from ${escapeHtml(rule.inheritedFrom)}</div>`
+                        : '';
+                    lastInheritedFrom = rule.inheritedFrom;
+
+                    return `
+                        ${heading}
+                        <div class="px-2 py-1.5">
+                            <div class="flex justify-between gap-2">
+                                <span class="text-gray-800 truncate" title="Specificity ${rule.specificity.join(',')}">${escapeHtml(rule.selector)} {</span>
+                                <span class="flex-shrink-0 text-gray-400">${escapeHtml(rule.source)}</span>
+                            </div>
+                            ${rule.media ? `<div class="text-gray-400">@media ${escapeHtml(rule.media)}</div>` : ''}
+                            ${rule.declarations.map(declaration => `
+                                <div class="pl-4 ${declaration.overridden ? 'line-through text-gray-400' : 'text-gray-700'}">
+                                    <span class="${declaration.overridden ? '' : 'text-pink-700'}">${escapeHtml(declaration.property)}</span>: ${escapeHtml(declaration.value)}${declaration.important ? ' !important' : ''};
+                                </div>
+                            `).join('')}
+                            <div class="text-gray-800">}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Label the analysis results with the exports they were built from
+     * @param {Array<Object>} metadataList - Heatmap metadata of the analyzed exports
+     */
+    function updateAnalysisHeader(metadataList) {
+        const label = metadataList.map(formatMetadataLabel).filter(Boolean).join(' + ');
+        analysisLabel.textContent = label;
+        analysisLabel.title = metadataList.map(metadata => metadata.fileName).join('\n');
+        analysisLabel.classList.toggle('hidden', !label);
+    }
+
+    /**
+     * Update the selector coverage summary and unmatched rows
+     * @param {Array} unmatched - Rows that could not be matched to an element
+     * @param {{unit: string, matched: number, total: number, percentage: number}} coverage - Coverage summary
+     * @param {Function} onManualMatch - Callback receiving the selector the user wants to match by hand
+     */
+    function updateUnmatched(unmatched, coverage, onManualMatch) {
+        unmatchedPanel.classList.toggle('hidden', coverage.total === 0);
+        unmatchedCount.textContent = unmatched.length;
+
+        coverageSummary.innerHTML = `
+            <div class="flex items-baseline justify-between mb-1">
+                <p class="text-sm text-gray-700">
+                    <span class="font-semibold">${coverage.percentage}%</span> of total ${coverage.unit} matched to DOM elements
+                </p>
+                <p class="text-xs text-gray-500">${coverage.matched} of ${coverage.total} ${coverage.unit}</p>
+            </div>
+            <div class="overflow-hidden h-2 flex rounded bg-gray-200">
+                <div style="width:${coverage.percentage}%" class="${
+                    coverage.percentage >= 80 ? 'bg-green-500' :
+                    coverage.percentage >= 50 ? 'bg-yellow-400' :
+                    'bg-red-500'
+                }"></div>
+            </div>
+        `;
+
+        if (unmatched.length === 0) {
+            unmatchedList.innerHTML = '<p class="p-3 text-sm text-gray-400">Every selector was matched.</p>';
+            return;
+        }
+
+        unmatchedList.innerHTML = `
+            <table class="min-w-full text-xs">
+                <thead class="bg-gray-50 sticky top-0">
+                    <tr class="text-left text-gray-500">
+                        <th class="px-3 py-2 font-medium">Selector</th>
+                        <th class="px-3 py-2 font-medium text-right">Clicks</th>
+                        <th class="px-3 py-2 font-medium">Likely reason</th>
+                        <th class="px-3 py-2"></th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-100">
+                    ${unmatched.map((row, index) => `
+                        <tr>
+                            <td class="px-3 py-2 font-mono text-gray-600 max-w-md truncate" title="${escapeHtml(row.selector)}">${escapeHtml(row.selector)}</td>
+                            <td class="px-3 py-2 text-right">${row.clicks}</td>
+                            <td class="px-3 py-2">
+                                <span class="px-1.5 py-0.5 rounded ${getReasonClass(row.reason)}">${escapeHtml(row.reasonLabel)}</span>
+                            </td>
+                            <td class="px-3 py-2 text-right">
+                                <button data-unmatched-index="${index}" class="text-indigo-600 hover:text-indigo-800 whitespace-nowrap">
+                                    Match manually
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        unmatchedList.querySelectorAll('[data-unmatched-index]').forEach(button => {
+            button.addEventListener('click', () => onManualMatch(unmatched[button.dataset.unmatchedIndex].selector));
+        });
+    }
+
+    /**
+     * Update the panel of accessibility issues, ranked by the clicks on the affected elements
+     * @param {Array} results - Analysis results
+     * @param {Function} onSelect - Callback receiving the result of a clicked issue
+     */
+    function updateAccessibility(results, onSelect) {
+        const audited = results.filter(result => result.accessibility);
+        const rows = rankAccessibilityIssues(results);
+        accessibilityPanel.classList.toggle('hidden', audited.length === 0);
+        accessibilityCount.textContent = rows.length;
+
+        // Elements with several issues count once
+        const affected = new Set(rows.map(row => row.selector));
+        const clicks = audited
+            .filter(result => affected.has(result.selector))
+            .reduce((acc, result) => acc + result.metrics.clicks, 0);
+        accessibilityClicks.textContent = rows.length > 0
+            ? `· ${affected.size} element${affected.size === 1 ? '' : 's'}, ${clicks} clicks affected`
+            : '';
+
+        if (rows.length === 0) {
+            accessibilityList.innerHTML = `<p class="p-3 text-sm text-gray-400">No issues found on the ${audited.length} audited elements.</p>`;
+            return;
+        }
+
+        accessibilityList.innerHTML = `
+            <table class="min-w-full text-xs">
+                <thead class="bg-gray-50 sticky top-0">
+                    <tr class="text-left text-gray-500">
+                        <th class="px-3 py-2 font-medium">Element</th>
+                        <th class="px-3 py-2 font-medium text-right">Clicks</th>
+                        <th class="px-3 py-2 font-medium">Issue</th>
+                        <th class="px-3 py-2 font-medium">WCAG</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-100">
+                    ${rows.map((row, index) => `
+                        <tr data-issue-index="${index}" class="cursor-pointer hover:bg-indigo-50 align-top">
+                            <td class="px-3 py-2 font-mono text-gray-600 max-w-md truncate">${escapeHtml(row.selector)}</td>
+                            <td class="px-3 py-2 text-right">${row.clicks}</td>
+                            <td class="px-3 py-2">
+                                <span class="px-1.5 py-0.5 rounded ${levelClasses[row.issue.severity]}">${escapeHtml(row.issue.severity)}</span>
+                                ${escapeHtml(row.issue.label)}
+                                <p class="mt-1 text-gray-500">${escapeHtml(row.issue.detail)}</p>
+                            </td>
+                            <td class="px-3 py-2 text-gray-500">${escapeHtml(row.issue.wcag)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        accessibilityList.querySelectorAll('[data-issue-index]').forEach(row => {
+            row.addEventListener('click', () => {
+                const { selector } = rows[row.dataset.issueIndex];
+                onSelect(results.find(result => result.selector === selector));
+            });
+        });
+    }
+
+    /**
+     * Get badge classes for an unmatched reason
+     * @param {string} reason - Reason key
+     * @returns {string} - Tailwind classes
+     */
+    function getReasonClass(reason) {
+        if (reason === 'invalid-selector') return 'bg-red-100 text-red-800';
+        if (reason === 'client-rendered') return 'bg-yellow-100 text-yellow-800';
+        return 'bg-gray-100 text-gray-800';
+    }
+
+    /**
+     * Update the comparison display
+     * @param {Object} comparison - Result of comparing two exports
+     * @param {Object|null} baseMetadata - Heatmap metadata of the baseline export
+     * @param {Object|null} compareMetadata - Heatmap metadata of the comparison export
+     */
+    function updateComparison(comparison, baseMetadata = null, compareMetadata = null) {
+        const { totals, winners, losers, onlyInBase, onlyInCompare, rows } = comparison;
+        const baseLabel = escapeHtml(formatMetadataLabel(baseMetadata) || 'Baseline');
+        const compareLabel = escapeHtml(formatMetadataLabel(compareMetadata) || 'Comparison');
+
+        comparisonContainer.innerHTML = `
+            <div class="grid grid-cols-3 gap-4">
+                <div class="bg-gray-50 rounded-lg p-4 border border-gray-100">
+                    <p class="text-sm text-gray-500">Baseline clicks</p>
+                    <p class="text-2xl font-bold text-gray-900">${totals.baseClicks}</p>
+                    <p class="text-xs text-gray-400 mt-1">${baseLabel}</p>
+                </div>
+                <div class="bg-gray-50 rounded-lg p-4 border border-gray-100">
+                    <p class="text-sm text-gray-500">Comparison clicks</p>
+                    <p class="text-2xl font-bold text-gray-900">${totals.compareClicks}</p>
+                    <p class="text-xs text-gray-400 mt-1">${compareLabel}</p>
+                </div>
+                <div class="bg-gray-50 rounded-lg p-4 border border-gray-100">
+                    <p class="text-sm text-gray-500">Elements in both exports</p>
+                    <p class="text-2xl font-bold text-gray-900">${totals.matched}</p>
+                </div>
+            </div>
+
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                ${createComparisonList('Biggest winners', winners, 'text-green-600')}
+                ${createComparisonList('Biggest losers', losers, 'text-red-600')}
+                ${createComparisonList(`Only in baseline (${onlyInBase.length})`, onlyInBase.slice(0, 10), 'text-gray-600')}
+                ${createComparisonList(`Only in comparison (${onlyInCompare.length})`, onlyInCompare.slice(0, 10), 'text-gray-600')}
+            </div>
+
+            <div class="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+                <table class="min-w-full text-xs">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr class="text-left text-gray-500">
+                            <th class="px-3 py-2 font-medium">Selector</th>
+                            <th class="px-3 py-2 font-medium">Section</th>
+                            <th class="px-3 py-2 font-medium">Role</th>
+                            <th class="px-3 py-2 font-medium text-right">${baseLabel}</th>
+                            <th class="px-3 py-2 font-medium text-right">${compareLabel}</th>
+                            <th class="px-3 py-2 font-medium text-right">Delta</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${rows.map(row => `
+                            <tr>
+                                <td class="px-3 py-2 font-mono text-gray-600 max-w-md truncate" title="${escapeHtml(row.selector)}">${escapeHtml(row.selector)}</td>
+                                <td class="px-3 py-2 text-gray-600">${escapeHtml(row.section)}</td>
+                                <td class="px-3 py-2 text-gray-600">${escapeHtml(row.role)}</td>
+                                <td class="px-3 py-2 text-right">${row.presence === 'compare' ? '&ndash;' : `${row.base.share}% (${row.base.clicks})`}</td>
+                                <td class="px-3 py-2 text-right">${row.presence === 'base' ? '&ndash;' : `${row.compare.share}% (${row.compare.clicks})`}</td>
+                                <td class="px-3 py-2 text-right font-medium ${getDeltaClass(row.delta)}">${formatDelta(row.delta)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Create a titled list of comparison rows
+     * @param {string} title - List title
+     * @param {Array} rows - Comparison rows to list
+     * @param {string} titleClass - Tailwind classes for the title
+     * @returns {string} - List markup
+     */
+    function createComparisonList(title, rows, titleClass) {
+        return `
+            <div class="bg-white rounded-lg border border-gray-200">
+                <div class="p-3 bg-gray-50 border-b border-gray-200">
+                    <h6 class="text-xs font-medium ${titleClass}">${title}</h6>
+                </div>
+                <ul class="p-3 space-y-2">
+                    ${rows.length === 0 ? '<li class="text-xs text-gray-400">None</li>' : rows.map(row => `
+                        <li class="flex items-center justify-between text-xs gap-2">
+                            <div class="overflow-hidden">
+                                <code class="block truncate text-gray-600" title="${escapeHtml(row.selector)}">${escapeHtml(row.selector)}</code>
+                                <span class="text-gray-400">${escapeHtml(row.section)} &middot; ${escapeHtml(row.role)}</span>
+                            </div>
+                            <span class="flex-shrink-0 font-medium ${getDeltaClass(row.delta)}">${formatDelta(row.delta)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a click share delta in percentage points
+     * @param {number} delta - Share delta
+     * @returns {string} - Signed delta
+     */
+    function formatDelta(delta) {
+        return `${delta > 0 ? '+' : ''}${delta.toFixed(2)} pp`;
+    }
+
+    /**
+     * Get text colour classes for a click share delta
+     * @param {number} delta - Share delta
+     * @returns {string} - Tailwind classes
+     */
+    function getDeltaClass(delta) {
+        if (delta > 0) return 'text-green-600';
+        if (delta < 0) return 'text-red-600';
+        return 'text-gray-500';
+    }
+
+    /**
+     * Get badge classes for a selector match confidence
+     * @param {number} confidence - Match confidence between 0 and 1
+     * @returns {string} - Tailwind classes
+     */
+    function getConfidenceClass(confidence) {
+        if (confidence >= 0.9) return 'bg-green-100 text-green-800';
+        if (confidence >= 0.6) return 'bg-yellow-100 text-yellow-800';
+        return 'bg-red-100 text-red-800';
+    }
+
     /**
      * Show message when no results are available
      */
@@ -378,12 +1149,57 @@ export function setupUI() {
     }
 
     /**
-     * Show loading state
+     * Show loading state, without the progress bar of an earlier step
      * @param {string} message - Loading message to display
      */
     function showLoading(message = 'Processing...') {
         loadingText.textContent = message;
         loadingState.classList.remove('hidden');
+        loadingProgress.classList.add('hidden');
+    }
+
+    /**
+     * Show how far parsing an uploaded export is
+     * @param {{fileName: string, fileIndex: number, fileCount: number, rowsParsed: number, bytesParsed: number, totalBytes: number}} progress - Parse progress
+     */
+    function updateParseProgress(progress) {
+        const fileLabel = progress.fileCount > 1 ? ` (file ${progress.fileIndex + 1} of ${progress.fileCount})` : '';
+        showLoading(`Parsing ${progress.fileName}${fileLabel}...`);
+        showProgress(
+            progress.bytesParsed / progress.totalBytes,
+            `${progress.rowsParsed.toLocaleString()} rows parsed, ${formatSize(progress.bytesParsed)} of ${formatSize(progress.totalBytes)}`
+        );
+    }
+
+    /**
+     * Show how many elements the analysis has finished
+     * @param {{analyzed: number, total: number}} progress - Analysis progress
+     */
+    function updateAnalysisProgress({ analyzed, total }) {
+        showProgress(total > 0 ? analyzed / total : 1, `${analyzed.toLocaleString()} of ${total.toLocaleString()} elements analyzed`);
+    }
+
+    /**
+     * Fill the progress bar of the loading overlay
+     * @param {number} fraction - Share done, between 0 and 1
+     * @param {string} detail - What has been done so far
+     */
+    function showProgress(fraction, detail) {
+        const percent = Math.min(100, Math.round(fraction * 100));
+        loadingProgressBar.style.width = `${percent}%`;
+        loadingProgressBar.parentElement.setAttribute('aria-valuenow', percent);
+        loadingProgressText.textContent = detail;
+        loadingProgress.classList.remove('hidden');
+    }
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Human readable size
+     */
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
     }
 
     /**
@@ -391,6 +1207,24 @@ export function setupUI() {
      */
     function hideLoading() {
         loadingState.classList.add('hidden');
+        loadingProgress.classList.add('hidden');
+        queueStatus.classList.add('hidden');
+        cancelAnalysisButton.classList.add('hidden');
+    }
+
+    /**
+     * Show the progress of queued AI provider requests in the loading overlay
+     * @param {{queued: number, inFlight: number, done: number, failed: number}} counts - Queue counts
+     */
+    function updateQueueProgress(counts) {
+        queueStatus.innerHTML = `
+            <span>${counts.queued} queued</span>
+            <span>${counts.inFlight} in flight</span>
+            <span class="text-green-700">${counts.done} done</span>
+            <span class="${counts.failed > 0 ? 'text-red-700' : ''}">${counts.failed} failed</span>
+        `;
+        queueStatus.classList.remove('hidden');
+        cancelAnalysisButton.classList.toggle('hidden', counts.queued + counts.inFlight === 0);
     }
 
     /**
@@ -418,31 +1252,22 @@ export function setupUI() {
         }, 5000);
     }
 
-    /**
-     * Capitalize first letter of a string
-     * @param {string} str - String to capitalize
-     * @returns {string} - Capitalized string
-     */
-    function capitalizeFirst(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
-    }
-
-    /**
-     * Escape HTML special characters
-     * @param {string} html - String to escape
-     * @returns {string} - Escaped string
-     */
-    function escapeHtml(html) {
-        const div = document.createElement('div');
-        div.textContent = html;
-        return div.innerHTML;
-    }
-
     // Return public interface
     return {
         updateResults,
+        renderResultCard,
+        updateComparison,
+        updateAnalysisHeader,
+        updateUnmatched,
+        updatePageSummary,
+        updateAccessibility,
+        updateTriageFilters,
+        focusResult,
         showLoading,
         hideLoading,
+        updateParseProgress,
+        updateAnalysisProgress,
+        updateQueueProgress,
         showError
     };
 }
\ No newline at end of file
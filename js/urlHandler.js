@@ -1,9 +1,22 @@
 // URL validation and website code fetching functionality
+import { resolveUrl, rewriteCssUrls } from './assetUrls.js';
+import { escapeHtml } from './textFormat.js';
 
 export function setupUrlHandler(onCodeFetched) {
     const urlInput = document.getElementById('websiteUrl');
     const fetchButton = document.getElementById('fetchWebsiteBtn');
     const errorElement = document.getElementById('urlError');
+    const includeScriptsInput = document.getElementById('includeScripts');
+    const assetReport = document.getElementById('assetReport');
+
+    const PROXY_URL = 'http://localhost:8001';
+
+    // Limits for linked assets, so one slow or huge file can't hold up the analysis
+    const PAGE_TIMEOUT_MS = 30000;
+    const ASSET_TIMEOUT_MS = 10000;
+    const MAX_ASSET_SIZE = 2 * 1024 * 1024; // 2MB per file
+    const MAX_TOTAL_ASSET_SIZE = 10 * 1024 * 1024; // 10MB for all files
+    const MAX_IMPORT_DEPTH = 3;
 
     // Setup event listeners
     fetchButton.addEventListener('click', () => handleUrlSubmit(urlInput.value));
@@ -64,17 +77,83 @@ export function setupUrlHandler(onCodeFetched) {
     /**
      * Fetch website code from the provided URL
      * @param {string} url - URL to fetch code from
-     * @returns {Promise<{html: string, css: string[], js: string[]}>} - Object containing HTML, CSS, and JS code
+     * @returns {Promise<{html: string, url: string, css: string[], js: string[], assets: Array}>} - Object containing HTML, CSS, JS code and the asset report
      */
     async function fetchWebsiteCode(url) {
         try {
             // Use our proxy server to fetch the website code
-            const response = await fetch('http://localhost:8001', {
+            const html = await fetchViaProxy(url);
+
+            // Parse the HTML
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+
+            // Relative asset URLs resolve against <base href> or the page itself
+            const baseHref = doc.querySelector('base[href]')?.getAttribute('href');
+            const baseUrl = baseHref ? resolveUrl(baseHref, url) || url : url;
+
+            const assets = [];
+            const budget = { used: 0 };
+
+            // Collect linked and inline stylesheets in document order so the cascade is preserved
+            const styleNodes = Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href], style'));
+            const css = await Promise.all(styleNodes.map(node => {
+                if (node.tagName === 'STYLE') {
+                    assets.push({ url: 'inline <style>', type: 'css', status: 'loaded', size: node.textContent.length });
+                    return processCss(node.textContent, baseUrl, budget, assets, 0);
+                }
+                return fetchStylesheet(resolveUrl(node.getAttribute('href'), baseUrl), node.getAttribute('media'), budget, assets, 0);
+            }));
+
+            // External scripts are only fetched on request, as bundles are large and rarely needed
+            const scriptUrls = Array.from(doc.querySelectorAll('script[src]'))
+                .map(script => resolveUrl(script.getAttribute('src'), baseUrl))
+                .filter(Boolean);
+            const js = includeScriptsInput.checked
+                ? await Promise.all(scriptUrls.map(scriptUrl => fetchAsset(scriptUrl, 'js', budget, assets)))
+                : [];
+            if (!includeScriptsInput.checked) {
+                scriptUrls.forEach(scriptUrl => {
+                    assets.push({ url: scriptUrl, type: 'js', status: 'skipped', size: 0, error: 'Scripts not requested' });
+                });
+            }
+
+            renderAssetReport(assets);
+
+            return {
+                html,
+                url,
+                css: css.filter(Boolean),
+                js: js.filter(Boolean),
+                assets
+            };
+
+        } catch (error) {
+            console.error('Fetch error:', error);
+            throw new Error(
+                'Failed to fetch website code. Please ensure the URL is correct and the website is accessible.\n' +
+                'Error: ' + error.message
+            );
+        }
+    }
+
+    /**
+     * Fetch a URL through the proxy server
+     * @param {string} targetUrl - URL to fetch
+     * @param {number} timeout - Time limit in milliseconds
+     * @returns {Promise<string>} - Response content
+     */
+    async function fetchViaProxy(targetUrl, timeout = PAGE_TIMEOUT_MS) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(PROXY_URL, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ url })
+                body: JSON.stringify({ url: targetUrl, timeout: timeout / 1000 }),
+                signal: controller.signal
             });
 
             if (!response.ok) {
@@ -83,37 +162,242 @@ export function setupUrlHandler(onCodeFetched) {
             }
 
             const result = await response.json();
-            const html = result.content;
+            return result.content;
 
-            // Parse the HTML
-            const doc = new DOMParser().parseFromString(html, 'text/html');
-            
-            // Extract CSS and JavaScript
-            const cssLinks = Array.from(doc.querySelectorAll('link[rel="stylesheet"]'))
-                .map(link => link.href)
-                .filter(href => href); // Remove empty hrefs
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Timed out after ${timeout / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
 
-            const jsScripts = Array.from(doc.querySelectorAll('script[src]'))
-                .map(script => script.src)
-                .filter(src => src); // Remove empty srcs
+    /**
+     * Fetch a single asset within the size limits and record the outcome
+     * @param {string} assetUrl - Absolute asset URL
+     * @param {string} type - Asset type (css or js)
+     * @param {{used: number}} budget - Bytes fetched so far
+     * @param {Array} assets - Asset report to append to
+     * @returns {Promise<string|null>} - Asset content, or null if it failed or was skipped
+     */
+    async function fetchAsset(assetUrl, type, budget, assets) {
+        const totalLimitError = `Total limit of ${formatSize(MAX_TOTAL_ASSET_SIZE)} reached`;
+        const remaining = MAX_TOTAL_ASSET_SIZE - budget.used;
+        const limit = Math.min(MAX_ASSET_SIZE, remaining);
 
-            // For now, we'll return just the HTML as fetching external resources might still face CORS issues
-            // This still gives us enough information for the analysis
-            return {
-                html,
-                css: [], // External resources fetching disabled for now
-                js: []  // External resources fetching disabled for now
-            };
+        try {
+            const { content, size } = await fetchAssetViaProxy(assetUrl, limit);
+
+            // Assets fetched in parallel may together still go over the total
+            if (budget.used + size > MAX_TOTAL_ASSET_SIZE) {
+                assets.push({ url: assetUrl, type, status: 'skipped', size, error: totalLimitError });
+                return null;
+            }
+
+            budget.used += size;
+            assets.push({ url: assetUrl, type, status: 'loaded', size });
+            return content;
 
         } catch (error) {
-            console.error('Fetch error:', error);
-            throw new Error(
-                'Failed to fetch website code. Please ensure the URL is correct and the website is accessible.\n' +
-                'Error: ' + error.message
-            );
+            if (error.name === 'SizeLimitError') {
+                const message = limit < MAX_ASSET_SIZE ? totalLimitError : `Larger than ${formatSize(MAX_ASSET_SIZE)}`;
+                assets.push({ url: assetUrl, type, status: 'skipped', size: error.size, error: message });
+                return null;
+            }
+
+            console.warn(`Failed to fetch asset ${assetUrl}:`, error);
+            assets.push({ url: assetUrl, type, status: 'failed', size: 0, error: error.message });
+            return null;
         }
     }
 
+    /**
+     * Stream an asset through the proxy, stopping as soon as it is known to be over the size limit
+     * @param {string} assetUrl - Absolute asset URL
+     * @param {number} maxSize - Largest size to download, in bytes
+     * @returns {Promise<{content: string, size: number}>} - Asset content and its size in bytes
+     */
+    async function fetchAssetViaProxy(assetUrl, maxSize) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), ASSET_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(PROXY_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ url: assetUrl, timeout: ASSET_TIMEOUT_MS / 1000, stream: true }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.message || 'Failed to fetch asset');
+            }
+
+            // Skip the download entirely when the server announces the size
+            const declaredSize = Number(response.headers.get('Content-Length'));
+            if (declaredSize > maxSize) {
+                controller.abort();
+                throw createSizeLimitError(declaredSize);
+            }
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            let size = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                size += value.length;
+                if (size > maxSize) {
+                    controller.abort();
+                    throw createSizeLimitError(size);
+                }
+                chunks.push(value);
+            }
+
+            const charset = response.headers.get('Content-Type')?.match(/charset=([^;]+)/i)?.[1].trim() || 'utf-8';
+            return { content: decodeChunks(chunks, size, charset), size };
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Timed out after ${ASSET_TIMEOUT_MS / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Decode downloaded chunks as text
+     * @param {Uint8Array[]} chunks - Downloaded chunks
+     * @param {number} size - Total size in bytes
+     * @param {string} charset - Charset named by the server
+     * @returns {string} - Text content
+     */
+    function decodeChunks(chunks, size, charset) {
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        try {
+            return new TextDecoder(charset).decode(bytes);
+        } catch {
+            // Unknown charset labels fall back to UTF-8, like the proxy's page fetch
+            return new TextDecoder().decode(bytes);
+        }
+    }
+
+    /**
+     * Create the error for an asset over the size limit
+     * @param {number} size - Bytes announced or downloaded before stopping
+     * @returns {Error} - Size limit error
+     */
+    function createSizeLimitError(size) {
+        const error = new Error('Asset is over the size limit');
+        error.name = 'SizeLimitError';
+        error.size = size;
+        return error;
+    }
+
+    /**
+     * Fetch a stylesheet and inline its imports
+     * @param {string|null} sheetUrl - Absolute stylesheet URL
+     * @param {string|null} media - Media query of the link or import
+     * @param {{used: number}} budget - Bytes fetched so far
+     * @param {Array} assets - Asset report to append to
+     * @param {number} depth - Current @import nesting depth
+     * @returns {Promise<string>} - Stylesheet content with absolute URLs
+     */
+    async function fetchStylesheet(sheetUrl, media, budget, assets, depth) {
+        if (!sheetUrl) return '';
+
+        const content = await fetchAsset(sheetUrl, 'css', budget, assets);
+        if (content === null) return '';
+
+        const css = await processCss(content, sheetUrl, budget, assets, depth);
+        return media && media.trim() !== 'all' ? `@media ${media} {\n${css}\n}` : css;
+    }
+
+    /**
+     * Inline @import rules and make url() references absolute
+     * @param {string} content - Stylesheet content
+     * @param {string} sheetUrl - URL the stylesheet's relative references resolve against
+     * @param {{used: number}} budget - Bytes fetched so far
+     * @param {Array} assets - Asset report to append to
+     * @param {number} depth - Current @import nesting depth
+     * @returns {Promise<string>} - Processed stylesheet
+     */
+    async function processCss(content, sheetUrl, budget, assets, depth) {
+        const importPattern = /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?\s*([^;]*);/g;
+        const imports = depth < MAX_IMPORT_DEPTH ? Array.from(content.matchAll(importPattern)) : [];
+
+        const importedSheets = await Promise.all(imports.map(([, , href, media]) =>
+            fetchStylesheet(resolveUrl(href, sheetUrl), media, budget, assets, depth + 1)
+        ));
+
+        let index = 0;
+        const inlined = imports.length > 0
+            ? content.replace(importPattern, () => importedSheets[index++])
+            : content;
+
+        return rewriteCssUrls(inlined, sheetUrl);
+    }
+
+    /**
+     * Show which stylesheets and scripts were loaded, skipped or failed
+     * @param {Array} assets - Asset report
+     */
+    function renderAssetReport(assets) {
+        if (assets.length === 0) {
+            assetReport.classList.add('hidden');
+            return;
+        }
+
+        const loaded = assets.filter(asset => asset.status === 'loaded');
+        const totalSize = loaded.reduce((acc, asset) => acc + asset.size, 0);
+        const statusClasses = {
+            loaded: 'bg-green-100 text-green-800',
+            skipped: 'bg-gray-100 text-gray-800',
+            failed: 'bg-red-100 text-red-800'
+        };
+
+        assetReport.innerHTML = `
+            <summary class="cursor-pointer text-sm text-gray-600">
+                ${loaded.length} of ${assets.length} assets loaded (${formatSize(totalSize)})
+            </summary>
+            <ul class="mt-2 max-h-48 overflow-y-auto space-y-1 text-xs">
+                ${assets.map(asset => `
+                    <li class="flex items-center gap-2">
+                        <span class="px-1.5 py-0.5 rounded ${statusClasses[asset.status]}">${asset.status}</span>
+                        <span class="text-gray-500 uppercase">${asset.type}</span>
+                        <span class="truncate text-gray-700" title="${escapeHtml(asset.url)}">${escapeHtml(asset.url)}</span>
+                        <span class="ml-auto flex-shrink-0 text-gray-400">${asset.error ? escapeHtml(asset.error) : formatSize(asset.size)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        assetReport.classList.remove('hidden');
+    }
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Human readable size
+     */
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
     function showError(message) {
         errorElement.textContent = message;
         errorElement.classList.remove('hidden');
@@ -1,4 +1,4 @@
-from http.server import HTTPServer, BaseHTTPRequestHandler
+from http.server import ThreadingHTTPServer, BaseHTTPRequestHandler
 import json
 import urllib.request
 import urllib.parse
@@ -15,7 +15,10 @@ class ProxyHandler(BaseHTTPRequestHandler):
             # Read the request body
             content_length = int(self.headers['Content-Length'])
             post_data = self.rfile.read(content_length)
-            url = json.loads(post_data)['url']
+            request = json.loads(post_data)
+            url = request['url']
+            # Seconds to wait for the target; stylesheets and scripts use shorter limits
+            timeout = float(request.get('timeout', 30))
 
             # Set up headers for the request
             headers = {
@@ -24,8 +27,15 @@ class ProxyHandler(BaseHTTPRequestHandler):
 
             # Make the request
             req = urllib.request.Request(url, headers=headers)
-            with urllib.request.urlopen(req) as response:
-                website_content = response.read().decode('utf-8')
+
+            # Stylesheets and scripts are passed through as they arrive, so the size limits can stop the download
+            if request.get('stream'):
+                self.stream_response(req, timeout)
+                return
+
+            with urllib.request.urlopen(req, timeout=timeout) as response:
+                charset = response.headers.get_content_charset() or 'utf-8'
+                website_content = response.read().decode(charset, errors='replace')
 
             # Send response
             self.send_response(200)
@@ -45,6 +55,24 @@ class ProxyHandler(BaseHTTPRequestHandler):
         except Exception as e:
             self.send_error_response(str(e))
 
+    def stream_response(self, req, timeout):
+        with urllib.request.urlopen(req, timeout=timeout) as response:
+            self.send_response(200)
+            self.send_cors_headers()
+            self.send_header('Content-Type', response.headers.get('Content-Type', 'application/octet-stream'))
+            # Lets the client skip files over its size limit before reading them
+            content_length = response.headers.get('Content-Length')
+            if content_length:
+                self.send_header('Content-Length', content_length)
+            self.end_headers()
+
+            try:
+                while chunk := response.read(64 * 1024):
+                    self.wfile.write(chunk)
+            except (BrokenPipeError, ConnectionResetError):
+                # The client stopped reading once a file went over its size limit
+                pass
+
     def send_cors_headers(self):
         self.send_header('Access-Control-Allow-Origin', '*')
         self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
@@ -63,7 +91,8 @@ class ProxyHandler(BaseHTTPRequestHandler):
 
 def run_proxy_server(port=8001):
     server_address = ('', port)
-    httpd = HTTPServer(server_address, ProxyHandler)
+    # Threaded so one slow asset host doesn't block the other requests
+    httpd = ThreadingHTTPServer(server_address, ProxyHandler)
     print(f'Starting proxy server on port {port}...')
     httpd.serve_forever()
 